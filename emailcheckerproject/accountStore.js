@@ -0,0 +1,376 @@
+// accountStore.js - Хранилище аккаунтов на сервере с шифрованием паролей (AES-256-GCM)
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+const logger = require('./logger');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_CHECK_VALUE = 'email-client-key-check';
+// SECURITY.encryptionKey, если ENCRYPTION_KEY не задан (config.js): этот ключ известен всем
+const DEFAULT_ENCRYPTION_KEY = 'default-key-change-in-production';
+const STORE_FILE = path.join(config.STORAGE.dataDir, config.STORAGE.accountsFile);
+
+// Поля аккаунта, которые можно отдавать клиенту
+const PUBLIC_FIELDS = [
+    'email', 'name', 'provider', 'fetchProtocol', 'authType',
+    'imapHost', 'imapPort', 'pop3Host', 'pop3Port', 'smtpHost', 'smtpPort',
+    'imapSecurity', 'pop3Security', 'smtpSecurity', 'tlsCa',
+    'pop3Retention', 'pop3RetentionDays'
+];
+
+// Поля, которые хранятся только в зашифрованном виде
+const SECRET_FIELDS = ['password'];
+// Токены OAuth2 тоже шифруются, но задаются только сервером после авторизации (setOAuthTokens)
+const TOKEN_FIELD = 'oauth';
+
+let state = null;
+let loading = null;
+let writeQueue = Promise.resolve();
+let defaultKeyWarned = false;
+
+function deriveKey(secret, salt) {
+    return crypto.scryptSync(secret, Buffer.from(salt, 'base64'), 32);
+}
+
+function encryptValue(value, key) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+    return {
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    };
+}
+
+function decryptValue(payload, key) {
+    // Значения, сохраненные при выключенном шифровании, лежат строкой
+    if (typeof payload === 'string') {
+        return payload;
+    }
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(payload.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+    return Buffer.concat([
+        decipher.update(Buffer.from(payload.data, 'base64')),
+        decipher.final()
+    ]).toString('utf8');
+}
+
+function createKeyMaterial(secret) {
+    const salt = crypto.randomBytes(16).toString('base64');
+    const key = deriveKey(secret, salt);
+    return { salt, key, check: encryptValue(KEY_CHECK_VALUE, key) };
+}
+
+function sealSecret(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    return config.SECURITY.encryptPasswords ? encryptValue(value, state.key) : String(value);
+}
+
+function openSecret(payload) {
+    if (payload === undefined || payload === null) {
+        return null;
+    }
+    return decryptValue(payload, state.key);
+}
+
+function toPublic(record) {
+    const account = { id: record.id };
+    for (const field of PUBLIC_FIELDS) {
+        if (record[field] !== undefined) {
+            account[field] = record[field];
+        }
+    }
+    account.hasPassword = Boolean(record.secrets && record.secrets.password);
+    account.oauthConnected = Boolean(record.secrets && record.secrets[TOKEN_FIELD]);
+    account.createdAt = record.createdAt;
+    account.updatedAt = record.updatedAt;
+    return account;
+}
+
+function pickPublicFields(data) {
+    const fields = {};
+    for (const field of PUBLIC_FIELDS) {
+        if (data[field] !== undefined) {
+            fields[field] = data[field];
+        }
+    }
+    for (const field of ['imapPort', 'pop3Port', 'smtpPort', 'pop3RetentionDays']) {
+        if (fields[field] !== undefined && fields[field] !== null && fields[field] !== '') {
+            fields[field] = parseInt(fields[field], 10);
+        }
+    }
+    return fields;
+}
+
+/**
+ * Проверяет, что пароли не шифруются ключом по умолчанию: с ним любой, кто прочитает data/accounts.json,
+ * расшифрует пароли и токены. В production хранилище с таким ключом не открывается, иначе - предупреждение.
+ */
+function checkEncryptionKey() {
+    if (!config.SECURITY.encryptPasswords || config.SECURITY.encryptionKey !== DEFAULT_ENCRYPTION_KEY) {
+        return;
+    }
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('Не задан ENCRYPTION_KEY: хранилище аккаунтов с ключом шифрования по умолчанию не открывается.');
+    }
+    if (!defaultKeyWarned) {
+        defaultKeyWarned = true;
+        logger.warn('Не задан ENCRYPTION_KEY: пароли в хранилище аккаунтов зашифрованы общеизвестным ключом по умолчанию. Задайте ENCRYPTION_KEY (и выполните ротацию ключа, если аккаунты уже сохранены).');
+    }
+}
+
+/**
+ * Загружает хранилище с диска (один раз) и проверяет ключ шифрования.
+ */
+async function load() {
+    if (state) {
+        return state;
+    }
+    if (!loading) {
+        loading = (async () => {
+            checkEncryptionKey();
+            let stored = null;
+            try {
+                stored = JSON.parse(await fs.promises.readFile(STORE_FILE, 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw new Error(`Не удалось прочитать хранилище аккаунтов: ${error.message}`);
+                }
+            }
+
+            if (!stored) {
+                const material = createKeyMaterial(config.SECURITY.encryptionKey);
+                state = { version: 1, salt: material.salt, check: material.check, key: material.key, accounts: [] };
+                await persist();
+                logger.info(`Создано новое хранилище аккаунтов: ${STORE_FILE}`);
+                return state;
+            }
+
+            const key = deriveKey(config.SECURITY.encryptionKey, stored.salt);
+            try {
+                if (decryptValue(stored.check, key) !== KEY_CHECK_VALUE) {
+                    throw new Error('key mismatch');
+                }
+            } catch (error) {
+                throw new Error('Ключ шифрования не подходит к хранилищу аккаунтов. Проверьте ENCRYPTION_KEY.');
+            }
+
+            state = { version: stored.version, salt: stored.salt, check: stored.check, key, accounts: stored.accounts || [] };
+
+            // Пароли, сохраненные до включения шифрования, шифруем при первой загрузке
+            const plaintext = state.accounts.some(record =>
+                [...SECRET_FIELDS, TOKEN_FIELD].some(field => typeof (record.secrets || {})[field] === 'string'));
+            if (plaintext && config.SECURITY.encryptPasswords) {
+                state.accounts.forEach(record => {
+                    for (const field of [...SECRET_FIELDS, TOKEN_FIELD]) {
+                        if (typeof (record.secrets || {})[field] === 'string') {
+                            record.secrets[field] = encryptValue(record.secrets[field], key);
+                        }
+                    }
+                });
+                await persist();
+                logger.info('Незашифрованные пароли в хранилище аккаунтов зашифрованы.');
+            }
+            return state;
+        })().catch((error) => {
+            loading = null;
+            throw error;
+        });
+    }
+    return loading;
+}
+
+/**
+ * Атомарно записывает хранилище на диск (через временный файл).
+ */
+function persist() {
+    const snapshot = JSON.stringify({
+        version: state.version,
+        salt: state.salt,
+        check: state.check,
+        accounts: state.accounts
+    }, null, 2);
+
+    writeQueue = writeQueue.catch(() => {}).then(async () => {
+        await fs.promises.mkdir(path.dirname(STORE_FILE), { recursive: true });
+        const tmpFile = `${STORE_FILE}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmpFile, snapshot, { mode: 0o600 });
+        await fs.promises.rename(tmpFile, STORE_FILE);
+    });
+    return writeQueue;
+}
+
+function findRecord(id) {
+    return state.accounts.find(record => record.id === String(id));
+}
+
+/**
+ * Возвращает список аккаунтов без секретов.
+ */
+async function listAccounts() {
+    await load();
+    return state.accounts.map(toPublic);
+}
+
+/**
+ * Возвращает аккаунт без секретов или null.
+ */
+async function getAccount(id) {
+    await load();
+    const record = findRecord(id);
+    return record ? toPublic(record) : null;
+}
+
+/**
+ * Возвращает аккаунт вместе с расшифрованным паролем (только для внутреннего использования).
+ */
+async function getAccountCredentials(id) {
+    await load();
+    const record = findRecord(id);
+    if (!record) {
+        return null;
+    }
+    const account = toPublic(record);
+    delete account.hasPassword;
+    delete account.oauthConnected;
+    for (const field of SECRET_FIELDS) {
+        account[field] = openSecret((record.secrets || {})[field]);
+    }
+    const tokens = openSecret((record.secrets || {})[TOKEN_FIELD]);
+    account.oauth = tokens ? JSON.parse(tokens) : null;
+    return account;
+}
+
+/**
+ * Сохраняет токены OAuth2 аккаунта ({ accessToken, refreshToken, expiresAt, ... }); null удаляет их.
+ */
+async function setOAuthTokens(id, tokens) {
+    await load();
+    const record = findRecord(id);
+    if (!record) {
+        return false;
+    }
+    record.secrets = record.secrets || {};
+    record.secrets[TOKEN_FIELD] = tokens ? sealSecret(JSON.stringify(tokens)) : null;
+    record.updatedAt = new Date().toISOString();
+    await persist();
+    return true;
+}
+
+/**
+ * Создает аккаунт. Если аккаунт с таким email уже есть, обновляет его.
+ */
+async function createAccount(data) {
+    await load();
+    const email = String(data.email).trim().toLowerCase();
+    const existing = state.accounts.find(record => record.email === email);
+    if (existing) {
+        return updateAccount(existing.id, data);
+    }
+
+    const now = new Date().toISOString();
+    const record = {
+        id: crypto.randomUUID(),
+        ...pickPublicFields(data),
+        email,
+        secrets: {},
+        createdAt: now,
+        updatedAt: now
+    };
+    for (const field of SECRET_FIELDS) {
+        record.secrets[field] = sealSecret(data[field]);
+    }
+
+    state.accounts.push(record);
+    await persist();
+    logger.info(`Аккаунт ${email} сохранен в хранилище.`);
+    return toPublic(record);
+}
+
+/**
+ * Обновляет аккаунт. Пустой пароль оставляет прежний.
+ */
+async function updateAccount(id, data) {
+    await load();
+    const record = findRecord(id);
+    if (!record) {
+        return null;
+    }
+
+    Object.assign(record, pickPublicFields(data));
+    if (data.email) {
+        record.email = String(data.email).trim().toLowerCase();
+    }
+    for (const field of SECRET_FIELDS) {
+        if (data[field] !== undefined && data[field] !== null && data[field] !== '') {
+            record.secrets[field] = sealSecret(data[field]);
+        }
+    }
+    record.updatedAt = new Date().toISOString();
+
+    await persist();
+    logger.info(`Аккаунт ${record.email} обновлен.`);
+    return toPublic(record);
+}
+
+/**
+ * Удаляет аккаунт. Возвращает true, если аккаунт был найден.
+ */
+async function deleteAccount(id) {
+    await load();
+    const index = state.accounts.findIndex(record => record.id === String(id));
+    if (index === -1) {
+        return false;
+    }
+    const [record] = state.accounts.splice(index, 1);
+    await persist();
+    logger.info(`Аккаунт ${record.email} удален из хранилища.`);
+    return true;
+}
+
+/**
+ * Перешифровывает все секреты новым ключом.
+ * После ротации новый ключ нужно прописать в ENCRYPTION_KEY, иначе после перезапуска хранилище не откроется.
+ */
+async function rotateKey(newSecret) {
+    await load();
+    if (!newSecret || String(newSecret).length < 16) {
+        throw new Error('Новый ключ шифрования должен быть не короче 16 символов.');
+    }
+
+    const material = createKeyMaterial(String(newSecret));
+    const reencrypted = state.accounts.map(record => {
+        const secrets = {};
+        for (const field of Object.keys(record.secrets || {})) {
+            const value = openSecret(record.secrets[field]);
+            secrets[field] = value === null ? null : encryptValue(value, material.key);
+        }
+        return { ...record, secrets };
+    });
+
+    state.salt = material.salt;
+    state.check = material.check;
+    state.key = material.key;
+    state.accounts = reencrypted;
+    config.SECURITY.encryptionKey = String(newSecret);
+
+    await persist();
+    logger.warn('Ключ шифрования хранилища аккаунтов изменен. Обновите переменную окружения ENCRYPTION_KEY.');
+    return { accounts: reencrypted.length };
+}
+
+module.exports = {
+    listAccounts,
+    getAccount,
+    getAccountCredentials,
+    setOAuthTokens,
+    createAccount,
+    updateAccount,
+    deleteAccount,
+    rotateKey,
+    checkEncryptionKey
+};
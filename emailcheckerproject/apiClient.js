@@ -1,6 +1,7 @@
 // apiClient.js
 const axios = require('axios');
 const config = require('./config');
+const { mailError } = require('./mailErrors');
 
 const API = axios.create({
     baseURL: config.API.baseURL,
@@ -40,7 +41,7 @@ async function callCustomApi(payload) {
         return response.data;
     } catch (error) {
         console.error('Ошибка при вызове пользовательского API:', error.message);
-        throw new Error('Ошибка при вызове внешнего API.');
+        throw mailError('EXTERNAL_API_ERROR');
     }
 }
 
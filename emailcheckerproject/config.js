@@ -1,4 +1,6 @@
 // config.js - Конфигурация для вашего API
+const path = require('path');
+
 module.exports = {
     // Настройки вашего API
     API: {
@@ -39,22 +41,67 @@ module.exports = {
             'ECDHE-RSA-AES256-SHA384'
         ].join(':')
     },
+    // TLS почтовых соединений (IMAP, POP3, SMTP), не зависит от NODE_ENV.
+    // Режим шифрования (tls, starttls, plain) задается для каждого протокола в аккаунте или в реестре провайдеров
+    MAIL_TLS: {
+        // Проверять сертификат сервера (цепочку и имя хоста)
+        rejectUnauthorized: process.env.MAIL_TLS_REJECT_UNAUTHORIZED !== 'false',
+        // Дополнительные доверенные CA (PEM) для всех аккаунтов, например внутренний центр сертификации
+        caFile: process.env.MAIL_TLS_CA_FILE || null,
+        minVersion: 'TLSv1.2',
+        // Соединения без шифрования (security: plain) с хостами, кроме localhost
+        allowPlaintext: process.env.MAIL_ALLOW_PLAINTEXT === 'true'
+    },
     EMAIL: {
         imap: {
             connectionTimeout: 10000,
             authTimeout: 5000,
             socketTimeout: 0,
+            maxPageSize: 200,
             keepalive: {
                 interval: 10000,
                 idleInterval: 300000,
                 forceNoop: false
+            },
+            pool: {
+                maxSessionsPerAccount: 3,
+                idleTimeout: 5 * 60 * 1000,
+                acquireTimeout: 30000,
+                healthCheckAfter: 30000,
+                healthCheckTimeout: 5000
+            },
+            // Наблюдение за папками (IDLE или периодический опрос) для уведомлений в браузере
+            watch: {
+                idleRefresh: 5 * 60 * 1000,
+                pollInterval: 30000,
+                reconnectMinDelay: 1000,
+                reconnectMaxDelay: 60000,
+                stopDelay: 30000,
+                heartbeatInterval: 25000
+            },
+            // Локальный кэш писем: список отдается из кэша, а с сервером он сверяется не чаще раза в maxAge
+            cache: {
+                enabled: true,
+                maxAge: 60000,
+                // Сколько последних писем папки кэшируется при каждой синхронизации (остальные - по мере просмотра)
+                prefetch: 100
             }
         },
         pop3: {
             connectionTimeout: 10000,
             socketTimeout: 0,
-            enabletls: true,
-            debug: process.env.NODE_ENV !== 'production'
+            debug: process.env.NODE_ENV !== 'production',
+            commandTimeout: 60000,
+            // Сколько последних писем просматривается при поиске без поддержки сервера
+            searchScanLimit: 100,
+            // Сколько новых писем загружается (RETR) за одну синхронизацию; остальные - при следующей
+            maxDownloadPerSync: 50,
+            // Что делать с загруженными письмами на сервере: leave, deleteAfterDays, deleteAfterDownload.
+            // Аккаунт может переопределить политику полями pop3Retention и pop3RetentionDays
+            retention: {
+                mode: 'leave',
+                days: 14
+            }
         },
         smtp: {
             connectionTimeout: 10000,
@@ -62,7 +109,11 @@ module.exports = {
             greetingTimeout: 5000,
             pool: true,
             maxConnections: 5,
-            maxMessages: 100
+            maxMessages: 100,
+            maxAttachments: 10,
+            maxAttachmentSize: 25 * 1024 * 1024,
+            // Копия отправленного письма в папку «Отправленные» через IMAP APPEND
+            saveSentCopy: true
         }
     },
     LOGGING: {
@@ -81,50 +132,104 @@ module.exports = {
             'logout'
         ]
     },
-    PROVIDERS: {
-        gmail: {
-            name: 'Gmail',
-            imap: { host: 'imap.gmail.com', port: 993, secure: true },
-            pop3: { host: 'pop.gmail.com', port: 995, secure: true },
-            smtp: { host: 'smtp.gmail.com', port: 587, secure: false },
-            requiresAppPassword: true,
-            authURL: 'https://myaccount.google.com/apppasswords'
-        },
-        outlook: {
-            name: 'Outlook/Hotmail',
-            imap: { host: 'outlook.office365.com', port: 993, secure: true },
-            pop3: { host: 'outlook.office365.com', port: 995, secure: true },
-            smtp: { host: 'smtp-mail.outlook.com', port: 587, secure: false },
-            requiresAppPassword: true,
-            authURL: 'https://account.microsoft.com/security/app-passwords'
-        },
-        yandex: {
-            name: 'Yandex',
-            imap: { host: 'imap.yandex.ru', port: 993, secure: true },
-            pop3: { host: 'pop.yandex.ru', port: 995, secure: true },
-            smtp: { host: 'smtp.yandex.ru', port: 587, secure: false },
-            requiresAppPassword: true,
-            authURL: 'https://passport.yandex.ru/profile/app-passwords'
-        },
-        yahoo: {
-            name: 'Yahoo',
-            imap: { host: 'imap.mail.yahoo.com', port: 993, secure: true },
-            pop3: { host: 'pop.mail.yahoo.com', port: 995, secure: true },
-            smtp: { host: 'smtp.mail.yahoo.com', port: 587, secure: false },
-            requiresAppPassword: true,
-            authURL: 'https://login.yahoo.com/account/security/app-passwords'
+    // Реестр почтовых провайдеров (JSON или YAML): домены, серверы, безопасность соединений и подсказки по входу.
+    // Провайдеры, добавленные через /api/providers, хранятся отдельно в STORAGE.providersFile
+    PROVIDER_REGISTRY: {
+        file: process.env.PROVIDERS_FILE || path.join(__dirname, 'providers.json')
+    },
+    // Вход через OAuth2 (XOAUTH2) для провайдеров с полем oauth в реестре.
+    // redirectURL должен совпадать с адресом, указанным при регистрации клиента у провайдера;
+    // клиент для других ключей реестра задается переменными OAUTH_<КЛЮЧ>_CLIENT_ID и OAUTH_<КЛЮЧ>_CLIENT_SECRET
+    OAUTH2: {
+        redirectURL: process.env.OAUTH_REDIRECT_URL || `http://localhost:${process.env.PORT || 5000}/api/oauth/callback`,
+        clients: {
+            gmail: { clientId: process.env.GOOGLE_CLIENT_ID, clientSecret: process.env.GOOGLE_CLIENT_SECRET },
+            outlook: { clientId: process.env.MICROSOFT_CLIENT_ID, clientSecret: process.env.MICROSOFT_CLIENT_SECRET }
         },
-        custom: {
-            name: 'Custom Server',
-            requiresAppPassword: false
-        }
+        // Сколько ждать возврата пользователя со страницы провайдера
+        stateTtl: 10 * 60 * 1000,
+        // Токен доступа обновляется заранее, за столько мс до истечения
+        refreshMargin: 60 * 1000,
+        timeout: 10000
     },
     SECURITY: {
         maxConnectionAttempts: 3,
         retryDelay: 2000,
         maxAccountsPerClient: 50,
-        encryptPasswords: process.env.NODE_ENV === 'production',
-        encryptionKey: process.env.ENCRYPTION_KEY || 'default-key-change-in-production'
+        encryptPasswords: process.env.ENCRYPT_PASSWORDS !== 'false',
+        encryptionKey: process.env.ENCRYPTION_KEY || 'default-key-change-in-production',
+        adminToken: process.env.ADMIN_TOKEN || ''
+    },
+    STORAGE: {
+        dataDir: process.env.DATA_DIR || path.join(__dirname, 'data'),
+        accountsFile: 'accounts.json',
+        // Письма, загруженные по POP3, и список уже загруженных UIDL (по папке на аккаунт)
+        pop3Dir: 'pop3',
+        // Кэш писем IMAP: заголовки, флаги и открытые письма по аккаунтам и папкам
+        cacheDir: 'cache',
+        // Полнотекстовый индекс писем (по файлу на аккаунт)
+        indexDir: 'index',
+        // Результаты автоопределения настроек серверов по доменам
+        discoveryFile: 'discovery.json',
+        // Провайдеры, добавленные или замененные через API
+        providersFile: 'providers.json',
+        // История проверок доступности аккаунтов
+        healthFile: 'health.json',
+        // Очередь исходящих писем: состояние отправки и тела писем (по файлу на письмо)
+        outboxFile: 'outbox.json',
+        outboxDir: 'outbox'
+    },
+    // Автоопределение серверов: autoconfig/ISPDB, autodiscover, DNS SRV (RFC 6186), MX
+    DISCOVERY: {
+        timeout: 5000,
+        maxResponseSize: 100 * 1024,
+        ispdbURL: process.env.ISPDB_URL || 'https://autoconfig.thunderbird.net/v1.1/',
+        cacheTtl: 7 * 24 * 60 * 60 * 1000,
+        // Если настройки не найдены, домен проверяется снова раньше
+        failureTtl: 60 * 60 * 1000
+    },
+    // Локальный поиск по всем аккаунтам: индексируются письма, уже полученные через IMAP и POP3
+    SEARCH_INDEX: {
+        enabled: true,
+        // Сколько символов текста письма попадает в индекс
+        maxBodyLength: 20000,
+        // Задержка записи индекса на диск после изменений (мс)
+        saveDelay: 2000,
+        maxResults: 100
+    },
+    // Проверка доступности всех аккаунтов на сервере (кнопка «Проверить все» и расписание)
+    HEALTH_CHECK: {
+        scheduleEnabled: process.env.HEALTH_CHECK_SCHEDULE !== 'false',
+        interval: (Number(process.env.HEALTH_CHECK_INTERVAL_MINUTES) || 15) * 60 * 1000,
+        // Сколько аккаунтов проверяется одновременно
+        concurrency: 5,
+        // Предельное время проверки одного протокола
+        timeout: 30000,
+        // Сколько последних проверок хранится для каждого аккаунта
+        historySize: 200
+    },
+    // Очередь исходящих писем: /api/send-email ставит письмо в очередь (или планирует на sendAt), отправка идет в фоне через пул SMTP-соединений
+    OUTBOX: {
+        // Как часто проверяются отложенные и запланированные письма (новые уходят сразу)
+        pollInterval: 5000,
+        // Сколько писем отправляется одновременно (соединений на аккаунт - не больше EMAIL.smtp.maxConnections)
+        concurrency: 5,
+        // Повторы при временных ошибках (4xx, сбой соединения): задержка удваивается после каждой попытки
+        maxAttempts: 8,
+        retryBaseDelay: 60 * 1000,
+        retryMaxDelay: 60 * 60 * 1000,
+        // Через сколько закрываются неиспользуемые SMTP-соединения аккаунта
+        transportIdleTimeout: 5 * 60 * 1000,
+        // Сколько хранятся записи об отправленных, неотправленных и отмененных письмах
+        retention: 7 * 24 * 60 * 60 * 1000,
+        // На сколько вперед можно запланировать отправку (sendAt)
+        maxScheduleAhead: 365 * 24 * 60 * 60 * 1000
+    },
+    DIAGNOSTICS: {
+        // Предельное время одного этапа диагностики (соединение, TLS, ответ сервера)
+        timeout: 10000,
+        // За сколько дней до истечения сертификата сервера выдавать предупреждение
+        certExpiryWarningDays: 14
     },
     RATE_LIMIT: {
         windowMs: 15 * 60 * 1000,
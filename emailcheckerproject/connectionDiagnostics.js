@@ -0,0 +1,566 @@
+// connectionDiagnostics.js - Пошаговая диагностика подключения IMAP/POP3/SMTP: DNS, TCP, TLS, приветствие, возможности, механизмы входа, вход
+const dns = require('dns').promises;
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+const config = require('./config');
+const { assertSecurity, tlsOptions } = require('./connectionSecurity');
+const { getAccountProvider, resolveServerSettings } = require('./emailProviders');
+const { classifyError } = require('./mailErrors');
+const { createImapConnection } = require('./imapPool');
+const { testPop3Connection, testSmtpConnection } = require('./emailUtils');
+
+const diagnosticsConfig = config.DIAGNOSTICS;
+
+// Обычные порты: подсказка, если соединение на указанный порт не удалось
+const STANDARD_PORTS = {
+    imap: { tls: 993, starttls: 143 },
+    pop3: { tls: 995, starttls: 110 },
+    smtp: { tls: 465, starttls: 587 }
+};
+
+// Ошибки проверки сертификата, которые исправляются доверенным CA (tlsCa аккаунта или MAIL_TLS_CA_FILE)
+const UNTRUSTED_CERT_ERRORS = [
+    'DEPTH_ZERO_SELF_SIGNED_CERT', 'SELF_SIGNED_CERT_IN_CHAIN', 'UNABLE_TO_GET_ISSUER_CERT',
+    'UNABLE_TO_GET_ISSUER_CERT_LOCALLY', 'UNABLE_TO_VERIFY_LEAF_SIGNATURE'
+];
+
+const NETWORK_ERRORS = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+function stageError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Чтение ответов сервера по строкам. После STARTTLS чтение переключается на TLS-сокет (attach).
+ */
+function createLineReader(socket) {
+    let current = null;
+    let buffer = '';
+    let failure = null;
+    let waiter = null;
+
+    const deliver = () => {
+        if (!waiter) {
+            return;
+        }
+        const index = buffer.indexOf('\n');
+        if (index === -1 && !failure) {
+            return;
+        }
+        const { resolve, reject, timer } = waiter;
+        waiter = null;
+        clearTimeout(timer);
+        if (index === -1) {
+            reject(failure);
+            return;
+        }
+        const line = buffer.slice(0, index).replace(/\r$/, '');
+        buffer = buffer.slice(index + 1);
+        resolve(line);
+    };
+    const onData = (chunk) => {
+        buffer += chunk.toString('utf8');
+        deliver();
+    };
+    const onClose = () => {
+        failure = failure || stageError('Сервер закрыл соединение', 'ECONNRESET');
+        deliver();
+    };
+    const onError = (error) => {
+        failure = failure || error;
+        deliver();
+    };
+
+    const reader = {
+        attach(target) {
+            current = target;
+            buffer = '';
+            target.on('data', onData);
+            target.on('close', onClose);
+            target.on('error', onError);
+        },
+        // Отключает чтение от сокета (перед STARTTLS) и возвращает его
+        detach() {
+            current.removeListener('data', onData);
+            current.removeListener('close', onClose);
+            current.removeListener('error', onError);
+            return current;
+        },
+        readLine(timeout = diagnosticsConfig.timeout) {
+            return new Promise((resolve, reject) => {
+                const timer = setTimeout(() => {
+                    waiter = null;
+                    reject(stageError(`Сервер не ответил за ${timeout} мс`, 'ETIMEDOUT'));
+                }, timeout);
+                waiter = { resolve, reject, timer };
+                deliver();
+            });
+        },
+        write(line) {
+            current.write(`${line}\r\n`);
+        },
+        close() {
+            if (current) {
+                current.destroy();
+            }
+        }
+    };
+    reader.attach(socket);
+    return reader;
+}
+
+// Диалоги протоколов: приветствие, список возможностей, STARTTLS, механизмы входа и завершение сеанса
+const DIALECTS = {
+    imap: {
+        async greeting(reader) {
+            const line = await reader.readLine();
+            if (!/^\* (OK|PREAUTH)\b/i.test(line)) {
+                throw stageError(`Неожиданное приветствие: ${line}`, 'EPROTOCOL');
+            }
+            return line;
+        },
+        async capabilities(reader, state) {
+            state.tag = (state.tag || 0) + 1;
+            const tag = `d${state.tag}`;
+            reader.write(`${tag} CAPABILITY`);
+            let capabilities = [];
+            for (;;) {
+                const line = await reader.readLine();
+                if (/^\* CAPABILITY /i.test(line)) {
+                    capabilities = line.slice('* CAPABILITY '.length).trim().split(/\s+/);
+                } else if (line.startsWith(`${tag} `)) {
+                    if (!/^\S+ OK/i.test(line)) {
+                        throw stageError(`CAPABILITY отклонена: ${line}`, 'EPROTOCOL');
+                    }
+                    return capabilities;
+                }
+            }
+        },
+        supportsStartTls: capabilities => capabilities.some(item => item.toUpperCase() === 'STARTTLS'),
+        async startTls(reader, state) {
+            state.tag = (state.tag || 0) + 1;
+            const tag = `d${state.tag}`;
+            reader.write(`${tag} STARTTLS`);
+            for (;;) {
+                const line = await reader.readLine();
+                if (line.startsWith(`${tag} `)) {
+                    if (!/^\S+ OK/i.test(line)) {
+                        throw stageError(`STARTTLS отклонена: ${line}`, 'ESTARTTLS');
+                    }
+                    return;
+                }
+            }
+        },
+        mechanisms(capabilities) {
+            const upper = capabilities.map(item => item.toUpperCase());
+            const mechanisms = upper.filter(item => item.startsWith('AUTH=')).map(item => item.slice(5));
+            if (!upper.includes('LOGINDISABLED')) {
+                mechanisms.unshift('LOGIN');
+            }
+            return mechanisms;
+        },
+        quit: reader => reader.write('d0 LOGOUT')
+    },
+    pop3: {
+        async greeting(reader) {
+            const line = await reader.readLine();
+            if (!line.startsWith('+OK')) {
+                throw stageError(`Неожиданное приветствие: ${line}`, 'EPROTOCOL');
+            }
+            return line;
+        },
+        async capabilities(reader) {
+            reader.write('CAPA');
+            const status = await reader.readLine();
+            // CAPA (RFC 2449) необязательна: без нее возможности сервера неизвестны
+            if (!status.startsWith('+OK')) {
+                return [];
+            }
+            const capabilities = [];
+            for (;;) {
+                const line = await reader.readLine();
+                if (line === '.') {
+                    return capabilities;
+                }
+                capabilities.push(line.trim());
+            }
+        },
+        supportsStartTls: capabilities => capabilities.some(item => item.toUpperCase() === 'STLS'),
+        async startTls(reader) {
+            reader.write('STLS');
+            const line = await reader.readLine();
+            if (!line.startsWith('+OK')) {
+                throw stageError(`STLS отклонена: ${line}`, 'ESTARTTLS');
+            }
+        },
+        mechanisms(capabilities) {
+            const mechanisms = [];
+            capabilities.forEach((item) => {
+                const [name, ...args] = item.split(/\s+/);
+                if (name.toUpperCase() === 'USER') {
+                    mechanisms.push('USER');
+                } else if (name.toUpperCase() === 'SASL') {
+                    mechanisms.push(...args.map(arg => arg.toUpperCase()));
+                }
+            });
+            return mechanisms;
+        },
+        quit: reader => reader.write('QUIT')
+    },
+    smtp: {
+        async reply(reader) {
+            const lines = [];
+            for (;;) {
+                const line = await reader.readLine();
+                lines.push(line);
+                if (!/^\d{3}-/.test(line)) {
+                    return { code: Number(line.slice(0, 3)), lines };
+                }
+            }
+        },
+        async greeting(reader) {
+            const { code, lines } = await DIALECTS.smtp.reply(reader);
+            if (code !== 220) {
+                throw stageError(`Неожиданное приветствие: ${lines.join(' ')}`, 'EPROTOCOL');
+            }
+            return lines.join(' ');
+        },
+        async capabilities(reader) {
+            reader.write(`EHLO ${os.hostname() || 'localhost'}`);
+            const { code, lines } = await DIALECTS.smtp.reply(reader);
+            if (code !== 250) {
+                throw stageError(`EHLO отклонена: ${lines.join(' ')}`, 'EPROTOCOL');
+            }
+            // Первая строка - имя сервера, остальные - расширения
+            return lines.slice(1).map(line => line.slice(4).trim());
+        },
+        supportsStartTls: capabilities => capabilities.some(item => item.toUpperCase() === 'STARTTLS'),
+        async startTls(reader) {
+            reader.write('STARTTLS');
+            const { code, lines } = await DIALECTS.smtp.reply(reader);
+            if (code !== 220) {
+                throw stageError(`STARTTLS отклонена: ${lines.join(' ')}`, 'ESTARTTLS');
+            }
+        },
+        mechanisms(capabilities) {
+            const line = capabilities.find(item => /^AUTH[ =]/i.test(item));
+            return line ? line.slice(5).trim().toUpperCase().split(/\s+/) : [];
+        },
+        quit: reader => reader.write('QUIT')
+    }
+};
+
+/**
+ * Сведения о сертификате сервера и результат его проверки.
+ */
+function describeCertificate(socket) {
+    const certificate = socket.getPeerCertificate();
+    const validTo = certificate.valid_to ? new Date(certificate.valid_to) : null;
+    return {
+        subject: certificate.subject ? certificate.subject.CN || null : null,
+        issuer: certificate.issuer ? [certificate.issuer.CN, certificate.issuer.O].filter(Boolean).join(', ') || null : null,
+        altNames: certificate.subjectaltname ? certificate.subjectaltname.split(', ').map(name => name.replace(/^(DNS|IP Address):/, '')) : [],
+        validFrom: certificate.valid_from ? new Date(certificate.valid_from).toISOString() : null,
+        validTo: validTo ? validTo.toISOString() : null,
+        daysLeft: validTo ? Math.floor((validTo.getTime() - Date.now()) / (24 * 60 * 60 * 1000)) : null,
+        fingerprint256: certificate.fingerprint256 || null,
+        protocol: socket.getProtocol(),
+        cipher: (socket.getCipher() || {}).name || null,
+        authorized: socket.authorized,
+        authorizationError: socket.authorizationError ? String(socket.authorizationError) : null
+    };
+}
+
+/**
+ * TLS поверх открытого TCP-соединения (сразу или после STARTTLS). Сертификат проверяется после рукопожатия,
+ * чтобы показать его даже тогда, когда он не прошел проверку.
+ */
+function handshake({ host, tlsCa, socket }) {
+    return new Promise((resolve, reject) => {
+        const options = { ...tlsOptions({ host, tlsCa }), rejectUnauthorized: false };
+        const secure = tls.connect({ ...options, host, socket });
+        const timer = setTimeout(() => {
+            secure.destroy();
+            reject(stageError(`TLS-рукопожатие не завершилось за ${diagnosticsConfig.timeout} мс`, 'ETIMEDOUT'));
+        }, diagnosticsConfig.timeout);
+        secure.once('secureConnect', () => {
+            clearTimeout(timer);
+            secure.removeAllListeners('error');
+            const certificate = describeCertificate(secure);
+            if (!certificate.authorized && config.MAIL_TLS.rejectUnauthorized) {
+                secure.destroy();
+                const error = stageError(`Сертификат не прошел проверку: ${certificate.authorizationError}`, certificate.authorizationError);
+                error.certificate = certificate;
+                reject(error);
+                return;
+            }
+            resolve({ socket: secure, certificate });
+        });
+        secure.once('error', (error) => {
+            clearTimeout(timer);
+            // Ошибки OpenSSL содержат служебный текст; причина (reason) понятнее
+            reject(error.reason ? stageError(`Ошибка TLS: ${error.reason}`, error.code) : error);
+        });
+    });
+}
+
+function tcpConnect(address, port) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect({ host: address, port });
+        const timer = setTimeout(() => {
+            socket.destroy();
+            reject(stageError(`Соединение не установлено за ${diagnosticsConfig.timeout} мс`, 'ETIMEDOUT'));
+        }, diagnosticsConfig.timeout);
+        socket.once('connect', () => {
+            clearTimeout(timer);
+            socket.removeAllListeners('error');
+            resolve(socket);
+        });
+        socket.once('error', (error) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+    });
+}
+
+/**
+ * Подсказка по ошибке этапа: что, скорее всего, не так и как это исправить.
+ */
+function hintFor(stage, error, context) {
+    const code = error.code || '';
+    const { protocol, host, port, security, provider, authType } = context;
+    const standard = STANDARD_PORTS[protocol];
+    switch (stage) {
+    case 'dns':
+        if (code === 'ENOTFOUND' || code === 'ENODATA') {
+            return `Имя ${host} не найдено в DNS: проверьте адрес сервера на опечатки.`;
+        }
+        return 'DNS-сервер не ответил: проверьте подключение к сети и настройки DNS.';
+    case 'tcp':
+        if (code === 'ECONNREFUSED') {
+            return `Порт ${port} закрыт. Обычные порты ${protocol.toUpperCase()}: ${standard.tls} (TLS) и ${standard.starttls} (STARTTLS).`;
+        }
+        if (code === 'ETIMEDOUT') {
+            return `Сервер не принимает соединения на порт ${port}: его может блокировать брандмауэр или провайдер (часто закрыт порт 25).`;
+        }
+        return 'Сервер недоступен по сети: проверьте адрес и подключение к сети.';
+    case 'tls':
+        if (code === 'CERT_HAS_EXPIRED') {
+            return 'Срок действия сертификата сервера истек: это должен исправить администратор сервера.';
+        }
+        if (code === 'ERR_TLS_CERT_ALTNAME_INVALID' || code.startsWith('Hostname/IP does not match')) {
+            const names = error.certificate && error.certificate.altNames.length > 0 ? error.certificate.altNames.join(', ') : error.certificate && error.certificate.subject;
+            return `Сертификат выдан на другое имя${names ? ` (${names})` : ''}: укажите имя сервера из сертификата.`;
+        }
+        if (UNTRUSTED_CERT_ERRORS.includes(code)) {
+            return 'Сертификат выдан неизвестным центром сертификации (или самоподписанный): укажите сертификат CA или сервера в настройках аккаунта (поле «Сертификат CA») или в MAIL_TLS_CA_FILE.';
+        }
+        if (code === 'ESTARTTLS') {
+            return 'Сервер не предлагает STARTTLS: выберите режим TLS на порту ' + standard.tls + '.';
+        }
+        if (/wrong version number|packet length too long|unknown protocol/i.test(error.message) || code === 'ECONNRESET') {
+            return security === 'tls'
+                ? `Сервер на порту ${port} не ждет TLS сразу: выберите режим STARTTLS или порт ${standard.tls}.`
+                : 'TLS-рукопожатие прервано: проверьте режим шифрования и порт.';
+        }
+        return 'TLS-соединение не установлено: проверьте режим шифрования и порт.';
+    case 'greeting':
+        if (code === 'ETIMEDOUT' && security !== 'tls') {
+            return `Сервер молчит: возможно, на порту ${port} нужен TLS сразу (режим TLS).`;
+        }
+        return `Ответ сервера не похож на ${protocol.toUpperCase()}: проверьте порт и протокол.`;
+    case 'capabilities':
+        return 'Сервер не сообщил свои возможности: соединение установлено, но сервер отвечает нестандартно.';
+    case 'login':
+        if (NETWORK_ERRORS.includes(code)) {
+            return 'Соединение оборвалось во время входа: повторите проверку.';
+        }
+        if (authType === 'oauth2' && context.mechanisms && context.mechanisms.length > 0 && !context.mechanisms.includes('XOAUTH2')) {
+            return `Сервер не поддерживает вход через OAuth2 (XOAUTH2) по ${protocol.toUpperCase()}: проверьте адрес сервера или войдите паролем.`;
+        }
+        if (authType === 'oauth2') {
+            return 'Токен OAuth2 не принят: войдите через провайдера заново.';
+        }
+        if (provider && provider.requiresAppPassword) {
+            return `${provider.name} не принимает обычный пароль: создайте пароль приложения${provider.authURL ? ` (${provider.authURL})` : ''}.`;
+        }
+        return `Неверный логин или пароль, либо доступ по ${protocol.toUpperCase()} отключен в настройках ящика.`;
+    default:
+        return null;
+    }
+}
+
+// Вход выполняется тем же кодом, что и в работе приложения (новым соединением)
+const LOGIN = {
+    imap: async (settings) => {
+        const imap = await createImapConnection(settings);
+        imap.end();
+    },
+    pop3: settings => testPop3Connection(settings),
+    smtp: settings => testSmtpConnection(settings)
+};
+
+/**
+ * Диагностика одного протокола. Этапы выполняются по порядку до первой ошибки;
+ * для каждого - ok, время (мс), подробности, ошибка и подсказка.
+ */
+async function diagnoseProtocol(protocol, { email, password, accessToken, authType, host, port, security, tlsCa, provider }) {
+    const context = { protocol, host, port, security, provider, authType };
+    const dialect = DIALECTS[protocol];
+    const stages = [];
+    const warnings = [];
+    // Открытые сокеты закрываются в конце диагностики, на каком бы этапе она ни остановилась
+    const sockets = [];
+    let reader = null;
+    let secured = false;
+    const state = {};
+
+    const stage = async (name, run) => {
+        const started = Date.now();
+        try {
+            const details = await run();
+            stages.push({ stage: name, ok: true, duration: Date.now() - started, details: details || null });
+            return details;
+        } catch (error) {
+            stages.push({
+                stage: name,
+                ok: false,
+                duration: Date.now() - started,
+                details: error.certificate ? { certificate: error.certificate } : null,
+                error: error.message.trim(),
+                code: classifyError(error).code,
+                systemCode: error.code || null,
+                hint: hintFor(name, error, context)
+            });
+            throw error;
+        }
+    };
+
+    const upgrade = async (socket) => {
+        const { socket: secure, certificate } = await handshake({ host, tlsCa, socket });
+        sockets.push(secure);
+        secured = true;
+        if (!certificate.authorized) {
+            warnings.push(`Сертификат не прошел проверку (${certificate.authorizationError}), но проверка отключена (MAIL_TLS_REJECT_UNAUTHORIZED=false).`);
+        }
+        if (certificate.daysLeft !== null && certificate.daysLeft < diagnosticsConfig.certExpiryWarningDays) {
+            warnings.push(`Сертификат истекает через ${certificate.daysLeft} дн. (${certificate.validTo}).`);
+        }
+        return { secure, certificate };
+    };
+
+    try {
+        assertSecurity(protocol, host, security);
+        const { addresses } = await stage('dns', async () => {
+            const found = await dns.lookup(host, { all: true });
+            return { addresses: found.map(item => item.address) };
+        });
+        const address = addresses[0];
+
+        let socket = null;
+        await stage('tcp', async () => {
+            socket = await tcpConnect(address, port);
+            sockets.push(socket);
+            return { address, port };
+        });
+
+        if (security === 'tls') {
+            await stage('tls', async () => {
+                const { secure, certificate } = await upgrade(socket);
+                socket = secure;
+                return { mode: 'tls', certificate };
+            });
+        }
+        reader = createLineReader(socket);
+        const greeting = await stage('greeting', async () => ({ greeting: await dialect.greeting(reader) }));
+        let capabilities = (await stage('capabilities', async () => ({ capabilities: await dialect.capabilities(reader, state) }))).capabilities;
+
+        if (security === 'starttls') {
+            await stage('tls', async () => {
+                // Пустой список - сервер не сообщает возможности (POP3 без CAPA): STARTTLS пробуется все равно
+                if (capabilities.length > 0 && !dialect.supportsStartTls(capabilities)) {
+                    throw stageError(`Сервер не объявил ${protocol === 'pop3' ? 'STLS' : 'STARTTLS'} в списке возможностей`, 'ESTARTTLS');
+                }
+                await dialect.startTls(reader, state);
+                const plain = reader.detach();
+                const { secure, certificate } = await upgrade(plain);
+                reader.attach(secure);
+                return { mode: 'starttls', certificate };
+            });
+            // После STARTTLS возможности запрашиваются заново (RFC 3207, RFC 2595)
+            capabilities = (await stage('capabilities', async () => ({ capabilities: await dialect.capabilities(reader, state), afterStartTls: true }))).capabilities;
+        } else if (security === 'plain') {
+            warnings.push('Соединение без шифрования: пароль передается открытым текстом.');
+        }
+
+        const mechanisms = dialect.mechanisms(capabilities);
+        context.mechanisms = mechanisms;
+        await stage('auth', async () => {
+            if (authType === 'oauth2' && !mechanisms.includes('XOAUTH2')) {
+                warnings.push('Сервер не объявил механизм XOAUTH2, вход через OAuth2 может не пройти.');
+            }
+            return { mechanisms };
+        });
+        dialect.quit(reader);
+        reader.close();
+
+        await stage('login', async () => {
+            const settings = { email, password, accessToken, tlsCa };
+            settings[`${protocol}Host`] = host;
+            settings[`${protocol}Port`] = port;
+            settings[`${protocol}Security`] = security;
+            await LOGIN[protocol](settings);
+            return { method: accessToken ? 'XOAUTH2' : 'password' };
+        });
+        return { protocol, host, port, security, ok: true, failedStage: null, secured, greeting: greeting.greeting, warnings, stages };
+    } catch (error) {
+        const failed = stages.find(item => !item.ok);
+        if (!failed) {
+            // Ошибка до первого этапа (например, plain к внешнему серверу)
+            stages.push({ stage: 'config', ok: false, duration: 0, details: null, error: error.message, code: classifyError(error).code, systemCode: null, hint: null });
+        }
+        return { protocol, host, port, security, ok: false, failedStage: failed ? failed.stage : 'config', secured, warnings, stages };
+    } finally {
+        sockets.forEach(socket => socket.destroy());
+    }
+}
+
+/**
+ * Диагностика аккаунта: протокол получения почты (IMAP или POP3) и SMTP, одновременно.
+ * account - сохраненный аккаунт или данные формы (с accessToken для OAuth2).
+ */
+async function diagnoseAccount(account) {
+    const servers = resolveServerSettings(account);
+    const provider = getAccountProvider(account);
+    const protocols = [account.fetchProtocol === 'pop3' ? 'pop3' : 'imap', 'smtp'];
+    const reports = await Promise.all(protocols.map((protocol) => {
+        const host = servers[`${protocol}Host`];
+        const port = servers[`${protocol}Port`];
+        if (!host || !port) {
+            return {
+                protocol, host, port, security: null, ok: false, failedStage: 'config', secured: false, warnings: [],
+                stages: [{ stage: 'config', ok: false, duration: 0, details: null, error: `Не удалось определить настройки ${protocol.toUpperCase()} сервера.`, code: 'SERVER_NOT_CONFIGURED', systemCode: null, hint: 'Укажите хост и порт вручную.' }]
+            };
+        }
+        return diagnoseProtocol(protocol, {
+            email: account.email,
+            password: account.password,
+            accessToken: account.accessToken,
+            authType: account.authType,
+            host,
+            port,
+            security: servers[`${protocol}Security`],
+            tlsCa: servers.tlsCa,
+            provider
+        });
+    }));
+    return Object.fromEntries(protocols.map((protocol, index) => [protocol, reports[index]]));
+}
+
+module.exports = {
+    diagnoseProtocol,
+    diagnoseAccount
+};
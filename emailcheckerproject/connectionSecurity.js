@@ -0,0 +1,98 @@
+// connectionSecurity.js - Шифрование почтовых соединений: режим tls/starttls/plain, проверка сертификата и доверенные CA
+const fs = require('fs');
+const tls = require('tls');
+const crypto = require('crypto');
+const net = require('net');
+const config = require('./config');
+
+const tlsConfig = config.MAIL_TLS;
+const SECURITY_MODES = ['tls', 'starttls', 'plain'];
+
+// Порты с неявным TLS (RFC 8314); на остальных соединение начинается открытым и переходит на TLS командой STARTTLS/STLS
+const IMPLICIT_TLS_PORTS = { imap: 993, pop3: 995, smtp: 465 };
+
+let extraCa = null;
+
+/**
+ * Режим по порту, если он не задан ни в аккаунте, ни в реестре провайдеров.
+ */
+function defaultSecurity(protocol, port) {
+    return Number(port) === IMPLICIT_TLS_PORTS[protocol] ? 'tls' : 'starttls';
+}
+
+function securityError(message) {
+    const error = new Error(message);
+    error.code = 'INSECURE_CONNECTION';
+    error.status = 400;
+    return error;
+}
+
+function isLoopback(host) {
+    const value = String(host || '').toLowerCase().replace(/^\[|\]$/g, '');
+    return value === 'localhost' || (net.isIP(value) && (value === '::1' || value.startsWith('127.')));
+}
+
+/**
+ * Соединение без шифрования допускается только с локальным хостом, если не включено MAIL_TLS.allowPlaintext:
+ * иначе пароль ушел бы по сети открытым текстом.
+ */
+function assertSecurity(protocol, host, security) {
+    if (!SECURITY_MODES.includes(security)) {
+        throw securityError(`Неизвестный режим шифрования ${protocol.toUpperCase()}: ${security}`);
+    }
+    if (security === 'plain' && !tlsConfig.allowPlaintext && !isLoopback(host)) {
+        throw securityError(`${protocol.toUpperCase()} без шифрования разрешен только для localhost (MAIL_ALLOW_PLAINTEXT=true снимает ограничение).`);
+    }
+}
+
+/**
+ * Проверяет PEM с сертификатами (CA или сертификат самого сервера); возвращает текст ошибки или null.
+ */
+function validateCertificates(pem) {
+    const blocks = String(pem || '').match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g);
+    if (!blocks) {
+        return 'ожидается сертификат в формате PEM (-----BEGIN CERTIFICATE-----)';
+    }
+    try {
+        blocks.forEach(block => new crypto.X509Certificate(block));
+    } catch (error) {
+        return `сертификат не разобран: ${error.message}`;
+    }
+    return null;
+}
+
+// Общие дополнительные CA из MAIL_TLS.caFile добавляются к системным, читаются один раз
+function loadExtraCa() {
+    if (extraCa === null) {
+        extraCa = tlsConfig.caFile ? [...tls.rootCertificates, fs.readFileSync(tlsConfig.caFile, 'utf8')] : [];
+    }
+    return extraCa;
+}
+
+/**
+ * Параметры TLS для node-imap, nodemailer и POP3. tlsCa аккаунта закрепляет доверие:
+ * сертификат сервера должен выпускаться этим CA (или совпадать с ним), системные CA не используются.
+ */
+function tlsOptions({ host, tlsCa }) {
+    const options = {
+        rejectUnauthorized: tlsConfig.rejectUnauthorized,
+        minVersion: tlsConfig.minVersion
+    };
+    if (host && !net.isIP(host)) {
+        options.servername = host;
+    }
+    if (tlsCa) {
+        options.ca = tlsCa;
+    } else if (loadExtraCa().length > 0) {
+        options.ca = loadExtraCa();
+    }
+    return options;
+}
+
+module.exports = {
+    SECURITY_MODES,
+    defaultSecurity,
+    assertSecurity,
+    validateCertificates,
+    tlsOptions
+};
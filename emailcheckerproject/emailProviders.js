@@ -1,18 +1,253 @@
-// emailProviders.js
+// emailProviders.js - Реестр почтовых провайдеров: файл JSON/YAML, дополнения через API и настройки серверов аккаунта
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const logger = require('./logger');
 const config = require('./config');
+const { SECURITY_MODES, defaultSecurity } = require('./connectionSecurity');
 
-const providers = config.PROVIDERS;
+const registryConfig = config.PROVIDER_REGISTRY;
+const RUNTIME_FILE = path.join(config.STORAGE.dataDir, config.STORAGE.providersFile);
+const PROTOCOLS = ['imap', 'pop3', 'smtp'];
+const PROVIDER_FIELDS = ['name', 'domains', 'mxDomains', ...PROTOCOLS, 'savesSentCopy', 'requiresAppPassword', 'authURL', 'authNotes', 'oauth'];
+const OAUTH_FIELDS = ['authorizationURL', 'tokenURL', 'scope', 'params'];
+const HOSTNAME = /^(?=.{1,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
 
-function getProviderSettings(email) {
-    const domain = email.split('@')[1].toLowerCase();
+// Провайдеры из файла реестра, добавленные через API и итоговый список (добавленные заменяют одноименные из файла)
+let fileProviders = {};
+let runtimeProviders = {};
+let providers = {};
+
+// Адреса OAuth2 - только https; http допускается для локального сервера авторизации (тестового)
+function isOAuthURL(value) {
+    return typeof value === 'string' && (/^https:\/\/\S+$/.test(value) || /^http:\/\/(?:localhost|127\.0\.0\.1)(?::\d+)?\/\S*$/.test(value));
+}
+
+function validateOAuth(key, oauth) {
+    const at = field => `${key}.oauth.${field}`;
+    if (!oauth || typeof oauth !== 'object' || Array.isArray(oauth)) {
+        return [`${key}.oauth: должен быть объектом { authorizationURL, tokenURL, scope, params }`];
+    }
+    const errors = Object.keys(oauth).filter(field => !OAUTH_FIELDS.includes(field)).map(field => `${at(field)}: неизвестное поле`);
+    for (const field of ['authorizationURL', 'tokenURL']) {
+        if (!isOAuthURL(oauth[field])) {
+            errors.push(`${at(field)}: ссылка https:// (http:// только для localhost)`);
+        }
+    }
+    if (typeof oauth.scope !== 'string' || !oauth.scope.trim()) {
+        errors.push(`${at('scope')}: обязательная строка (области через пробел)`);
+    }
+    if (oauth.params !== undefined && (!oauth.params || typeof oauth.params !== 'object' || Array.isArray(oauth.params)
+        || !Object.values(oauth.params).every(value => typeof value === 'string'))) {
+        errors.push(`${at('params')}: объект со строковыми значениями`);
+    }
+    return errors;
+}
+
+function registryError(message, errors) {
+    const error = new Error(errors && errors.length > 0 ? `${message}: ${errors.join('; ')}` : message);
+    error.code = 'VALIDATION_ERROR';
+    error.status = 400;
+    error.errors = errors || [];
+    return error;
+}
+
+/**
+ * Проверяет описание провайдера; возвращает список ошибок (пустой, если все верно).
+ */
+function validateProvider(key, provider) {
+    const errors = [];
+    const at = field => `${key}.${field}`;
+    if (!/^[a-z0-9][a-z0-9_-]{0,39}$/.test(key) || key === 'custom') {
+        errors.push(`${key}: ключ должен состоять из строчных латинских букв, цифр, _ и - (и не быть custom)`);
+    }
+    if (!provider || typeof provider !== 'object' || Array.isArray(provider)) {
+        return [...errors, `${key}: описание должно быть объектом`];
+    }
+    Object.keys(provider).filter(field => !PROVIDER_FIELDS.includes(field))
+        .forEach(field => errors.push(`${at(field)}: неизвестное поле`));
+    if (typeof provider.name !== 'string' || !provider.name.trim()) {
+        errors.push(`${at('name')}: обязательная строка`);
+    }
+    for (const field of ['domains', 'mxDomains']) {
+        const list = provider[field];
+        if (list !== undefined && (!Array.isArray(list) || !list.every(domain => typeof domain === 'string' && HOSTNAME.test(domain)))) {
+            errors.push(`${at(field)}: список доменов в нижнем регистре`);
+        }
+    }
+    for (const protocol of PROTOCOLS) {
+        const server = provider[protocol];
+        if (server === undefined) {
+            continue;
+        }
+        if (!server || typeof server !== 'object') {
+            errors.push(`${at(protocol)}: должен быть объектом { host, port, security }`);
+            continue;
+        }
+        if (typeof server.host !== 'string' || !HOSTNAME.test(server.host)) {
+            errors.push(`${at(protocol)}.host: некорректное имя хоста`);
+        }
+        if (!Number.isInteger(server.port) || server.port < 1 || server.port > 65535) {
+            errors.push(`${at(protocol)}.port: число от 1 до 65535`);
+        }
+        if (!SECURITY_MODES.includes(server.security)) {
+            errors.push(`${at(protocol)}.security: одно из ${SECURITY_MODES.join(', ')}`);
+        }
+        Object.keys(server).filter(field => !['host', 'port', 'security'].includes(field))
+            .forEach(field => errors.push(`${at(protocol)}.${field}: неизвестное поле`));
+    }
+    if (!provider.imap && !provider.pop3) {
+        errors.push(`${key}: нужен хотя бы один сервер получения (imap или pop3)`);
+    }
+    for (const field of ['savesSentCopy', 'requiresAppPassword']) {
+        if (provider[field] !== undefined && typeof provider[field] !== 'boolean') {
+            errors.push(`${at(field)}: true или false`);
+        }
+    }
+    if (provider.authURL !== undefined && (typeof provider.authURL !== 'string' || !/^https:\/\/\S+$/.test(provider.authURL))) {
+        errors.push(`${at('authURL')}: ссылка https://`);
+    }
+    if (provider.authNotes !== undefined && typeof provider.authNotes !== 'string') {
+        errors.push(`${at('authNotes')}: строка`);
+    }
+    if (provider.oauth !== undefined) {
+        errors.push(...validateOAuth(key, provider.oauth));
+    }
+    return errors;
+}
+
+/**
+ * Проверяет весь реестр: каждое описание и то, что домен (или домен MX) не принадлежит двум провайдерам.
+ */
+function validateRegistry(entries) {
+    const errors = Object.entries(entries).flatMap(([key, provider]) => validateProvider(key, provider));
+    for (const field of ['domains', 'mxDomains']) {
+        const owners = new Map();
+        for (const [key, provider] of Object.entries(entries)) {
+            for (const domain of (provider && Array.isArray(provider[field]) ? provider[field] : [])) {
+                if (owners.has(domain) && owners.get(domain) !== key) {
+                    errors.push(`${field} ${domain}: указан и у ${owners.get(domain)}, и у ${key}`);
+                }
+                owners.set(domain, key);
+            }
+        }
+    }
+    return errors;
+}
+
+function readRegistryFile(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    const data = /\.ya?ml$/i.test(file) ? yaml.load(text) : JSON.parse(text);
+    if (!data || typeof data.providers !== 'object' || Array.isArray(data.providers)) {
+        throw registryError(`В файле ${file} нет объекта providers`);
+    }
+    return data.providers;
+}
+
+function readRuntimeFile() {
+    try {
+        return readRegistryFile(RUNTIME_FILE);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return {};
+        }
+        throw error;
+    }
+}
+
+/**
+ * Загружает и проверяет реестр (файл PROVIDER_REGISTRY.file и добавленные через API провайдеры).
+ * Ошибочный реестр не применяется: при запуске сервер останавливается, при перезагрузке остается прежний.
+ */
+function loadProviderRegistry() {
+    const fromFile = readRegistryFile(registryConfig.file);
+    const fromRuntime = readRuntimeFile();
+    const merged = { ...fromFile, ...fromRuntime };
+    const errors = validateRegistry(merged);
+    if (errors.length > 0) {
+        throw registryError('Реестр провайдеров содержит ошибки', errors);
+    }
+    fileProviders = fromFile;
+    runtimeProviders = fromRuntime;
+    providers = merged;
+    logger.info(`Реестр провайдеров загружен: ${Object.keys(providers).length} (из файла ${Object.keys(fromFile).length}, добавлено через API ${Object.keys(fromRuntime).length}).`);
+    return listProviders();
+}
+
+async function saveRuntimeProviders(entries) {
+    await fs.promises.mkdir(path.dirname(RUNTIME_FILE), { recursive: true });
+    const tmpFile = `${RUNTIME_FILE}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpFile, JSON.stringify({ version: 1, providers: entries }, null, 2), { mode: 0o600 });
+    await fs.promises.rename(tmpFile, RUNTIME_FILE);
+}
+
+function describe(key) {
+    return { key, ...providers[key], source: runtimeProviders[key] ? 'runtime' : 'registry' };
+}
 
-    // Поиск провайдера по домену в списке известных
-    const providerKey = Object.keys(providers).find(key => {
+function listProviders() {
+    return Object.keys(providers).map(describe);
+}
+
+function getProvider(key) {
+    return key && providers[key] ? providers[key] : null;
+}
+
+/**
+ * Добавляет или заменяет провайдера (сохраняется в data/, поверх файла реестра).
+ */
+async function upsertProvider(key, provider) {
+    const entries = { ...runtimeProviders, [key]: provider };
+    const errors = validateRegistry({ ...fileProviders, ...entries });
+    if (errors.length > 0) {
+        throw registryError('Описание провайдера содержит ошибки', errors);
+    }
+    await saveRuntimeProviders(entries);
+    runtimeProviders = entries;
+    providers = { ...fileProviders, ...runtimeProviders };
+    return describe(key);
+}
+
+/**
+ * Удаляет провайдера, добавленного через API. Если он заменял провайдера из файла, снова действует описание из файла.
+ */
+async function removeProvider(key) {
+    if (!runtimeProviders[key]) {
+        const error = new Error(fileProviders[key]
+            ? `Провайдер ${key} задан в файле реестра, измените файл и перезагрузите реестр`
+            : `Провайдер ${key} не найден`);
+        error.status = fileProviders[key] ? 409 : 404;
+        throw error;
+    }
+    const entries = { ...runtimeProviders };
+    delete entries[key];
+    await saveRuntimeProviders(entries);
+    runtimeProviders = entries;
+    providers = { ...fileProviders, ...runtimeProviders };
+    return fileProviders[key] ? describe(key) : null;
+}
+
+// Ключ известного провайдера для домена адреса или null
+function findProviderKey(domain) {
+    domain = domain.toLowerCase();
+    return Object.keys(providers).find(key => {
         const provider = providers[key];
-        // Проверяем, содержит ли хост IMAP или POP3 домен в имени
-        return (provider.imap && provider.imap.host.includes(domain)) ||
+        // Сначала явный список доменов провайдера, затем домен в имени хоста IMAP или POP3
+        return (provider.domains || []).includes(domain) ||
+               (provider.imap && provider.imap.host.includes(domain)) ||
                (provider.pop3 && provider.pop3.host.includes(domain));
-    });
+    }) || null;
+}
+
+// Ключ провайдера, которому принадлежит MX-сервер (mx.google.com -> gmail), или null
+function findProviderKeyByMx(mxHost) {
+    const host = mxHost.toLowerCase().replace(/\.$/, '');
+    return Object.keys(providers).find(key =>
+        (providers[key].mxDomains || []).some(suffix => host === suffix || host.endsWith(`.${suffix}`))) || null;
+}
+
+function getProviderSettings(email) {
+    const providerKey = findProviderKey(email.split('@')[1]);
 
     if (providerKey) {
         return providers[providerKey];
@@ -22,6 +257,54 @@ function getProviderSettings(email) {
     return null;
 }
 
+/**
+ * Ключ провайдера аккаунта: выбранный пользователем (поле provider) или определенный по домену адреса.
+ */
+function getAccountProviderKey(account) {
+    if (getProvider(account.provider)) {
+        return account.provider;
+    }
+    return account.email ? findProviderKey(account.email.split('@')[1]) : null;
+}
+
+/**
+ * Провайдер аккаунта: выбранный пользователем (поле provider) или определенный по домену адреса.
+ */
+function getAccountProvider(account) {
+    return getProvider(getAccountProviderKey(account));
+}
+
+/**
+ * Серверы аккаунта. Хост, порт и режим шифрования, заданные пользователем, всегда важнее значений из реестра;
+ * реестр подставляет только то, что не заполнено. Режим из реестра действует только для его же хоста и порта,
+ * иначе режим определяется по порту (993, 995, 465 - TLS, остальные - STARTTLS).
+ */
+function resolveServerSettings(account) {
+    const provider = getAccountProvider(account) || {};
+    const settings = { tlsCa: account.tlsCa || null };
+    for (const protocol of PROTOCOLS) {
+        const defaults = provider[protocol] || {};
+        const host = account[`${protocol}Host`] || defaults.host || null;
+        const port = Number(account[`${protocol}Port`] || defaults.port) || null;
+        const fromRegistry = Boolean(defaults.security) && host === defaults.host && port === defaults.port;
+        settings[`${protocol}Host`] = host;
+        settings[`${protocol}Port`] = port;
+        settings[`${protocol}Security`] = account[`${protocol}Security`] || (fromRegistry ? defaults.security : defaultSecurity(protocol, port));
+    }
+    return settings;
+}
+
 module.exports = {
-    getProviderSettings
-};
\ No newline at end of file
+    SECURITY_MODES,
+    loadProviderRegistry,
+    listProviders,
+    getProvider,
+    upsertProvider,
+    removeProvider,
+    getProviderSettings,
+    getAccountProviderKey,
+    getAccountProvider,
+    resolveServerSettings,
+    findProviderKey,
+    findProviderKeyByMx
+};
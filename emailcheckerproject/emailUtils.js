@@ -1,55 +1,62 @@
-const Imap = require('imap');
 const nodemailer = require('nodemailer');
 const { simpleParser } = require('mailparser');
-const POP3 = require('poplib');
 const logger = require('./logger');
-const config = require('./config');
+const { withImapConnection } = require('./imapPool');
+const { openPop3Session } = require('./pop3Client');
+const { assertSecurity, defaultSecurity, tlsOptions } = require('./connectionSecurity');
+const { mailError } = require('./mailErrors');
+const {
+    decodeMimeWords, describePart, describeStructure, findPart, listAttachments, findTextPart,
+    decodeTextPart, createPartDecoder, makeSnippet, formatEnvelopeAddresses
+} = require('./mimeParts');
+const { threadMessages, threadsFromServer } = require('./threading');
 
-// Убедитесь, что у вас установлен poplib: npm install poplib
+// Текстовые части больше этого размера не загружаются ради фрагмента в списке
+const SNIPPET_MAX_PART_SIZE = 256 * 1024;
+
+// ENVELOPE не содержит References, а он нужен для группировки в цепочки
+const REFERENCES_FIELD = 'HEADER.FIELDS (REFERENCES)';
 
 /**
  * Тестирует IMAP-соединение.
  */
-function testImapConnection({ email, password, imapHost, imapPort }) {
-    return new Promise((resolve, reject) => {
-        const imap = new Imap({
-            user: email,
-            password: password,
-            host: imapHost,
-            port: imapPort,
-            tls: true,
-            tlsOptions: { rejectUnauthorized: config.HTTPS ? config.HTTPS.rejectUnauthorized : false },
-            connTimeout: config.EMAIL.imap.connectionTimeout,
-            authTimeout: config.EMAIL.imap.authTimeout
-        });
-        
-        imap.once('ready', () => {
-            imap.end();
-            resolve(true);
-        });
-        
-        imap.once('error', (err) => {
-            reject(err);
-        });
-        
-        imap.connect();
-    });
+function testImapConnection({ email, password, accessToken, imapHost, imapPort, imapSecurity, tlsCa }) {
+    // Сессия из пула либо проходит NOOP, либо открывается заново с авторизацией
+    return withImapConnection({ email, password, accessToken, imapHost, imapPort, imapSecurity, tlsCa }, () => true);
 }
 
 /**
- * Тестирует SMTP-соединение.
+ * Данные входа для nodemailer: пароль или токен OAuth2 (AUTH XOAUTH2).
  */
-function testSmtpConnection({ email, password, smtpHost, smtpPort }) {
+function smtpAuth(user, password, accessToken) {
+    return accessToken ? { type: 'OAuth2', user, accessToken } : { user, pass: password };
+}
+
+/**
+ * Настройки соединения nodemailer по режиму smtpSecurity: tls - TLS сразу,
+ * starttls - обязательный STARTTLS (requireTLS), plain - без шифрования (STARTTLS не используется).
+ */
+function smtpTransportOptions({ smtpHost, smtpPort, smtpSecurity = defaultSecurity('smtp', smtpPort), tlsCa }) {
+    assertSecurity('smtp', smtpHost, smtpSecurity);
+    return {
+        host: smtpHost,
+        port: smtpPort,
+        secure: smtpSecurity === 'tls',
+        requireTLS: smtpSecurity === 'starttls',
+        ignoreTLS: smtpSecurity === 'plain',
+        tls: tlsOptions({ host: smtpHost, tlsCa })
+    };
+}
+
+/**
+ * Тестирует SMTP-соединение. timeout (мс) ограничивает подключение, приветствие и ожидание каждого ответа.
+ */
+function testSmtpConnection({ email, password, accessToken, smtpHost, smtpPort, smtpSecurity, tlsCa }, { timeout } = {}) {
     return new Promise((resolve, reject) => {
         const transporter = nodemailer.createTransport({
-            host: smtpHost,
-            port: smtpPort,
-            secure: smtpPort === 465,
-            auth: {
-                user: email,
-                pass: password
-            },
-            tls: { rejectUnauthorized: config.HTTPS ? config.HTTPS.rejectUnauthorized : false }
+            ...smtpTransportOptions({ smtpHost, smtpPort, smtpSecurity, tlsCa }),
+            ...(timeout ? { connectionTimeout: timeout, greetingTimeout: timeout, socketTimeout: timeout } : {}),
+            auth: smtpAuth(email, password, accessToken)
         });
         
         transporter.verify((error, success) => {
@@ -63,310 +70,492 @@ function testSmtpConnection({ email, password, smtpHost, smtpPort }) {
 }
 
 /**
- * Тестирует POP3-соединение.
+ * Тестирует POP3-соединение: вход и STAT. timeout (мс) ограничивает подключение и ожидание каждого ответа.
  */
-function testPop3Connection({ email, password, pop3Host, pop3Port }) {
-    return new Promise((resolve, reject) => {
-        const client = new POP3(pop3Host, pop3Port, { tls: true, strictSSL: false });
-        
-        client.on('error', (err) => {
-            client.quit();
-            reject(new Error(`POP3 connection error: ${err.message}`));
-        });
+async function testPop3Connection({ email, password, accessToken, pop3Host, pop3Port, pop3Security, tlsCa }, { timeout } = {}) {
+    const session = await openPop3Session({ email, password, accessToken, pop3Host, pop3Port, pop3Security, tlsCa }, { timeout });
+    try {
+        await session.stat();
+        await session.quit();
+    } finally {
+        session.close();
+    }
+    return true;
+}
 
-        client.on('connect', () => {
-            client.login(email, password, (err) => {
-                if (err) {
-                    client.quit();
-                    reject(new Error(`POP3 login failed: ${err.message}`));
-                } else {
-                    client.quit();
-                    resolve(true);
-                }
-            });
-        });
+/**
+ * Курсор пагинации: "<UIDVALIDITY>:<UID>".
+ */
+function formatCursor(uidValidity, uid) {
+    return `${uidValidity}:${uid}`;
+}
 
-        client.connect();
-    });
+function parseCursor(cursor) {
+    const match = /^(\d+):(\d+)$/.exec(String(cursor || ''));
+    if (!match) {
+        return null;
+    }
+    return { uidValidity: Number(match[1]), uid: Number(match[2]) };
 }
 
 /**
- * Получает письма через IMAP.
+ * Выбирает страницу UID относительно курсора.
+ * older - письма старше курсора (от новых к старым), newer - письма новее курсора.
  */
-function fetchImapEmails({ email, password, imapHost, imapPort, folder, count }) {
-    return new Promise((resolve, reject) => {
-        const imap = new Imap({
-            user: email,
-            password: password,
-            host: imapHost,
-            port: imapPort,
-            tls: true,
-            tlsOptions: { rejectUnauthorized: config.HTTPS ? config.HTTPS.rejectUnauthorized : false }
+function selectUidPage(uids, { cursorUid, direction, count }) {
+    const sorted = [...uids].sort((a, b) => a - b);
+    if (direction === 'newer') {
+        const candidates = cursorUid ? sorted.filter(uid => uid > cursorUid) : sorted.slice(-count);
+        return { page: candidates.slice(0, count), hasMore: candidates.length > count };
+    }
+    const candidates = cursorUid ? sorted.filter(uid => uid < cursorUid) : sorted;
+    return { page: candidates.slice(-count), hasMore: candidates.length > count };
+}
+
+/**
+ * Группирует страницу писем в цепочки: командой UID THREAD REFERENCES, если сервер ее поддерживает,
+ * иначе локально по алгоритму JWZ.
+ */
+function buildThreads(imap, emails) {
+    if (emails.length === 0) {
+        return Promise.resolve([]);
+    }
+    if (!imap.serverSupports('THREAD=REFERENCES')) {
+        return Promise.resolve(threadMessages(emails));
+    }
+    return new Promise((resolve) => {
+        imap.thread('REFERENCES', [['UID', emails.map(item => item.uid).join(',')]], (err, tree) => {
+            if (err) {
+                logger.warn(`Команда THREAD завершилась ошибкой, группируем письма локально: ${err.message}`);
+                resolve(threadMessages(emails));
+                return;
+            }
+            resolve(threadsFromServer(tree, emails));
         });
-        
+    });
+}
+
+/**
+ * Получает письма через IMAP постранично по UID.
+ * threads: true добавляет в ответ цепочки писем страницы, search - дополнительные условия IMAP SEARCH.
+ */
+function fetchImapEmails({ email, password, accessToken, imapHost, imapPort, imapSecurity, tlsCa, folder, count, cursor, direction = 'older', threads = false, search = [] }) {
+    return withImapConnection({ email, password, accessToken, imapHost, imapPort, imapSecurity, tlsCa }, (imap) => new Promise((resolve, reject) => {
         const emails = [];
         
-        imap.once('ready', () => {
-            imap.openBox(folder, true, (err, box) => {
+        imap.openBox(folder, true, (err, box) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            
+            const uidValidity = Number(box.uidvalidity);
+            const parsedCursor = parseCursor(cursor);
+            // UIDVALIDITY изменился: старые UID недействительны, клиент должен пересинхронизироваться
+            const resyncRequired = Boolean(parsedCursor && parsedCursor.uidValidity !== uidValidity);
+            const cursorUid = parsedCursor && !resyncRequired ? parsedCursor.uid : null;
+            if (resyncRequired) {
+                logger.warn(`UIDVALIDITY папки ${folder} у ${email} изменился (${parsedCursor.uidValidity} -> ${uidValidity}).`);
+            }
+            
+            const result = {
+                emails,
+                uidValidity,
+                uidNext: box.uidnext,
+                total: box.messages.total,
+                resyncRequired,
+                hasMore: false,
+                nextCursor: null,
+                latestCursor: cursorUid && direction === 'newer' ? formatCursor(uidValidity, cursorUid) : null
+            };
+            if (threads) {
+                result.threads = [];
+            }
+            
+            if (box.messages.total === 0) {
+                resolve(result);
+                return;
+            }
+            
+            // Условия поиска (search) объединяются с диапазоном UID курсора
+            const criteria = [...search];
+            if (cursorUid && direction === 'newer') {
+                criteria.push(['UID', `${cursorUid + 1}:*`]);
+            } else if (cursorUid) {
+                if (cursorUid <= 1) {
+                    resolve(result);
+                    return;
+                }
+                criteria.push(['UID', `1:${cursorUid - 1}`]);
+            }
+            if (criteria.length === 0) {
+                criteria.push('ALL');
+            }
+            
+            imap.search(criteria, (err, uids) => {
                 if (err) {
                     reject(err);
                     return;
                 }
                 
-                if (box.messages.total === 0) {
-                    resolve([]);
-                    imap.end();
+                const { page, hasMore } = selectUidPage(uids, { cursorUid, direction, count });
+                result.hasMore = hasMore;
+                if (search.length > 0) {
+                    result.matched = uids.filter(uid => (direction === 'newer' ? !cursorUid || uid > cursorUid : !cursorUid || uid < cursorUid)).length;
+                }
+                if (page.length === 0) {
+                    result.nextCursor = direction === 'newer' ? result.latestCursor : null;
+                    resolve(result);
                     return;
                 }
                 
-                const fetchCount = Math.min(count, box.messages.total);
-                const start = Math.max(1, box.messages.total - fetchCount + 1);
-                const end = box.messages.total;
-                
-                const fetch = imap.seq.fetch(`${start}:${end}`, {
-                    bodies: '',
-                    struct: true
-                });
-                
-                fetch.on('message', (msg) => {
-                    const emailData = {};
-                    
-                    msg.on('body', (stream) => {
-                        simpleParser(stream, (err, parsed) => {
-                            if (err) {
-                                logger.error(`Ошибка разбора письма: ${err.message}`);
-                                return;
-                            }
-                            emailData.from = parsed.from ? parsed.from.text : 'Неизвестно';
-                            emailData.to = parsed.to ? parsed.to.text : 'Неизвестно';
-                            emailData.subject = parsed.subject || 'Без темы';
-                            emailData.date = parsed.date ? new Date(parsed.date).toLocaleString('ru-RU') : 'Неизвестно';
-                            emailData.body = parsed.html || parsed.text;
-                        });
-                    });
-                    
-                    msg.once('attributes', (attrs) => {
-                        emailData.unread = !attrs.flags.includes('\\Seen');
-                        emailData.uid = attrs.uid;
-                        emails.push(emailData);
-                    });
-                });
-                
-                fetch.once('error', (err) => {
-                    reject(err);
-                });
+                const newestUid = page[page.length - 1];
+                if (direction === 'newer') {
+                    result.nextCursor = formatCursor(uidValidity, newestUid);
+                    result.latestCursor = result.nextCursor;
+                } else {
+                    result.nextCursor = hasMore ? formatCursor(uidValidity, page[0]) : null;
+                    if (!cursorUid) {
+                        result.latestCursor = formatCursor(uidValidity, newestUid);
+                    }
+                }
                 
-                fetch.once('end', () => {
-                    imap.end();
-                    emails.sort((a, b) => new Date(b.date) - new Date(a.date));
-                    resolve(emails);
-                });
+                fetchListItems(imap, page)
+                    .then(async (items) => {
+                        emails.push(...items);
+                        if (threads) {
+                            result.threads = await buildThreads(imap, emails);
+                        }
+                        resolve(result);
+                    })
+                    .catch(reject);
             });
         });
-        
-        imap.once('error', (err) => {
-            reject(err);
-        });
-        
-        imap.connect();
-    });
+    }));
 }
 
 /**
- * Получает письма через POP3.
+ * Элементы списка писем открытой папки по UID (от новых к старым): ENVELOPE, флаги, размер, вложения и snippet.
  */
-function fetchPop3Emails({ email, password, pop3Host, pop3Port, count }) {
+async function fetchListItems(imap, uids) {
+    const items = (await collectFetch(imap, uids, { envelope: true, struct: true, size: true, bodies: [REFERENCES_FIELD] }))
+        .map(({ attrs, bodies }) => toListItem(attrs, bodies));
+    await loadSnippets(imap, items);
+    items.sort((a, b) => b.uid - a.uid);
+    items.forEach(item => delete item.struct);
+    return items;
+}
+
+/**
+ * Выполняет FETCH и собирает атрибуты и тела частей по каждому письму.
+ */
+function collectFetch(imap, uids, options) {
     return new Promise((resolve, reject) => {
-        const client = new POP3(pop3Host, pop3Port, { tls: true, strictSSL: false });
-        const emails = [];
+        const messages = [];
+        const fetch = imap.fetch(uids, options);
         
-        client.on('error', (err) => {
-            client.quit();
-            reject(new Error(`POP3 connection error: ${err.message}`));
-        });
-
-        client.on('connect', () => {
-            client.login(email, password, (err) => {
-                if (err) {
-                    client.quit();
-                    reject(new Error(`POP3 login failed: ${err.message}`));
-                } else {
-                    client.stat((err, msgCount) => {
-                        if (err) {
-                            client.quit();
-                            return reject(new Error(`POP3 stat failed: ${err.message}`));
-                        }
-                        
-                        const fetchCount = Math.min(msgCount, count);
-                        if (fetchCount === 0) {
-                            client.quit();
-                            return resolve([]);
-                        }
-
-                        let fetched = 0;
-                        for (let i = 1; i <= fetchCount; i++) {
-                            client.retr(i, (err, data) => {
-                                if (err) {
-                                    logger.error(`Ошибка POP3 RETR: ${err.message}`);
-                                    fetched++;
-                                } else {
-                                    simpleParser(data, (err, parsed) => {
-                                        if (err) {
-                                            logger.error(`Ошибка разбора письма: ${err.message}`);
-                                            return;
-                                        }
-                                        emails.push({
-                                            id: i,
-                                            from: parsed.from ? parsed.from.text : 'Неизвестно',
-                                            subject: parsed.subject || 'Без темы',
-                                            date: parsed.date ? new Date(parsed.date).toLocaleString('ru-RU') : 'Неизвестно',
-                                            body: parsed.html || parsed.text,
-                                        });
-                                        fetched++;
-                                        if (fetched === fetchCount) {
-                                            client.quit();
-                                            resolve(emails);
-                                        }
-                                    });
-                                }
-                            });
-                        }
-                    });
-                }
+        fetch.on('message', (msg) => {
+            const message = { attrs: null, bodies: {} };
+            messages.push(message);
+            
+            msg.on('body', (stream, info) => {
+                const chunks = [];
+                stream.on('data', (chunk) => chunks.push(chunk));
+                stream.once('end', () => {
+                    message.bodies[info.which] = Buffer.concat(chunks);
+                });
+            });
+            
+            msg.once('attributes', (attrs) => {
+                message.attrs = attrs;
             });
         });
         
-        client.connect();
+        fetch.once('error', reject);
+        fetch.once('end', () => resolve(messages.filter(message => message.attrs)));
     });
 }
 
 /**
- * Отправляет письмо через SMTP.
+ * Элемент списка писем по ENVELOPE/FLAGS/BODYSTRUCTURE, без загрузки тела.
  */
-function sendEmail({ from, password, smtpHost, smtpPort, to, subject, text }) {
-    return new Promise((resolve, reject) => {
-        const transporter = nodemailer.createTransport({
-            host: smtpHost,
-            port: smtpPort,
-            secure: smtpPort === 465,
-            auth: {
-                user: from,
-                pass: password
-            },
-            tls: { rejectUnauthorized: config.HTTPS ? config.HTTPS.rejectUnauthorized : false }
-        });
-        
-        const mailOptions = {
-            from: from,
-            to: to,
-            subject: subject,
-            text: text,
-            html: text.replace(/\n/g, '<br>')
-        };
-        
-        transporter.sendMail(mailOptions, (error, info) => {
-            if (error) {
-                reject(error);
-            } else {
-                resolve(info);
+function toListItem(attrs, bodies = {}) {
+    const envelope = attrs.envelope || {};
+    const referencesHeader = bodies[REFERENCES_FIELD] ? bodies[REFERENCES_FIELD].toString('utf8') : '';
+    const attachments = listAttachments(attrs.struct);
+    return {
+        uid: attrs.uid,
+        messageId: envelope.messageId || null,
+        inReplyTo: envelope.inReplyTo || null,
+        references: referencesHeader.match(/<[^<>\s]+>/g) || [],
+        from: formatEnvelopeAddresses(envelope.from) || 'Неизвестно',
+        to: formatEnvelopeAddresses(envelope.to) || 'Неизвестно',
+        cc: formatEnvelopeAddresses(envelope.cc),
+        subject: envelope.subject || 'Без темы',
+        date: envelope.date && !isNaN(envelope.date) ? envelope.date.toISOString() : (attrs.date ? new Date(attrs.date).toISOString() : null),
+        size: attrs.size || 0,
+        flags: attrs.flags,
+        unread: !attrs.flags.includes('\\Seen'),
+        flagged: attrs.flags.includes('\\Flagged'),
+        snippet: '',
+        hasAttachments: attachments.some(attachment => !attachment.inline),
+        attachments,
+        struct: attrs.struct
+    };
+}
+
+/**
+ * Догружает короткие фрагменты текста: только текстовую часть, без вложений.
+ * Письма группируются по номеру текстовой части, чтобы обойтись одним FETCH на группу.
+ */
+async function loadSnippets(imap, items) {
+    const groups = new Map();
+    for (const item of items) {
+        const part = findTextPart(item.struct);
+        if (!part || part.size > SNIPPET_MAX_PART_SIZE) {
+            continue;
+        }
+        if (!groups.has(part.partID)) {
+            groups.set(part.partID, []);
+        }
+        groups.get(part.partID).push({ item, part });
+    }
+    
+    for (const [partId, entries] of groups) {
+        const messages = await collectFetch(imap, entries.map(entry => entry.item.uid), { bodies: [partId] });
+        const rawByUid = new Map(messages.map(message => [message.attrs.uid, message.bodies[partId]]));
+        await Promise.all(entries.map(async ({ item, part }) => {
+            const raw = rawByUid.get(item.uid);
+            if (!raw) {
+                return;
             }
-        });
-    });
+            try {
+                const decoded = await decodeTextPart(raw, part);
+                item.snippet = makeSnippet(decoded.text);
+            } catch (error) {
+                logger.warn(`Не удалось разобрать текст письма UID ${item.uid}: ${error.message}`);
+            }
+        }));
+    }
+}
+
+function messageNotFound(uid, folder) {
+    const error = mailError('MESSAGE_NOT_FOUND', `Письмо UID ${uid} не найдено в папке ${folder}`);
+    error.notFound = true;
+    return error;
 }
 
 /**
- * Помечает письма как прочитанные (только для IMAP).
+ * Заголовки письма: имя (в нижнем регистре) -> массив декодированных значений.
  */
-function markAsRead({ email, password, imapHost, imapPort, messageIds }) {
-    // В POP3 нет концепции "прочитано", так как письма обычно удаляются с сервера после загрузки.
-    // Поэтому эта функция работает только для IMAP.
-    return new Promise((resolve, reject) => {
-        const imap = new Imap({
-            user: email,
-            password: password,
-            host: imapHost,
-            port: imapPort,
-            tls: true,
-            tlsOptions: { rejectUnauthorized: config.HTTPS ? config.HTTPS.rejectUnauthorized : false }
-        });
-        
-        imap.once('ready', () => {
-            imap.openBox('INBOX', false, (err) => {
-                if (err) {
-                    reject(err);
-                    return;
+function collectHeaders(headerLines) {
+    const headers = {};
+    for (const { key, line } of headerLines || []) {
+        const value = line.slice(line.indexOf(':') + 1).replace(/\r?\n[ \t]+/g, ' ').trim();
+        (headers[key] = headers[key] || []).push(decodeMimeWords(value));
+    }
+    return headers;
+}
+
+/**
+ * Загружает одно письмо по UID: все заголовки, текстовые части и описание вложений.
+ * Сами вложения не загружаются - для них есть streamImapAttachment.
+ */
+function getImapMessage({ email, password, accessToken, imapHost, imapPort, imapSecurity, tlsCa, folder = 'INBOX', uid, markSeen = false }) {
+    return withImapConnection({ email, password, accessToken, imapHost, imapPort, imapSecurity, tlsCa }, (imap) => new Promise((resolve, reject) => {
+        imap.openBox(folder, !markSeen, (err) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            
+            (async () => {
+                const [message] = await collectFetch(imap, [uid], { bodies: ['HEADER'], struct: true, size: true });
+                if (!message) {
+                    throw messageNotFound(uid, folder);
+                }
+                
+                const { attrs } = message;
+                const parsed = await simpleParser(message.bodies.HEADER || Buffer.alloc(0));
+                const textPart = findTextPart(attrs.struct, 'plain');
+                const htmlPart = findTextPart(attrs.struct, 'html');
+                const textParts = [textPart, htmlPart].filter((part, index, all) =>
+                    part && (part.subtype === 'plain' || part.subtype === 'html') && all.indexOf(part) === index);
+                
+                // Тела текстовых частей загружаем одним FETCH; потоки дочитываются до конца FETCH
+                let bodies = {};
+                if (textParts.length > 0) {
+                    const [withBodies] = await collectFetch(imap, [uid], {
+                        bodies: textParts.map(part => part.partID),
+                        markSeen: Boolean(markSeen)
+                    });
+                    bodies = withBodies ? withBodies.bodies : {};
+                } else if (markSeen) {
+                    await new Promise((done, fail) => imap.addFlags([uid], '\\Seen', e => (e ? fail(e) : done())));
                 }
                 
-                // Используем uid, а не seqno, для более надежной работы
-                imap.addFlags(messageIds, '\\Seen', (err) => {
-                    imap.end();
-                    if (err) {
-                        reject(err);
+                let text = '';
+                let html = null;
+                for (const part of textParts) {
+                    if (!bodies[part.partID]) {
+                        continue;
+                    }
+                    const decoded = await decodeTextPart(bodies[part.partID], part);
+                    if (part.subtype === 'html') {
+                        html = decoded.html;
+                        text = text || decoded.text;
                     } else {
-                        resolve(true);
+                        text = decoded.text;
                     }
-                });
-            });
-        });
-        
-        imap.once('error', (err) => {
-            reject(err);
+                }
+                
+                const attachments = listAttachments(attrs.struct);
+                const flags = markSeen && !attrs.flags.includes('\\Seen') ? [...attrs.flags, '\\Seen'] : attrs.flags;
+                return {
+                    uid: attrs.uid,
+                    folder,
+                    flags,
+                    unread: !flags.includes('\\Seen'),
+                    size: attrs.size || 0,
+                    messageId: parsed.messageId || null,
+                    inReplyTo: parsed.inReplyTo || null,
+                    references: parsed.references ? [].concat(parsed.references) : [],
+                    from: parsed.from ? parsed.from.text : 'Неизвестно',
+                    to: parsed.to ? parsed.to.text : '',
+                    cc: parsed.cc ? parsed.cc.text : '',
+                    bcc: parsed.bcc ? parsed.bcc.text : '',
+                    replyTo: parsed.replyTo ? parsed.replyTo.text : '',
+                    subject: parsed.subject || 'Без темы',
+                    date: parsed.date ? parsed.date.toISOString() : null,
+                    headers: collectHeaders(parsed.headerLines),
+                    text,
+                    html,
+                    structure: describeStructure(attrs.struct),
+                    attachments: attachments.filter(attachment => !attachment.inline),
+                    inlineImages: attachments.filter(attachment => attachment.inline)
+                };
+            })().then(resolve, reject);
         });
-        
-        imap.connect();
-    });
+    }));
 }
 
 /**
- * Получает список папок (только для IMAP).
+ * Загружает письмо целиком в исходном виде (для пересылки и цитирования), не помечая его прочитанным.
  */
-function getFolders({ email, password, imapHost, imapPort }) {
-    // POP3 не поддерживает папки.
-    return new Promise((resolve, reject) => {
-        const imap = new Imap({
-            user: email,
-            password: password,
-            host: imapHost,
-            port: imapPort,
-            tls: true,
-            tlsOptions: { rejectUnauthorized: config.HTTPS ? config.HTTPS.rejectUnauthorized : false }
-        });
-        
-        imap.once('ready', () => {
-            imap.getBoxes((err, boxes) => {
-                imap.end();
-                if (err) {
-                    reject(err);
-                } else {
-                    const folderList = extractFolderNames(boxes);
-                    resolve(folderList);
+function fetchImapRawMessage({ email, password, accessToken, imapHost, imapPort, imapSecurity, tlsCa, folder = 'INBOX', uid }) {
+    return withImapConnection({ email, password, accessToken, imapHost, imapPort, imapSecurity, tlsCa }, (imap) => new Promise((resolve, reject) => {
+        imap.openBox(folder, true, (err) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            
+            collectFetch(imap, [uid], { bodies: [''] }).then(([message]) => {
+                if (!message || !message.bodies['']) {
+                    throw messageNotFound(uid, folder);
                 }
-            });
+                return message.bodies[''];
+            }).then(resolve, reject);
         });
-        
-        imap.once('error', (err) => {
-            reject(err);
+    }));
+}
+
+/**
+ * Исходное письмо для ответа или пересылки: raw и результат simpleParser (с содержимым вложений).
+ */
+async function getImapOriginal(options) {
+    const raw = await fetchImapRawMessage(options);
+    return { raw, parsed: await simpleParser(raw) };
+}
+
+/**
+ * Добавляет флаг письму (например, \Answered после ответа или $Forwarded после пересылки).
+ */
+function addImapFlag({ email, password, accessToken, imapHost, imapPort, imapSecurity, tlsCa, folder = 'INBOX', uid, flag }) {
+    return withImapConnection({ email, password, accessToken, imapHost, imapPort, imapSecurity, tlsCa }, (imap) => new Promise((resolve, reject) => {
+        imap.openBox(folder, false, (err) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            
+            // Флаги без обратной косой черты - ключевые слова (IMAP KEYWORD)
+            const callback = (error) => (error ? reject(error) : resolve(true));
+            if (flag.startsWith('\\')) {
+                imap.addFlags([uid], flag, callback);
+            } else {
+                imap.addKeywords([uid], flag, callback);
+            }
         });
-        
-        imap.connect();
-    });
+    }));
 }
 
-function extractFolderNames(boxes, prefix = '') {
-    const folders = [];
-    for (const name in boxes) {
-        const fullName = prefix + name;
-        folders.push({
-            name: fullName,
-            delimiter: boxes[name].delimiter,
-            children: boxes[name].children
+/**
+ * Отдает одну часть письма потоком, не загружая письмо целиком.
+ * onStart(attachment, stream) вызывается, когда известны тип и имя части; промис завершается вместе с потоком.
+ */
+function streamImapAttachment({ email, password, accessToken, imapHost, imapPort, imapSecurity, tlsCa, folder = 'INBOX', uid, partId }, onStart) {
+    return withImapConnection({ email, password, accessToken, imapHost, imapPort, imapSecurity, tlsCa }, (imap) => new Promise((resolve, reject) => {
+        imap.openBox(folder, true, (err) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            
+            collectFetch(imap, [uid], { struct: true }).then(([message]) => {
+                if (!message) {
+                    throw messageNotFound(uid, folder);
+                }
+                const part = findPart(message.attrs.struct, partId);
+                if (!part) {
+                    const error = new Error(`Часть ${partId} не найдена в письме UID ${uid}`);
+                    error.notFound = true;
+                    throw error;
+                }
+                
+                const info = describePart(part);
+                const attachment = {
+                    partId: info.partId,
+                    filename: info.filename || `part-${info.partId}`,
+                    contentType: info.charset ? `${info.contentType}; charset=${info.charset}` : info.contentType,
+                    size: info.size
+                };
+                
+                // Соединение возвращается в пул, когда закончились и FETCH, и поток (или клиент отключился)
+                let started = false;
+                let fetchDone = false;
+                let streamDone = false;
+                const finish = () => {
+                    if (fetchDone && streamDone) {
+                        resolve();
+                    }
+                };
+                
+                const fetch = imap.fetch([uid], { bodies: [info.partId] });
+                fetch.on('message', (msg) => {
+                    msg.on('body', (stream) => {
+                        started = true;
+                        const decoded = stream.pipe(createPartDecoder(info.encoding));
+                        decoded.once('close', () => {
+                            streamDone = true;
+                            finish();
+                        });
+                        decoded.once('error', reject);
+                        onStart(attachment, decoded);
+                    });
+                });
+                fetch.once('error', reject);
+                fetch.once('end', () => {
+                    fetchDone = true;
+                    if (!started) {
+                        reject(messageNotFound(uid, folder));
+                        return;
+                    }
+                    finish();
+                });
+            }).catch(reject);
         });
-        
-        if (boxes[name].children) {
-            folders.push(...extractFolderNames(boxes[name].children, fullName + boxes[name].delimiter));
-        }
-    }
-    return folders;
+    }));
 }
 
 // Экспортируем все функции, которые будут использоваться в
@@ -375,8 +564,16 @@ module.exports = {
     testSmtpConnection,
     testPop3Connection,
     fetchImapEmails,
-    fetchPop3Emails,
-    sendEmail,
-    markAsRead,
-    getFolders
+    fetchListItems,
+    collectFetch,
+    formatCursor,
+    parseCursor,
+    selectUidPage,
+    getImapMessage,
+    fetchImapRawMessage,
+    getImapOriginal,
+    addImapFlag,
+    streamImapAttachment,
+    smtpAuth,
+    smtpTransportOptions
 };
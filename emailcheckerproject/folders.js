@@ -0,0 +1,223 @@
+// folders.js - Папки IMAP: список с атрибутами SPECIAL-USE и счетчиками STATUS, создание, переименование, удаление, подписка
+const logger = require('./logger');
+const { withImapConnection, call } = require('./imapPool');
+const { mailError } = require('./mailErrors');
+
+// Атрибуты SPECIAL-USE (RFC 6154) -> роль папки в ответе API
+const SPECIAL_USE_ROLES = {
+    '\\Sent': 'sent',
+    '\\Drafts': 'drafts',
+    '\\Trash': 'trash',
+    '\\Junk': 'junk',
+    '\\Archive': 'archive',
+    '\\All': 'all',
+    '\\Flagged': 'flagged'
+};
+
+// Имена папок у серверов без SPECIAL-USE (сравниваются без учета регистра)
+const ROLE_NAMES = {
+    sent: ['sent', 'sent items', 'sent mail', 'sent messages', 'отправленные'],
+    drafts: ['drafts', 'draft', 'черновики'],
+    trash: ['trash', 'deleted', 'deleted items', 'deleted messages', 'корзина', 'удаленные', 'удалённые'],
+    junk: ['junk', 'spam', 'junk e-mail', 'junk email', 'bulk mail', 'спам'],
+    archive: ['archive', 'archives', 'архив']
+};
+
+const ROLES = [...new Set(Object.values(SPECIAL_USE_ROLES))];
+
+/**
+ * Снимает выбор папки без EXPUNGE: STATUS нельзя выполнять для выбранной папки,
+ * а соединение из пула могло остаться в папке после прошлого запроса.
+ */
+async function unselect(imap) {
+    try {
+        await call(imap, 'closeBox', false);
+    } catch (error) {
+        // Папка не была выбрана
+    }
+}
+
+function flattenBoxes(tree, prefix = '', parent = null) {
+    const folders = [];
+    for (const [name, box] of Object.entries(tree || {})) {
+        const path = prefix + name;
+        const attribs = box.attribs || [];
+        folders.push({
+            path,
+            name,
+            parent,
+            delimiter: box.delimiter,
+            attribs,
+            selectable: !attribs.some(attrib => /^\\Noselect$|^\\NonExistent$/i.test(attrib))
+        });
+        if (box.children) {
+            folders.push(...flattenBoxes(box.children, path + box.delimiter, path));
+        }
+    }
+    return folders;
+}
+
+/**
+ * Назначает папкам роли: сначала по атрибутам SPECIAL-USE, затем (для ролей, которые сервер не отметил) по имени.
+ * Возвращает карту роль -> путь папки.
+ */
+function assignRoles(folders) {
+    const special = {};
+    for (const folder of folders) {
+        const attrib = folder.attribs.find(item => SPECIAL_USE_ROLES[item]);
+        folder.specialUse = attrib ? SPECIAL_USE_ROLES[attrib] : null;
+        folder.specialUseSource = attrib ? 'attribute' : null;
+        if (folder.specialUse && !special[folder.specialUse]) {
+            special[folder.specialUse] = folder.path;
+        }
+    }
+
+    for (const [role, names] of Object.entries(ROLE_NAMES)) {
+        if (special[role]) {
+            continue;
+        }
+        // Сначала папки верхнего уровня, затем вложенные ([Gmail]/Sent Mail, INBOX.Sent)
+        const candidate = [...folders]
+            .sort((a, b) => (a.parent ? 1 : 0) - (b.parent ? 1 : 0))
+            .find(folder => folder.selectable && !folder.specialUse && names.includes(folder.name.toLowerCase()));
+        if (candidate) {
+            candidate.specialUse = role;
+            candidate.specialUseSource = 'name';
+            special[role] = candidate.path;
+        }
+    }
+    return special;
+}
+
+async function loadStatus(imap, folder) {
+    try {
+        const box = await call(imap, 'status', folder.path);
+        folder.status = {
+            messages: box.messages.total,
+            unseen: box.messages.unseen,
+            recent: box.messages.new,
+            uidnext: box.uidnext,
+            uidvalidity: box.uidvalidity,
+            ...(/^\d+$/.test(String(box.highestmodseq)) ? { highestmodseq: String(box.highestmodseq) } : {})
+        };
+    } catch (error) {
+        folder.status = null;
+        folder.statusError = error.message;
+    }
+}
+
+/**
+ * Список папок на открытом соединении: { folders, special }.
+ * withStatus - добавить счетчики STATUS (по одной команде на папку).
+ */
+async function listFoldersOn(imap, { withStatus = false } = {}) {
+    const folders = flattenBoxes(await call(imap, 'getBoxes'));
+    const special = assignRoles(folders);
+
+    let subscribed = null;
+    try {
+        subscribed = new Set(flattenBoxes(await call(imap, 'getSubscribedBoxes')).map(folder => folder.path));
+    } catch (error) {
+        logger.debug(`LSUB не выполнен: ${error.message}`);
+    }
+    folders.forEach(folder => {
+        folder.subscribed = subscribed ? subscribed.has(folder.path) : null;
+    });
+
+    if (withStatus) {
+        await unselect(imap);
+        for (const folder of folders.filter(item => item.selectable)) {
+            await loadStatus(imap, folder);
+        }
+    }
+    return { folders, special };
+}
+
+/**
+ * Путь папки с ролью (sent, drafts, trash, junk, archive, all, flagged) или null.
+ */
+async function findSpecialFolder(imap, role) {
+    const { special } = await listFoldersOn(imap);
+    return special[role] || null;
+}
+
+/**
+ * Список папок аккаунта с ролями SPECIAL-USE, подпиской и (по желанию) счетчиками STATUS.
+ */
+function listFolders({ email, password, accessToken, imapHost, imapPort, imapSecurity, tlsCa, withStatus = false }) {
+    return withImapConnection({ email, password, accessToken, imapHost, imapPort, imapSecurity, tlsCa }, (imap) => listFoldersOn(imap, { withStatus }));
+}
+
+function folderError(message, code) {
+    return mailError(code, message);
+}
+
+function requireFolder(folders, path) {
+    const folder = folders.find(item => item.path === path);
+    if (!folder) {
+        const error = folderError(`Папка ${path} не найдена`, 'FOLDER_NOT_FOUND');
+        error.notFound = true;
+        throw error;
+    }
+    return folder;
+}
+
+/**
+ * Операции над папкой: create, rename (нужен newPath), delete, subscribe, unsubscribe.
+ * INBOX нельзя удалить или переименовать; у удаляемой папки не должно быть вложенных.
+ */
+function manageFolder({ email, password, accessToken, imapHost, imapPort, imapSecurity, tlsCa, action, path, newPath }) {
+    return withImapConnection({ email, password, accessToken, imapHost, imapPort, imapSecurity, tlsCa }, async (imap) => {
+        const isInbox = path.toUpperCase() === 'INBOX';
+        if (isInbox && (action === 'delete' || action === 'rename')) {
+            throw folderError('Папку INBOX нельзя удалить или переименовать', 'BAD_REQUEST');
+        }
+
+        const { folders: existing } = await listFoldersOn(imap);
+        switch (action) {
+            case 'create':
+                if (existing.some(folder => folder.path === path)) {
+                    throw folderError(`Папка ${path} уже существует`, 'FOLDER_EXISTS');
+                }
+                await call(imap, 'addBox', path);
+                break;
+            case 'rename':
+                requireFolder(existing, path);
+                if (existing.some(folder => folder.path === newPath)) {
+                    throw folderError(`Папка ${newPath} уже существует`, 'FOLDER_EXISTS');
+                }
+                await unselect(imap);
+                await call(imap, 'renameBox', path, newPath);
+                break;
+            case 'delete':
+                requireFolder(existing, path);
+                if (existing.some(folder => folder.parent === path)) {
+                    throw folderError(`В папке ${path} есть вложенные папки; удалите их сначала`, 'CONFLICT');
+                }
+                await unselect(imap);
+                await call(imap, 'delBox', path);
+                break;
+            case 'subscribe':
+                requireFolder(existing, path);
+                await call(imap, 'subscribeBox', path);
+                break;
+            case 'unsubscribe':
+                await call(imap, 'unsubscribeBox', path);
+                break;
+            default:
+                throw folderError(`Неизвестная операция с папкой: ${action}`, 'BAD_REQUEST');
+        }
+
+        const { folders, special } = await listFoldersOn(imap);
+        const resultPath = action === 'rename' ? newPath : path;
+        return { folder: folders.find(item => item.path === resultPath) || null, special };
+    });
+}
+
+module.exports = {
+    ROLES,
+    listFolders,
+    listFoldersOn,
+    findSpecialFolder,
+    manageFolder
+};
@@ -0,0 +1,309 @@
+// healthChecks.js - Проверка всех аккаунтов на сервере: параллельно (с ограничением), по запросу и по расписанию, с историей и временем ответа
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const config = require('./config');
+const accountStore = require('./accountStore');
+const { getAccessToken } = require('./oauth');
+const { resolveServerSettings } = require('./emailProviders');
+const { createImapConnection } = require('./imapPool');
+const { testPop3Connection, testSmtpConnection } = require('./emailUtils');
+const { mailError, classifyError } = require('./mailErrors');
+
+const healthConfig = config.HEALTH_CHECK;
+const HEALTH_FILE = path.join(config.STORAGE.dataDir, config.STORAGE.healthFile);
+
+// id аккаунта -> { email, history: [{ checkedAt, trigger, ok, results: { imap|pop3|smtp: { ok, latency, error } } }] }
+let state = null;
+let loading = null;
+let writeQueue = Promise.resolve();
+// Текущая проверка: повторный запрос всех аккаунтов ждет ее, а не запускает вторую
+let running = null;
+let lastRun = null;
+let timer = null;
+let nextRunAt = null;
+
+async function load() {
+    if (state) {
+        return state;
+    }
+    if (!loading) {
+        loading = (async () => {
+            try {
+                const stored = JSON.parse(await fs.promises.readFile(HEALTH_FILE, 'utf8'));
+                state = stored.accounts || {};
+                lastRun = stored.lastRun || null;
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    logger.warn(`Не удалось прочитать историю проверок аккаунтов: ${error.message}`);
+                }
+                state = {};
+            }
+            return state;
+        })();
+    }
+    return loading;
+}
+
+function persist() {
+    const snapshot = JSON.stringify({ version: 1, lastRun, accounts: state });
+    writeQueue = writeQueue.catch(() => {}).then(async () => {
+        await fs.promises.mkdir(path.dirname(HEALTH_FILE), { recursive: true });
+        const tmpFile = `${HEALTH_FILE}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmpFile, snapshot, { mode: 0o600 });
+        await fs.promises.rename(tmpFile, HEALTH_FILE);
+    });
+    return writeQueue;
+}
+
+function withTimeout(promise, ms, label) {
+    let timeoutId;
+    const timeout = new Promise((resolve, reject) => {
+        timeoutId = setTimeout(() => reject(mailError('TIMEOUT', `${label}: нет ответа за ${ms} мс`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timeoutId));
+}
+
+/**
+ * IMAP проверяется новым соединением, а не сессией из пула: иначе время ответа и сама проверка
+ * отражали бы уже открытую сессию, а не вход на сервер. Соединение закрывается, даже если
+ * установилось уже после истечения времени проверки.
+ */
+function checkImap(settings, timeout) {
+    const limits = {
+        connTimeout: Math.min(config.EMAIL.imap.connectionTimeout, timeout),
+        authTimeout: Math.min(config.EMAIL.imap.authTimeout, timeout)
+    };
+    return createImapConnection(settings, limits).then((imap) => {
+        imap.end();
+    });
+}
+
+/**
+ * Время проверки передается и в само соединение: попытка, не уложившаяся в него, обрывается
+ * по таймауту клиента, а не продолжается после того, как проверка уже завершилась ошибкой.
+ */
+async function measure(protocol, run) {
+    const started = Date.now();
+    try {
+        await withTimeout(run(healthConfig.timeout), healthConfig.timeout, protocol.toUpperCase());
+        return { ok: true, latency: Date.now() - started, error: null, code: null };
+    } catch (error) {
+        return { ok: false, latency: Date.now() - started, error: error.message, code: classifyError(error).code };
+    }
+}
+
+/**
+ * Проверяет протокол получения аккаунта и SMTP; протоколы проверяются одновременно.
+ */
+async function checkAccount(account) {
+    const protocol = account.fetchProtocol || 'imap';
+    const servers = resolveServerSettings(account);
+    let accessToken;
+    let credentialsError = null;
+    if (account.authType === 'oauth2') {
+        try {
+            accessToken = await getAccessToken(account);
+        } catch (error) {
+            credentialsError = error;
+        }
+    }
+    const credentials = { email: account.email, password: account.password, accessToken, tlsCa: servers.tlsCa };
+
+    const tests = {
+        imap: timeout => checkImap({ ...credentials, imapHost: servers.imapHost, imapPort: servers.imapPort, imapSecurity: servers.imapSecurity }, timeout),
+        pop3: timeout => testPop3Connection({ ...credentials, pop3Host: servers.pop3Host, pop3Port: servers.pop3Port, pop3Security: servers.pop3Security }, { timeout }),
+        smtp: timeout => testSmtpConnection({ ...credentials, smtpHost: servers.smtpHost, smtpPort: servers.smtpPort, smtpSecurity: servers.smtpSecurity }, { timeout })
+    };
+    const protocols = [protocol, 'smtp'];
+    const outcomes = await Promise.all(protocols.map((name) => {
+        if (credentialsError) {
+            return { ok: false, latency: null, error: credentialsError.message, code: classifyError(credentialsError).code };
+        }
+        if (!tests[name] || !servers[`${name}Host`]) {
+            return { ok: false, latency: null, error: `Не удалось определить настройки ${name.toUpperCase()} сервера.`, code: 'SERVER_NOT_CONFIGURED' };
+        }
+        return measure(name, tests[name]);
+    }));
+    const results = Object.fromEntries(protocols.map((name, index) => [name, outcomes[index]]));
+    return { ok: outcomes.every(outcome => outcome.ok), results };
+}
+
+async function record(account, entry) {
+    await load();
+    const item = state[account.id] || { email: account.email, history: [] };
+    item.email = account.email;
+    item.history.push(entry);
+    if (item.history.length > healthConfig.historySize) {
+        item.history.splice(0, item.history.length - healthConfig.historySize);
+    }
+    state[account.id] = item;
+}
+
+/**
+ * Проверяет аккаунты (все или с указанными id), не больше healthConfig.concurrency одновременно.
+ */
+async function execute(accountIds, trigger) {
+    const publicAccounts = await accountStore.listAccounts();
+    const selected = accountIds
+        ? publicAccounts.filter(account => accountIds.includes(account.id))
+        : publicAccounts;
+    const startedAt = new Date().toISOString();
+    logger.info(`Проверка аккаунтов (${trigger}): ${selected.length}, одновременно до ${healthConfig.concurrency}.`);
+
+    let next = 0;
+    let failed = 0;
+    const worker = async () => {
+        while (next < selected.length) {
+            const { id } = selected[next++];
+            const account = await accountStore.getAccountCredentials(id);
+            if (!account) {
+                continue;
+            }
+            const checkedAt = new Date().toISOString();
+            const { ok, results } = await checkAccount(account);
+            if (!ok) {
+                failed++;
+                logger.warn(`Проверка ${account.email} не пройдена: ${Object.entries(results)
+                    .filter(([, result]) => !result.ok).map(([name, result]) => `${name.toUpperCase()}: ${result.error}`).join('; ')}`);
+            }
+            await record(account, { checkedAt, trigger, ok, results });
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(healthConfig.concurrency, selected.length) }, worker));
+
+    if (!accountIds) {
+        lastRun = { startedAt, finishedAt: new Date().toISOString(), trigger, checked: selected.length, failed };
+    }
+    await persist();
+    logger.info(`Проверка аккаунтов завершена: ${selected.length - failed}/${selected.length} доступны.`);
+    return selected.map(account => account.id);
+}
+
+/**
+ * Запускает проверку и возвращает id проверенных аккаунтов. Пока идет проверка всех аккаунтов,
+ * повторный запуск присоединяется к ней, а проверка отдельных аккаунтов ждет ее окончания.
+ */
+async function runHealthChecks({ accountIds = null, trigger = 'manual' } = {}) {
+    if (!accountIds && running) {
+        return running;
+    }
+    if (running) {
+        await running.catch(() => {});
+    }
+    const job = execute(accountIds, trigger);
+    if (!accountIds) {
+        running = job.finally(() => {
+            running = null;
+        });
+        return running;
+    }
+    return job;
+}
+
+function summarize(history, protocol) {
+    const checks = history.filter(entry => entry.results[protocol]);
+    if (checks.length === 0) {
+        return null;
+    }
+    const successes = checks.filter(entry => entry.results[protocol].ok);
+    const latencies = successes.map(entry => entry.results[protocol].latency);
+    const last = checks[checks.length - 1];
+    const lastFailure = [...checks].reverse().find(entry => !entry.results[protocol].ok);
+    const lastSuccess = [...successes].reverse()[0];
+    return {
+        ok: last.results[protocol].ok,
+        checks: checks.length,
+        uptime: Math.round((successes.length / checks.length) * 1000) / 10,
+        lastLatency: last.results[protocol].latency,
+        avgLatency: latencies.length > 0 ? Math.round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length) : null,
+        lastSuccess: lastSuccess ? lastSuccess.checkedAt : null,
+        lastFailure: lastFailure ? { at: lastFailure.checkedAt, error: lastFailure.results[protocol].error, code: lastFailure.results[protocol].code || null } : null
+    };
+}
+
+function describeAccount(account, item, historyLimit) {
+    const history = item ? item.history : [];
+    const last = history[history.length - 1];
+    const protocols = {};
+    for (const protocol of ['imap', 'pop3', 'smtp']) {
+        const summary = summarize(history, protocol);
+        if (summary) {
+            protocols[protocol] = summary;
+        }
+    }
+    const report = {
+        accountId: account.id,
+        email: account.email,
+        fetchProtocol: account.fetchProtocol,
+        status: last ? (last.ok ? 'online' : 'offline') : 'unknown',
+        lastCheck: last ? last.checkedAt : null,
+        checks: history.length,
+        uptime: history.length > 0 ? Math.round((history.filter(entry => entry.ok).length / history.length) * 1000) / 10 : null,
+        protocols
+    };
+    if (historyLimit) {
+        report.history = history.slice(-historyLimit).reverse();
+    }
+    return report;
+}
+
+/**
+ * Сводка по аккаунтам: состояние последней проверки, доступность (% успешных проверок в истории),
+ * время ответа и последняя ошибка по каждому протоколу. С historyLimit - и последние проверки.
+ */
+async function getHealthReport({ accountId = null, historyLimit = 0 } = {}) {
+    await load();
+    const accounts = (await accountStore.listAccounts()).filter(account => !accountId || account.id === accountId);
+    return {
+        running: Boolean(running),
+        lastRun,
+        nextRunAt: nextRunAt ? new Date(nextRunAt).toISOString() : null,
+        accounts: accounts.map(account => describeAccount(account, state[account.id], historyLimit))
+    };
+}
+
+async function removeAccountHealth(accountId) {
+    await load();
+    if (state[accountId]) {
+        delete state[accountId];
+        await persist();
+    }
+}
+
+/**
+ * Проверка по расписанию каждые healthConfig.interval мс (если включена).
+ */
+function startScheduler() {
+    if (!healthConfig.scheduleEnabled || timer) {
+        return;
+    }
+    const schedule = () => {
+        nextRunAt = Date.now() + healthConfig.interval;
+        timer = setTimeout(async () => {
+            try {
+                await runHealthChecks({ trigger: 'schedule' });
+            } catch (error) {
+                logger.error(`Ошибка проверки аккаунтов по расписанию: ${error.message}`);
+            }
+            schedule();
+        }, healthConfig.interval);
+        timer.unref();
+    };
+    schedule();
+    logger.info(`Проверка аккаунтов по расписанию: каждые ${Math.round(healthConfig.interval / 60000)} мин.`);
+}
+
+function stopScheduler() {
+    clearTimeout(timer);
+    timer = null;
+    nextRunAt = null;
+}
+
+module.exports = {
+    runHealthChecks,
+    getHealthReport,
+    removeAccountHealth,
+    startScheduler,
+    stopScheduler
+};
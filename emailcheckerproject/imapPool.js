@@ -0,0 +1,366 @@
+// imapPool.js - Пул IMAP-сессий: одна авторизация на несколько запросов к аккаунту
+const Imap = require('imap');
+const crypto = require('crypto');
+const logger = require('./logger');
+const config = require('./config');
+const { buildXOAuth2Token } = require('./oauth');
+const { assertSecurity, tlsOptions } = require('./connectionSecurity');
+const { mailError } = require('./mailErrors');
+
+const poolConfig = config.EMAIL.imap.pool;
+
+// key -> { sessions: Set, idle: [], waiters: [] }
+const pools = new Map();
+// imap -> session
+const sessionsByConnection = new WeakMap();
+
+// В ключ входит хеш пароля (или токена OAuth2), чтобы запрос с неверным паролем не получил чужую авторизованную сессию,
+// а также режим шифрования и закрепленный CA: сессия, открытая с другими требованиями к TLS, не переиспользуется
+function poolKey({ email, password, accessToken, imapHost, imapPort, imapSecurity = 'tls', tlsCa }) {
+    const secret = crypto.createHash('sha256')
+        .update(accessToken ? `oauth2:${accessToken}` : String(password))
+        .update(`|${imapSecurity}|${tlsCa || ''}`)
+        .digest('hex');
+    return `${email}|${imapHost}|${imapPort}|${secret}`;
+}
+
+/**
+ * Режим starttls обязателен: node-imap с autotls: 'always' переходит на TLS, только если сервер объявил STARTTLS,
+ * иначе отправил бы LOGIN открытым текстом. Команды входа по незашифрованному сокету завершаются ошибкой.
+ */
+function requireStartTls(imap) {
+    const enqueue = imap._enqueue;
+    imap._enqueue = function (fullcmd, promote, cb) {
+        if (/^(LOGIN|AUTHENTICATE)\b/i.test(fullcmd) && !(this._sock && this._sock.encrypted)) {
+            const callback = typeof promote === 'function' ? promote : cb;
+            const error = new Error('Сервер IMAP не поддерживает STARTTLS: вход без шифрования отменен.');
+            error.source = 'starttls';
+            process.nextTick(() => callback(error));
+            return;
+        }
+        enqueue.apply(this, arguments);
+    };
+}
+
+function getPool(key) {
+    if (!pools.has(key)) {
+        pools.set(key, { sessions: new Set(), idle: [], waiters: [] });
+    }
+    return pools.get(key);
+}
+
+function describe(session) {
+    return `${session.email}@${session.host}`;
+}
+
+/**
+ * Создает новое IMAP-соединение и ждет авторизации.
+ * С accessToken вход выполняется через AUTHENTICATE XOAUTH2 вместо LOGIN.
+ * imapSecurity: tls - TLS сразу, starttls - обязательный переход командой STARTTLS, plain - без шифрования.
+ * overrides дополняет настройки node-imap (например, keepalive для долгоживущих соединений).
+ */
+function createImapConnection({ email, password, accessToken, imapHost, imapPort, imapSecurity = 'tls', tlsCa }, overrides = {}) {
+    return new Promise((resolve, reject) => {
+        assertSecurity('imap', imapHost, imapSecurity);
+        const imap = new Imap({
+            user: email,
+            ...(accessToken ? { xoauth2: buildXOAuth2Token(email, accessToken) } : { password: password }),
+            host: imapHost,
+            port: imapPort,
+            tls: imapSecurity === 'tls',
+            autotls: imapSecurity === 'starttls' ? 'always' : 'never',
+            tlsOptions: tlsOptions({ host: imapHost, tlsCa }),
+            connTimeout: config.EMAIL.imap.connectionTimeout,
+            authTimeout: config.EMAIL.imap.authTimeout,
+            socketTimeout: config.EMAIL.imap.socketTimeout,
+            keepalive: config.EMAIL.imap.keepalive,
+            ...overrides
+        });
+
+        const onError = (err) => {
+            imap.removeListener('ready', onReady);
+            reject(err);
+        };
+        const onReady = () => {
+            imap.removeListener('error', onError);
+            resolve(imap);
+        };
+
+        if (imapSecurity === 'starttls') {
+            requireStartTls(imap);
+        }
+        imap.once('ready', onReady);
+        imap.once('error', onError);
+        imap.connect();
+    });
+}
+
+function removeSession(session) {
+    const pool = pools.get(session.key);
+    clearTimeout(session.idleTimer);
+    if (!pool) {
+        return;
+    }
+    pool.sessions.delete(session);
+    pool.idle = pool.idle.filter(s => s !== session);
+    if (pool.sessions.size === 0 && pool.waiters.length === 0) {
+        pools.delete(session.key);
+    }
+}
+
+function destroySession(session) {
+    session.broken = true;
+    removeSession(session);
+    try {
+        session.imap.destroy();
+    } catch (error) {
+        logger.debug(`Ошибка при закрытии IMAP-сессии ${describe(session)}: ${error.message}`);
+    }
+}
+
+async function openSession(key, options) {
+    const imap = await createImapConnection(options);
+    const session = {
+        key,
+        imap,
+        email: options.email,
+        host: options.imapHost,
+        busy: true,
+        broken: false,
+        lastUsed: Date.now(),
+        idleTimer: null
+    };
+    sessionsByConnection.set(imap, session);
+
+    // Ошибки сокета после авторизации не должны ронять процесс: сессия просто выбывает из пула
+    imap.on('error', (err) => {
+        logger.warn(`IMAP-сессия ${describe(session)} завершилась с ошибкой: ${err.message}`);
+        session.broken = true;
+        removeSession(session);
+    });
+    imap.once('close', () => {
+        session.broken = true;
+        removeSession(session);
+    });
+
+    logger.debug(`Открыта новая IMAP-сессия ${describe(session)}.`);
+    return session;
+}
+
+/**
+ * Проверяет живость соединения командой NOOP.
+ */
+function checkHealth(session) {
+    return new Promise((resolve) => {
+        if (session.broken || session.imap.state !== 'authenticated') {
+            return resolve(false);
+        }
+        const timer = setTimeout(() => resolve(false), poolConfig.healthCheckTimeout);
+        // node-imap не экспортирует NOOP, поэтому ставим команду в очередь напрямую
+        session.imap._enqueue('NOOP', (err) => {
+            clearTimeout(timer);
+            resolve(!err);
+        });
+    });
+}
+
+async function takeIdleSession(pool) {
+    while (pool.idle.length > 0) {
+        const session = pool.idle.pop();
+        clearTimeout(session.idleTimer);
+        session.busy = true;
+
+        const idleFor = Date.now() - session.lastUsed;
+        if (idleFor < poolConfig.healthCheckAfter || await checkHealth(session)) {
+            return session;
+        }
+        logger.debug(`IMAP-сессия ${describe(session)} не прошла проверку NOOP, закрываем.`);
+        destroySession(session);
+    }
+    return null;
+}
+
+/**
+ * Берет сессию из пула (или открывает новую).
+ */
+async function acquire(options) {
+    const key = poolKey(options);
+    const pool = getPool(key);
+
+    const idleSession = await takeIdleSession(pool);
+    if (idleSession) {
+        return idleSession.imap;
+    }
+
+    if (pool.sessions.size < poolConfig.maxSessionsPerAccount) {
+        // Резервируем место до завершения авторизации
+        const placeholder = { key, broken: false };
+        pool.sessions.add(placeholder);
+        try {
+            const session = await openSession(key, options);
+            pool.sessions.delete(placeholder);
+            pool.sessions.add(session);
+            return session.imap;
+        } catch (error) {
+            pool.sessions.delete(placeholder);
+            if (pool.sessions.size === 0 && pool.waiters.length === 0) {
+                pools.delete(key);
+            }
+            throw error;
+        }
+    }
+
+    // Все сессии заняты: ждем, пока какую-нибудь вернут
+    return new Promise((resolve, reject) => {
+        const waiter = { resolve, reject, options };
+        waiter.timer = setTimeout(() => {
+            pool.waiters = pool.waiters.filter(w => w !== waiter);
+            reject(mailError('TIMEOUT', `Превышено время ожидания свободной IMAP-сессии для ${options.email}`));
+        }, poolConfig.acquireTimeout);
+        pool.waiters.push(waiter);
+    });
+}
+
+function scheduleIdleClose(session) {
+    clearTimeout(session.idleTimer);
+    session.idleTimer = setTimeout(() => {
+        logger.debug(`IMAP-сессия ${describe(session)} простаивала слишком долго, закрываем.`);
+        removeSession(session);
+        try {
+            session.imap.end();
+        } catch (error) {
+            session.imap.destroy();
+        }
+    }, poolConfig.idleTimeout);
+    session.idleTimer.unref();
+}
+
+/**
+ * Возвращает сессию в пул.
+ */
+function release(imap) {
+    const session = sessionsByConnection.get(imap);
+    if (!session) {
+        return;
+    }
+    const pool = pools.get(session.key);
+    session.busy = false;
+    session.lastUsed = Date.now();
+
+    if (!pool || session.broken || imap.state !== 'authenticated') {
+        destroySession(session);
+        // Освободилось место: ожидающий запрос откроет новую сессию
+        if (pool && pool.waiters.length > 0) {
+            const waiter = pool.waiters.shift();
+            clearTimeout(waiter.timer);
+            acquire(waiter.options).then(waiter.resolve, waiter.reject);
+        }
+        return;
+    }
+
+    if (pool.waiters.length > 0) {
+        const waiter = pool.waiters.shift();
+        clearTimeout(waiter.timer);
+        session.busy = true;
+        waiter.resolve(imap);
+        return;
+    }
+
+    pool.idle.push(session);
+    scheduleIdleClose(session);
+}
+
+/**
+ * Закрывает сессию, не возвращая ее в пул.
+ */
+function destroy(imap) {
+    const session = sessionsByConnection.get(imap);
+    if (session) {
+        destroySession(session);
+    } else {
+        imap.destroy();
+    }
+}
+
+/**
+ * Выполняет fn(imap) с сессией из пула и возвращает ее обратно.
+ */
+async function withImapConnection(options, fn) {
+    const imap = await acquire(options);
+    try {
+        return await fn(imap);
+    } finally {
+        release(imap);
+    }
+}
+
+/**
+ * Закрывает все сессии (при остановке сервера).
+ */
+function closeAll() {
+    for (const pool of pools.values()) {
+        pool.waiters.forEach(waiter => {
+            clearTimeout(waiter.timer);
+            waiter.reject(new Error('Пул IMAP-сессий закрыт'));
+        });
+        for (const session of pool.sessions) {
+            if (session.imap) {
+                clearTimeout(session.idleTimer);
+                // LOGOUT вместо destroy: у сессии в IDLE после обрыва сокета приходит ответ, который роняет node-imap
+                session.imap.end();
+            }
+        }
+    }
+    pools.clear();
+}
+
+/**
+ * Статистика пула по аккаунтам (без паролей).
+ */
+function getStats() {
+    const stats = [];
+    for (const [key, pool] of pools) {
+        const [email, host, port] = key.split('|');
+        stats.push({
+            email,
+            host,
+            port,
+            sessions: pool.sessions.size,
+            idle: pool.idle.length,
+            waiting: pool.waiters.length
+        });
+    }
+    return stats;
+}
+
+/**
+ * Вызывает метод node-imap с колбэком; синхронные исключения (неверный UID, нет поддержки UIDPLUS) превращаются в отказ промиса.
+ */
+function call(imap, method, ...args) {
+    return new Promise((resolve, reject) => {
+        try {
+            imap[method](...args, (err, result) => (err ? reject(err) : resolve(result)));
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Выбирает папку и возвращает ее описание (box); readOnly - только для чтения (EXAMINE), флаги не меняются.
+ */
+function openBox(imap, folder, readOnly = false) {
+    return call(imap, 'openBox', folder, readOnly);
+}
+
+module.exports = {
+    call,
+    openBox,
+    createImapConnection,
+    acquire,
+    release,
+    destroy,
+    withImapConnection,
+    closeAll,
+    getStats
+};
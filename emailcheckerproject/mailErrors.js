@@ -0,0 +1,271 @@
+// mailErrors.js - Классификация ошибок: стабильные коды, HTTP-статусы и единый формат ответа API
+const ERROR_CODES = {
+    VALIDATION_ERROR: { status: 400, message: 'Некорректные параметры запроса.' },
+    INVALID_QUERY: { status: 400, message: 'Некорректный поисковый запрос.' },
+    BAD_REQUEST: { status: 400, message: 'Некорректный запрос.' },
+    UNSUPPORTED_PROTOCOL: { status: 400, message: 'Операция не поддерживается для протокола аккаунта.' },
+    SERVER_NOT_CONFIGURED: { status: 400, message: 'Не удалось определить настройки почтового сервера.' },
+    INSECURE_CONNECTION: { status: 400, message: 'Соединение без шифрования запрещено.' },
+    UNAUTHORIZED: { status: 401, message: 'Неверный административный токен.' },
+    AUTH_FAILED: { status: 401, message: 'Почтовый сервер отклонил логин или пароль.' },
+    REAUTHORIZE_REQUIRED: { status: 401, message: 'Нужно снова войти через провайдера.' },
+    FORBIDDEN: { status: 403, message: 'Операция запрещена.' },
+    ACCOUNT_NOT_FOUND: { status: 404, message: 'Аккаунт не найден' },
+    MESSAGE_NOT_FOUND: { status: 404, message: 'Письмо не найдено.' },
+    FOLDER_NOT_FOUND: { status: 404, message: 'Папка не найдена.' },
+    NOT_FOUND: { status: 404, message: 'Не найдено.' },
+    CONFLICT: { status: 409, message: 'Конфликт с текущим состоянием.' },
+    FOLDER_EXISTS: { status: 409, message: 'Папка уже существует.' },
+    ACCOUNT_LIMIT: { status: 409, message: 'Достигнут лимит аккаунтов.' },
+    PAYLOAD_TOO_LARGE: { status: 413, message: 'Запрос слишком большой.' },
+    MESSAGE_TOO_LARGE: { status: 413, message: 'Письмо превышает допустимый размер.' },
+    RECIPIENT_REJECTED: { status: 422, message: 'Сервер отклонил получателя.' },
+    SENDER_REJECTED: { status: 422, message: 'Сервер отклонил адрес отправителя.' },
+    MESSAGE_REJECTED: { status: 422, message: 'Сервер отклонил письмо.' },
+    UNSUPPORTED_BY_SERVER: { status: 422, message: 'Почтовый сервер не поддерживает операцию.' },
+    RATE_LIMITED: { status: 429, message: 'Слишком много запросов, повторите позже.', retryable: true },
+    INTERNAL_ERROR: { status: 500, message: 'Внутренняя ошибка сервера.' },
+    MAIL_SERVER_ERROR: { status: 502, message: 'Ошибка почтового сервера.' },
+    HOST_NOT_FOUND: { status: 502, message: 'Почтовый сервер не найден.' },
+    CONNECTION_FAILED: { status: 502, message: 'Не удалось подключиться к почтовому серверу.', retryable: true },
+    TLS_ERROR: { status: 502, message: 'Ошибка TLS-соединения.' },
+    EXTERNAL_API_ERROR: { status: 502, message: 'Ошибка при вызове внешнего API.', retryable: true },
+    SERVER_UNAVAILABLE: { status: 503, message: 'Почтовый сервер временно недоступен.', retryable: true },
+    TIMEOUT: { status: 504, message: 'Почтовый сервер не ответил вовремя.', retryable: true },
+    QUOTA_EXCEEDED: { status: 507, message: 'Превышена квота почтового ящика.' }
+};
+
+// Ошибки модулей, у которых задан только HTTP-статус
+const STATUS_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'REAUTHORIZE_REQUIRED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    413: 'PAYLOAD_TOO_LARGE',
+    429: 'RATE_LIMITED',
+    502: 'MAIL_SERVER_ERROR',
+    503: 'SERVER_UNAVAILABLE',
+    504: 'TIMEOUT'
+};
+
+const NETWORK_CODES = {
+    ENOTFOUND: 'HOST_NOT_FOUND',
+    EAI_AGAIN: 'HOST_NOT_FOUND',
+    EDNS: 'HOST_NOT_FOUND',
+    ETIMEDOUT: 'TIMEOUT',
+    ETIMEOUT: 'TIMEOUT',
+    ECONNREFUSED: 'CONNECTION_FAILED',
+    ECONNRESET: 'CONNECTION_FAILED',
+    EHOSTUNREACH: 'CONNECTION_FAILED',
+    ENETUNREACH: 'CONNECTION_FAILED',
+    EPIPE: 'CONNECTION_FAILED',
+    ECONNECTION: 'CONNECTION_FAILED',
+    ESOCKET: 'CONNECTION_FAILED',
+    ETLS: 'TLS_ERROR',
+    ESTARTTLS: 'TLS_ERROR',
+    EAUTH: 'AUTH_FAILED'
+};
+
+// Коды ответов IMAP (RFC 5530) и POP3 (RFC 2449, RFC 3206)
+const RESPONSE_CODES = {
+    AUTHENTICATIONFAILED: 'AUTH_FAILED',
+    AUTHORIZATIONFAILED: 'AUTH_FAILED',
+    EXPIRED: 'AUTH_FAILED',
+    AUTH: 'AUTH_FAILED',
+    NONEXISTENT: 'FOLDER_NOT_FOUND',
+    TRYCREATE: 'FOLDER_NOT_FOUND',
+    ALREADYEXISTS: 'FOLDER_EXISTS',
+    OVERQUOTA: 'QUOTA_EXCEEDED',
+    LIMIT: 'RATE_LIMITED',
+    UNAVAILABLE: 'SERVER_UNAVAILABLE',
+    INUSE: 'SERVER_UNAVAILABLE',
+    'IN-USE': 'SERVER_UNAVAILABLE',
+    'SYS/TEMP': 'SERVER_UNAVAILABLE',
+    NOPERM: 'FORBIDDEN',
+    CANNOT: 'UNSUPPORTED_BY_SERVER'
+};
+
+const TLS_CERT_CODES = /^(CERT_|DEPTH_ZERO_SELF_SIGNED_CERT|SELF_SIGNED_CERT_IN_CHAIN|UNABLE_TO_(GET|VERIFY)_|ERR_TLS_|ERR_SSL_)/;
+const PROGRAMMING_ERRORS = [TypeError, RangeError, ReferenceError, SyntaxError];
+
+/**
+ * Ошибка с кодом из ERROR_CODES; без message используется стандартный текст кода.
+ */
+function mailError(code, message) {
+    const error = new Error(message || ERROR_CODES[code].message);
+    error.code = code;
+    error.status = ERROR_CODES[code].status;
+    return error;
+}
+
+// Код по ответу SMTP: расширенный статус (RFC 3463) точнее основного кода
+function classifySmtp(responseCode, response) {
+    const temporary = responseCode >= 400 && responseCode < 500;
+    if ([530, 534, 535, 538].includes(responseCode)) {
+        return 'AUTH_FAILED';
+    }
+    const enhanced = /\b[245]\.(\d{1,3})\.(\d{1,3})\b/.exec(response || '');
+    const status = enhanced ? `${enhanced[1]}.${enhanced[2]}` : null;
+    if (status === '1.7' || status === '1.8') {
+        return 'SENDER_REJECTED';
+    }
+    if (status === '2.2') {
+        return 'QUOTA_EXCEEDED';
+    }
+    if (status === '2.3' || status === '3.4' || responseCode === 552) {
+        return 'MESSAGE_TOO_LARGE';
+    }
+    if (enhanced && ['1', '2'].includes(enhanced[1]) || status === '5.3' || [550, 551, 553].includes(responseCode)) {
+        return temporary ? 'SERVER_UNAVAILABLE' : 'RECIPIENT_REJECTED';
+    }
+    if (temporary) {
+        return /rate|too many|limit|throttl/i.test(response || '') ? 'RATE_LIMITED' : (responseCode === 452 ? 'QUOTA_EXCEEDED' : 'SERVER_UNAVAILABLE');
+    }
+    if (enhanced && enhanced[1] === '7' || responseCode === 554) {
+        return 'MESSAGE_REJECTED';
+    }
+    return null;
+}
+
+// Код по тексту ошибки: последнее средство для серверов без кодов ответа
+function classifyMessage(message) {
+    if (/authenticat|invalid credentials|login failed|password|неверн\S* (логин|пароль)/i.test(message)) {
+        return 'AUTH_FAILED';
+    }
+    if (/quota|mailbox (is )?full|over ?quota|квот/i.test(message)) {
+        return 'QUOTA_EXCEEDED';
+    }
+    if (/too many|rate limit|throttl/i.test(message)) {
+        return 'RATE_LIMITED';
+    }
+    if (/(mailbox|folder)\b.*(doesn't|does not|not) exist|(unknown|invalid) mailbox|no such (mailbox|folder)/i.test(message)) {
+        return 'FOLDER_NOT_FOUND';
+    }
+    if (/timed? ?out|не ответил/i.test(message)) {
+        return 'TIMEOUT';
+    }
+    if (/certificate|ssl|tls|starttls|stls/i.test(message)) {
+        return 'TLS_ERROR';
+    }
+    return null;
+}
+
+/**
+ * Определяет стабильный код ошибки по ошибке imap, POP3-клиента, nodemailer, сети, TLS или модулей приложения.
+ */
+function classifyCode(error) {
+    const code = typeof error.code === 'string' ? error.code : '';
+    if (ERROR_CODES[code]) {
+        return code;
+    }
+    // Ошибки разбора тела запроса express и загрузки вложений multer
+    if (error.type === 'entity.too.large' || code === 'LIMIT_FILE_SIZE' || code === 'LIMIT_FIELD_VALUE') {
+        return 'PAYLOAD_TOO_LARGE';
+    }
+    if (error.type === 'entity.parse.failed' || error.name === 'MulterError') {
+        return 'VALIDATION_ERROR';
+    }
+    // nodemailer: ответ SMTP-сервера
+    if (error.responseCode) {
+        const smtp = classifySmtp(Number(error.responseCode), error.response);
+        if (smtp) {
+            return smtp;
+        }
+    }
+    if (code === 'EENVELOPE') {
+        return 'RECIPIENT_REJECTED';
+    }
+    if (code === 'EMESSAGE') {
+        return 'MESSAGE_REJECTED';
+    }
+    if (NETWORK_CODES[code]) {
+        return NETWORK_CODES[code];
+    }
+    if (TLS_CERT_CODES.test(code) || error.library === 'SSL routines') {
+        return 'TLS_ERROR';
+    }
+    // imap: код ответа в квадратных скобках и источник ошибки
+    const responseCode = error.textCode || (/\[([A-Z/-]+)\]/.exec(error.message || '') || [])[1];
+    if (responseCode && RESPONSE_CODES[String(responseCode).toUpperCase()]) {
+        return RESPONSE_CODES[String(responseCode).toUpperCase()];
+    }
+    if (error.source === 'timeout' || error.source === 'timeout-auth') {
+        return 'TIMEOUT';
+    }
+    if (error.source === 'authentication') {
+        return 'AUTH_FAILED';
+    }
+    if (error.source === 'starttls') {
+        return 'TLS_ERROR';
+    }
+    if (['user', 'pass', 'auth'].includes(error.pop3Command)) {
+        return 'AUTH_FAILED';
+    }
+    if (error.notFound) {
+        return 'NOT_FOUND';
+    }
+    // axios тоже задает status, но это статус ответа внешнего сервиса, а не наш
+    if (error.status && !error.isAxiosError && STATUS_CODES[error.status]) {
+        return STATUS_CODES[error.status];
+    }
+    const byMessage = classifyMessage(String(error.message || ''));
+    if (byMessage) {
+        return byMessage;
+    }
+    if (error.isAxiosError) {
+        return 'EXTERNAL_API_ERROR';
+    }
+    if (error.source || error.pop3Command || error.command) {
+        return 'MAIL_SERVER_ERROR';
+    }
+    return 'INTERNAL_ERROR';
+}
+
+/**
+ * { code, status, message, retryable } для ошибки. Текст ошибки сохраняется: он объясняет подробности,
+ * а код и статус позволяют обрабатывать ошибку без разбора текста.
+ */
+function classifyError(error) {
+    const code = classifyCode(error || {});
+    const definition = ERROR_CODES[code];
+    const programming = PROGRAMMING_ERRORS.some(type => error instanceof type) && code === 'INTERNAL_ERROR';
+    // express задает type ошибкам разбора тела запроса (у ошибок imap type - это тип ответа NO или BAD)
+    const bodyError = Boolean(error) && /^entity\./.test(String(error.type));
+    let message = error && error.message;
+    if (bodyError && error.type === 'entity.parse.failed') {
+        message = 'Тело запроса не является корректным JSON.';
+    } else if (programming || !message || bodyError) {
+        // Текст ошибок в коде приложения (TypeError и т. п.) и разбора тела запроса клиенту не показывается
+        message = definition.message;
+    }
+    return {
+        code,
+        status: definition.status,
+        message,
+        retryable: Boolean(definition.retryable)
+    };
+}
+
+/**
+ * HTTP-статус и тело ответа с ошибкой: { success: false, code, error, retryable }.
+ */
+function errorResponse(error) {
+    const { code, status, message, retryable } = classifyError(error);
+    const body = { success: false, code, error: message, retryable };
+    if (error && Array.isArray(error.errors) && error.errors.length > 0) {
+        body.errors = error.errors;
+    }
+    // nodemailer: адреса, которые отклонил SMTP-сервер
+    if (error && Array.isArray(error.rejected) && error.rejected.length > 0) {
+        body.rejected = error.rejected;
+    }
+    return { status, body };
+}
+
+module.exports = {
+    ERROR_CODES,
+    mailError,
+    classifyError,
+    errorResponse
+};
@@ -0,0 +1,132 @@
+// mailStore.js - Сохранение писем на IMAP-сервере: копии отправленных и черновики (APPEND)
+const logger = require('./logger');
+const { withImapConnection } = require('./imapPool');
+const { findSpecialFolder } = require('./folders');
+const { expungeUids } = require('./messageActions');
+const { buildRawMessage } = require('./messageBuilder');
+const { mailError } = require('./mailErrors');
+
+function folderMissing(role) {
+    const names = { sent: '«Отправленные»', drafts: '«Черновики»' };
+    const error = mailError('FOLDER_NOT_FOUND', `На сервере не найдена папка ${names[role] || role}`);
+    error.notFound = true;
+    return error;
+}
+
+/**
+ * APPEND письма в папку. Возвращает UID нового письма, если сервер сообщил его (UIDPLUS), иначе null.
+ */
+function appendMessage(imap, folder, raw, { flags = [], date } = {}) {
+    return new Promise((resolve, reject) => {
+        try {
+            imap.append(raw, { mailbox: folder, flags, ...(date ? { date } : {}) }, (err, uid) => (err ? reject(err) : resolve(uid ? Number(uid) : null)));
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+/**
+ * UID только что добавленного письма без UIDPLUS: ищется по Message-ID.
+ */
+function findByMessageId(imap, folder, messageId) {
+    return new Promise((resolve, reject) => {
+        imap.openBox(folder, true, (err) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            imap.search([['HEADER', 'MESSAGE-ID', messageId]], (error, uids) => (error ? reject(error) : resolve(uids.length > 0 ? Math.max(...uids) : null)));
+        });
+    });
+}
+
+async function appendAndLocate(imap, folder, mailOptions, flags) {
+    const raw = await buildRawMessage(mailOptions);
+    const uid = await appendMessage(imap, folder, raw, { flags, date: mailOptions.date });
+    if (uid || !mailOptions.messageId) {
+        return uid;
+    }
+    return findByMessageId(imap, folder, mailOptions.messageId);
+}
+
+/**
+ * Путь папки с ролью (sent, drafts) или ошибка notFound.
+ */
+function getSpecialFolder({ email, password, accessToken, imapHost, imapPort, imapSecurity, tlsCa }, role) {
+    return withImapConnection({ email, password, accessToken, imapHost, imapPort, imapSecurity, tlsCa }, async (imap) => {
+        const folder = await findSpecialFolder(imap, role);
+        if (!folder) {
+            throw folderMissing(role);
+        }
+        return folder;
+    });
+}
+
+/**
+ * Кладет копию отправленного письма (mailOptions из sendEmail) в папку «Отправленные» с флагом \Seen.
+ */
+function saveSentCopy({ email, password, accessToken, imapHost, imapPort, imapSecurity, tlsCa, mailOptions }) {
+    return withImapConnection({ email, password, accessToken, imapHost, imapPort, imapSecurity, tlsCa }, async (imap) => {
+        const folder = await findSpecialFolder(imap, 'sent');
+        if (!folder) {
+            throw folderMissing('sent');
+        }
+        const uid = await appendAndLocate(imap, folder, mailOptions, ['\\Seen']);
+        logger.info(`Копия письма ${mailOptions.messageId} сохранена в ${folder} (UID ${uid || 'неизвестен'}).`);
+        return { folder, uid };
+    });
+}
+
+/**
+ * Сохраняет черновик в папку «Черновики» с флагами \Draft и \Seen.
+ * replaceUid - UID прежней версии: она удаляется только после успешного сохранения новой.
+ */
+function saveDraft({ email, password, accessToken, imapHost, imapPort, imapSecurity, tlsCa, mailOptions, replaceUid }) {
+    return withImapConnection({ email, password, accessToken, imapHost, imapPort, imapSecurity, tlsCa }, async (imap) => {
+        const folder = await findSpecialFolder(imap, 'drafts');
+        if (!folder) {
+            throw folderMissing('drafts');
+        }
+        const uid = await appendAndLocate(imap, folder, mailOptions, ['\\Draft', '\\Seen']);
+
+        let replaced = false;
+        if (replaceUid && replaceUid !== uid) {
+            try {
+                await new Promise((resolve, reject) => {
+                    imap.openBox(folder, false, (err) => (err ? reject(err) : resolve()));
+                });
+                await expungeUids(imap, [replaceUid]);
+                replaced = true;
+            } catch (error) {
+                // Новая версия уже сохранена: старую можно удалить позже вручную
+                logger.warn(`Не удалось удалить прежнюю версию черновика UID ${replaceUid}: ${error.message}`);
+            }
+        }
+        return { folder, uid, replaced };
+    });
+}
+
+/**
+ * Удаляет черновик без переноса в корзину.
+ */
+function deleteDraft({ email, password, accessToken, imapHost, imapPort, imapSecurity, tlsCa, uid }) {
+    return withImapConnection({ email, password, accessToken, imapHost, imapPort, imapSecurity, tlsCa }, async (imap) => {
+        const folder = await findSpecialFolder(imap, 'drafts');
+        if (!folder) {
+            throw folderMissing('drafts');
+        }
+        await new Promise((resolve, reject) => {
+            imap.openBox(folder, false, (err) => (err ? reject(err) : resolve()));
+        });
+        await expungeUids(imap, [uid]);
+        return { folder, uid };
+    });
+}
+
+module.exports = {
+    getSpecialFolder,
+    saveSentCopy,
+    saveDraft,
+    deleteDraft
+};
@@ -0,0 +1,314 @@
+// mailWatcher.js - Наблюдение за папкой IMAP (IDLE или опрос NOOP) и рассылка событий подписчикам
+const logger = require('./logger');
+const config = require('./config');
+const { createImapConnection, openBox } = require('./imapPool');
+const { formatEnvelopeAddresses } = require('./mimeParts');
+const { classifyError } = require('./mailErrors');
+
+const watchConfig = config.EMAIL.imap.watch;
+
+// `${accountId}|${folder}` -> watcher
+const watchers = new Map();
+
+function describe(watcher) {
+    return `${watcher.accountId}/${watcher.folder}`;
+}
+
+function emit(watcher, event) {
+    const payload = { ...event, folder: watcher.folder, time: new Date().toISOString() };
+    for (const listener of watcher.listeners) {
+        try {
+            listener(payload);
+        } catch (error) {
+            logger.warn(`Ошибка подписчика на события ${describe(watcher)}: ${error.message}`);
+        }
+    }
+}
+
+function search(imap, criteria) {
+    return new Promise((resolve, reject) => {
+        imap.search(criteria, (err, uids) => (err ? reject(err) : resolve(uids.sort((a, b) => a - b))));
+    });
+}
+
+function fetchEnvelopes(imap, uids) {
+    return new Promise((resolve, reject) => {
+        const messages = [];
+        const fetch = imap.fetch(uids, { envelope: true, size: true });
+        fetch.on('message', (msg) => {
+            msg.once('attributes', (attrs) => {
+                const envelope = attrs.envelope || {};
+                messages.push({
+                    uid: attrs.uid,
+                    from: formatEnvelopeAddresses(envelope.from) || 'Неизвестно',
+                    subject: envelope.subject || 'Без темы',
+                    date: envelope.date && !isNaN(envelope.date) ? envelope.date.toISOString() : null,
+                    unread: !attrs.flags.includes('\\Seen'),
+                    size: attrs.size || 0
+                });
+            });
+        });
+        fetch.once('error', reject);
+        fetch.once('end', () => resolve(messages.sort((a, b) => a.uid - b.uid)));
+    });
+}
+
+/**
+ * Пересчитывает количество писем и непрочитанных (с небольшой задержкой, чтобы объединить пачку событий).
+ */
+function scheduleCounts(watcher) {
+    clearTimeout(watcher.countsTimer);
+    watcher.countsTimer = setTimeout(async () => {
+        if (!watcher.imap || watcher.state !== 'watching') {
+            return;
+        }
+        try {
+            const unseen = await search(watcher.imap, ['UNSEEN']);
+            emit(watcher, { type: 'counts', total: watcher.uids.length, unseen: unseen.length });
+        } catch (error) {
+            logger.debug(`Не удалось пересчитать письма ${describe(watcher)}: ${error.message}`);
+        }
+    }, 500);
+}
+
+/**
+ * Находит письма с UID больше последнего известного и сообщает о них.
+ */
+function syncNew(watcher) {
+    // Команды не запускаются параллельно: следующий вызов дождется предыдущего
+    watcher.syncing = watcher.syncing.then(async () => {
+        if (!watcher.imap || watcher.state !== 'watching') {
+            return;
+        }
+        const lastUid = watcher.uids.length > 0 ? watcher.uids[watcher.uids.length - 1] : 0;
+        const found = await search(watcher.imap, [['UID', `${lastUid + 1}:*`]]);
+        const fresh = found.filter(uid => uid > lastUid);
+        if (fresh.length === 0) {
+            return;
+        }
+        watcher.uids.push(...fresh);
+        const messages = await fetchEnvelopes(watcher.imap, fresh);
+        logger.info(`Новые письма в ${describe(watcher)}: ${fresh.length}.`);
+        emit(watcher, { type: 'new', uids: fresh, messages });
+        scheduleCounts(watcher);
+    }).catch((error) => {
+        logger.warn(`Ошибка при проверке новых писем ${describe(watcher)}: ${error.message}`);
+    });
+    return watcher.syncing;
+}
+
+function scheduleReconnect(watcher) {
+    if (watcher.stopped || watcher.reconnectTimer) {
+        return;
+    }
+    const delay = Math.min(watchConfig.reconnectMaxDelay, watchConfig.reconnectMinDelay * 2 ** watcher.attempts);
+    watcher.attempts++;
+    watcher.state = 'reconnecting';
+    emit(watcher, { type: 'status', state: 'reconnecting', retryIn: delay });
+    logger.info(`Переподключение наблюдения ${describe(watcher)} через ${delay} мс.`);
+    watcher.reconnectTimer = setTimeout(() => {
+        watcher.reconnectTimer = null;
+        connect(watcher);
+    }, delay);
+}
+
+/**
+ * Открывает отдельное (не из пула) соединение: оно все время занято командой IDLE.
+ */
+async function connect(watcher) {
+    if (watcher.stopped) {
+        return;
+    }
+    watcher.state = 'connecting';
+    let imap;
+    try {
+        const settings = await watcher.loadSettings();
+        imap = await createImapConnection(settings, {
+            keepalive: {
+                interval: watchConfig.pollInterval,
+                idleInterval: watchConfig.idleRefresh,
+                forceNoop: false
+            }
+        });
+        imap.on('error', (err) => {
+            logger.warn(`Соединение наблюдения ${describe(watcher)} завершилось с ошибкой: ${err.message}`);
+        });
+        if (watcher.stopped) {
+            imap.end();
+            return;
+        }
+
+        // Соединение доступно stopWatcher уже во время открытия папки, а его обрыв на любом этапе ведет к переподключению.
+        // Закрытие прежнего соединения (после ошибки или остановки) на новое не влияет
+        watcher.imap = imap;
+        imap.once('close', () => {
+            if (watcher.imap !== imap) {
+                return;
+            }
+            clearInterval(watcher.pollTimer);
+            watcher.imap = null;
+            if (!watcher.stopped) {
+                scheduleReconnect(watcher);
+            }
+        });
+
+        const box = await openBox(imap, watcher.folder, true);
+        watcher.uidValidity = Number(box.uidvalidity);
+        watcher.uids = await search(imap, ['ALL']);
+    } catch (error) {
+        if (watcher.stopped) {
+            return;
+        }
+        logger.warn(`Не удалось начать наблюдение ${describe(watcher)}: ${error.message}`);
+        emit(watcher, { type: 'status', state: 'error', error: error.message, code: classifyError(error).code });
+        watcher.imap = null;
+        if (imap) {
+            imap.end();
+        }
+        scheduleReconnect(watcher);
+        return;
+    }
+
+    // Наблюдение остановлено или соединение оборвалось, пока открывалась папка: stopWatcher уже закрыл соединение
+    // (оно было в watcher.imap), а обработчик close запланировал переподключение
+    if (watcher.stopped || watcher.imap !== imap) {
+        return;
+    }
+
+    watcher.attempts = 0;
+    watcher.state = 'watching';
+    // Без IDLE node-imap сам шлет NOOP с интервалом keepalive; дополнительно сверяем UID (аналог STATUS)
+    watcher.mode = imap.serverSupports('IDLE') ? 'idle' : 'poll';
+    if (watcher.mode === 'poll') {
+        watcher.pollTimer = setInterval(() => syncNew(watcher), watchConfig.pollInterval);
+    }
+    logger.info(`Наблюдение за ${describe(watcher)} запущено (${watcher.mode === 'idle' ? 'IMAP IDLE' : 'опрос NOOP'}).`);
+    emit(watcher, { type: 'status', state: 'watching', mode: watcher.mode, uidValidity: watcher.uidValidity });
+    scheduleCounts(watcher);
+
+    imap.on('mail', () => syncNew(watcher));
+    imap.on('update', (seqno, info) => {
+        const uid = (info && info.uid) || watcher.uids[seqno - 1] || null;
+        emit(watcher, { type: 'flags', seqno, uid, flags: info && info.flags ? info.flags : [] });
+        scheduleCounts(watcher);
+    });
+    imap.on('expunge', (seqno) => {
+        const [uid] = watcher.uids.splice(seqno - 1, 1);
+        emit(watcher, { type: 'expunge', seqno, uid: uid || null });
+        scheduleCounts(watcher);
+    });
+    imap.on('uidvalidity', (uidValidity) => {
+        logger.warn(`UIDVALIDITY папки ${describe(watcher)} изменился, список писем перечитывается.`);
+        watcher.uidValidity = Number(uidValidity);
+        search(imap, ['ALL']).then((uids) => {
+            watcher.uids = uids;
+            emit(watcher, { type: 'resync', uidValidity: watcher.uidValidity });
+            scheduleCounts(watcher);
+        }).catch(() => {});
+    });
+}
+
+function stopWatcher(watcher) {
+    watcher.stopped = true;
+    watcher.state = 'stopped';
+    clearTimeout(watcher.stopTimer);
+    clearTimeout(watcher.reconnectTimer);
+    clearTimeout(watcher.countsTimer);
+    clearInterval(watcher.pollTimer);
+    watchers.delete(watcher.key);
+    if (watcher.imap) {
+        // LOGOUT вместо destroy: node-imap падает, если сокет в IDLE обрывается посреди ответа
+        watcher.imap.end();
+        watcher.imap = null;
+    }
+    logger.info(`Наблюдение за ${describe(watcher)} остановлено.`);
+}
+
+/**
+ * Подписывает listener на события папки. loadSettings() возвращает { email, password, accessToken, imapHost, imapPort, imapSecurity, tlsCa }
+ * и вызывается при каждом подключении, поэтому новый пароль или обновленный токен подхватывается при переподключении.
+ * Возвращает функцию отписки; соединение закрывается через stopDelay после ухода последнего подписчика.
+ */
+function subscribe({ accountId, folder = 'INBOX', loadSettings }, listener) {
+    const key = `${accountId}|${folder}`;
+    let watcher = watchers.get(key);
+    if (!watcher) {
+        watcher = {
+            key,
+            accountId,
+            folder,
+            loadSettings,
+            listeners: new Set(),
+            imap: null,
+            state: 'connecting',
+            mode: null,
+            uids: [],
+            uidValidity: null,
+            attempts: 0,
+            stopped: false,
+            syncing: Promise.resolve(),
+            reconnectTimer: null,
+            stopTimer: null,
+            countsTimer: null,
+            pollTimer: null
+        };
+        watchers.set(key, watcher);
+        connect(watcher);
+    }
+
+    clearTimeout(watcher.stopTimer);
+    watcher.listeners.add(listener);
+    if (watcher.state === 'watching') {
+        listener({ type: 'status', state: 'watching', mode: watcher.mode, uidValidity: watcher.uidValidity, folder, time: new Date().toISOString() });
+        scheduleCounts(watcher);
+    }
+
+    const current = watcher;
+    return () => {
+        current.listeners.delete(listener);
+        if (current.listeners.size === 0 && !current.stopped) {
+            current.stopTimer = setTimeout(() => stopWatcher(current), watchConfig.stopDelay);
+            current.stopTimer.unref();
+        }
+    };
+}
+
+/**
+ * Останавливает наблюдение за всеми папками аккаунта (например, после его удаления).
+ */
+function stopAccount(accountId) {
+    for (const watcher of [...watchers.values()]) {
+        if (watcher.accountId === String(accountId)) {
+            emit(watcher, { type: 'status', state: 'stopped' });
+            stopWatcher(watcher);
+        }
+    }
+}
+
+/**
+ * Останавливает все наблюдения (при остановке сервера).
+ */
+function stopAll() {
+    [...watchers.values()].forEach(stopWatcher);
+}
+
+/**
+ * Состояние наблюдений (для диагностики).
+ */
+function getStats() {
+    return [...watchers.values()].map(watcher => ({
+        accountId: watcher.accountId,
+        folder: watcher.folder,
+        state: watcher.state,
+        mode: watcher.mode,
+        subscribers: watcher.listeners.size,
+        messages: watcher.uids.length
+    }));
+}
+
+module.exports = {
+    subscribe,
+    stopAccount,
+    stopAll,
+    getStats
+};
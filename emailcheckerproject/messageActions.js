@@ -0,0 +1,204 @@
+// messageActions.js - Операции над списком писем IMAP: флаги, ключевые слова, перемещение, удаление
+const logger = require('./logger');
+const { withImapConnection, call, openBox } = require('./imapPool');
+const { findSpecialFolder } = require('./folders');
+const { mailError } = require('./mailErrors');
+
+const ACTIONS = ['read', 'unread', 'flag', 'unflag', 'addKeywords', 'removeKeywords', 'move', 'copy', 'delete', 'expunge'];
+
+// Операции, меняющие флаги: [метод node-imap, флаг]
+const FLAG_ACTIONS = {
+    read: ['addFlags', '\\Seen'],
+    unread: ['delFlags', '\\Seen'],
+    flag: ['addFlags', '\\Flagged'],
+    unflag: ['delFlags', '\\Flagged']
+};
+
+/**
+ * Какие из UID есть в открытой папке. Ищется диапазон min:max: не все серверы верно разбирают
+ * в SEARCH длинные наборы через запятую.
+ */
+async function searchUids(imap, uids) {
+    if (uids.length === 0) {
+        return [];
+    }
+    const requested = new Set(uids);
+    const found = await call(imap, 'search', [['UID', `${Math.min(...uids)}:${Math.max(...uids)}`]]);
+    return found.map(Number).filter(uid => requested.has(uid));
+}
+
+/**
+ * Окончательно удаляет письма открытой папки (ставит \Deleted и выполняет EXPUNGE).
+ * Без UIDPLUS команда EXPUNGE удалила бы и чужие помеченные письма,
+ * поэтому в этом случае она выполняется, только если других таких писем в папке нет.
+ */
+async function expungeUids(imap, uids) {
+    if (imap.serverSupports('UIDPLUS')) {
+        await call(imap, 'addFlags', uids, '\\Deleted');
+        await call(imap, 'expunge', uids);
+        return;
+    }
+    // Проверка до установки флага: иначе при отказе запрошенные письма остались бы с \Deleted
+    // и исчезли бы при следующем EXPUNGE любого клиента
+    const requested = new Set(uids);
+    const deleted = await call(imap, 'search', ['DELETED']);
+    if (deleted.some(uid => !requested.has(Number(uid)))) {
+        throw mailError('UNSUPPORTED_BY_SERVER', 'Сервер не поддерживает UIDPLUS, а в папке есть другие письма с флагом \\Deleted; окончательное удаление отменено.');
+    }
+    await call(imap, 'addFlags', uids, '\\Deleted');
+    await call(imap, 'expunge');
+}
+
+/**
+ * Выполняет операцию над всеми найденными письмами сразу.
+ * Возвращает { failedUids, error }: письма, для которых операция не выполнилась, и причину.
+ */
+async function runBatch(imap, { action, uids, keywords, target }) {
+    if (FLAG_ACTIONS[action]) {
+        const [method, flag] = FLAG_ACTIONS[action];
+        return storeEach(imap, uids, (batch) => call(imap, method, batch, flag));
+    }
+    if (action === 'addKeywords' || action === 'removeKeywords') {
+        const method = action === 'addKeywords' ? 'addKeywords' : 'delKeywords';
+        return storeEach(imap, uids, (batch) => call(imap, method, batch, [...keywords]));
+    }
+    if (action === 'copy') {
+        // COPY атомарна (RFC 3501): при ошибке не копируется ни одно письмо
+        try {
+            const destination = await call(imap, 'copy', uids, target);
+            return { failedUids: [], newUids: mapCopiedUids(uids, destination) };
+        } catch (error) {
+            return { failedUids: uids, error };
+        }
+    }
+
+    // move, delete и expunge убирают письма из папки: успех проверяется повторным поиском
+    let error = null;
+    try {
+        if (action === 'move') {
+            await call(imap, 'move', uids, target);
+        } else {
+            await expungeUids(imap, uids);
+        }
+    } catch (err) {
+        error = err;
+    }
+    const remaining = await searchUids(imap, uids);
+    return { failedUids: remaining, error: error || (remaining.length > 0 ? new Error('Письмо осталось в папке') : null) };
+}
+
+/**
+ * STORE для всех писем; если сервер отказал, повторяет по одному, чтобы узнать, какие письма не изменились.
+ */
+async function storeEach(imap, uids, store) {
+    try {
+        await store(uids);
+        return { failedUids: [] };
+    } catch (batchError) {
+        const failed = new Map();
+        for (const uid of uids) {
+            try {
+                await store([uid]);
+            } catch (error) {
+                failed.set(uid, error);
+            }
+        }
+        return { failedUids: [...failed.keys()], errors: failed, error: batchError };
+    }
+}
+
+function expandUidSet(set) {
+    return String(set || '').split(',').flatMap((range) => {
+        const [start, end] = range.split(':').map(Number);
+        if (!end) {
+            return [start];
+        }
+        const result = [];
+        for (let uid = Math.min(start, end); uid <= Math.max(start, end); uid++) {
+            result.push(uid);
+        }
+        return result;
+    });
+}
+
+/**
+ * Сопоставляет исходные UID с UID копий по ответу COPYUID (UIDPLUS): наборы идут в одном порядке.
+ */
+function mapCopiedUids(uids, destination) {
+    if (!destination) {
+        return null;
+    }
+    const copies = expandUidSet(destination);
+    const sorted = [...uids].sort((a, b) => a - b);
+    return copies.length === sorted.length ? new Map(sorted.map((uid, index) => [uid, copies[index]])) : null;
+}
+
+/**
+ * Выполняет операцию над списком писем папки и сообщает результат для каждого письма.
+ * action: read, unread, flag, unflag, addKeywords, removeKeywords (нужен keywords), move, copy (нужен target),
+ * delete (перенос в корзину; в самой корзине - окончательное удаление), expunge (окончательное удаление).
+ */
+function applyMessageAction({ email, password, accessToken, imapHost, imapPort, imapSecurity, tlsCa, folder = 'INBOX', uids, action, keywords = [], target }) {
+    if (!ACTIONS.includes(action)) {
+        return Promise.reject(mailError('BAD_REQUEST', `Неизвестная операция: ${action}`));
+    }
+    const requested = [...new Set(uids.map(Number))];
+
+    return withImapConnection({ email, password, accessToken, imapHost, imapPort, imapSecurity, tlsCa }, async (imap) => {
+        let effectiveAction = action;
+        let destination = target;
+        if (action === 'delete') {
+            const trash = await findSpecialFolder(imap, 'trash');
+            if (!trash) {
+                throw mailError('FOLDER_NOT_FOUND', 'Не найдена папка корзины. Используйте операцию expunge для окончательного удаления.');
+            }
+            if (trash === folder) {
+                effectiveAction = 'expunge';
+            } else {
+                effectiveAction = 'move';
+                destination = trash;
+            }
+        }
+
+        await openBox(imap, folder);
+        const existing = await searchUids(imap, requested);
+        const found = new Set(existing);
+        const outcome = existing.length > 0
+            ? await runBatch(imap, { action: effectiveAction, uids: existing, keywords, target: destination })
+            : { failedUids: [] };
+        const failed = new Set(outcome.failedUids);
+
+        const results = requested.map((uid) => {
+            if (!found.has(uid)) {
+                return { uid, success: false, error: `Письмо с UID ${uid} не найдено в папке ${folder}` };
+            }
+            if (failed.has(uid)) {
+                const error = (outcome.errors && outcome.errors.get(uid)) || outcome.error;
+                return { uid, success: false, error: error ? error.message : 'Операция не выполнена' };
+            }
+            const newUid = outcome.newUids && outcome.newUids.get(uid);
+            return newUid ? { uid, success: true, newUid } : { uid, success: true };
+        });
+
+        const succeeded = results.filter(result => result.success).length;
+        if (outcome.error) {
+            logger.warn(`Операция ${action} в ${folder} для ${email} выполнена частично: ${outcome.error.message}`);
+        }
+        return {
+            folder,
+            action,
+            ...(destination ? { target: destination } : {}),
+            ...(action === 'delete' ? { permanent: effectiveAction === 'expunge' } : {}),
+            ...(effectiveAction === 'move' ? { moveMode: imap.serverSupports('MOVE') ? 'MOVE' : 'COPY+EXPUNGE' } : {}),
+            succeeded,
+            failed: results.length - succeeded,
+            results
+        };
+    });
+}
+
+module.exports = {
+    ACTIONS,
+    applyMessageAction,
+    expungeUids
+};
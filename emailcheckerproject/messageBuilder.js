@@ -0,0 +1,408 @@
+// messageBuilder.js - Сборка исходящего письма (получатели, HTML/текст, заголовки, вложения)
+const crypto = require('crypto');
+const addressparser = require('nodemailer/lib/addressparser');
+const MailComposer = require('nodemailer/lib/mail-composer');
+
+const EMAIL_REGEX = /^[^\s@<>()",;]+@[^\s@<>()",;]+\.[^\s@<>()",;]+$/;
+
+// Эти заголовки формируются из полей письма и не могут быть переопределены вручную
+const RESERVED_HEADERS = [
+    'from', 'to', 'cc', 'bcc', 'subject', 'reply-to', 'sender', 'date', 'message-id',
+    'mime-version', 'content-type', 'content-transfer-encoding', 'content-disposition', 'return-path'
+];
+
+/**
+ * Разбирает список адресов: строку "Имя <a@b.c>, d@e.f" или массив таких строк.
+ */
+function parseAddressList(value) {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+    const items = Array.isArray(value) ? value : [value];
+    const addresses = [];
+    for (const item of items) {
+        if (item && typeof item === 'object' && item.address) {
+            addresses.push({ name: item.name || '', address: String(item.address).trim() });
+            continue;
+        }
+        for (const parsed of addressparser(String(item), { flatten: true })) {
+            if (parsed.address) {
+                addresses.push({ name: parsed.name || '', address: parsed.address.trim() });
+            } else if (parsed.name) {
+                // Строка без "@" попадает в name; оставляем ее как адрес, чтобы валидация ее отклонила
+                addresses.push({ name: '', address: parsed.name.trim() });
+            }
+        }
+    }
+    return addresses;
+}
+
+/**
+ * Проверка для express-validator: все адреса корректны (и список не пуст, если required).
+ */
+function validateAddressList(value, required = false) {
+    const addresses = parseAddressList(value);
+    if (required && addresses.length === 0) {
+        throw new Error('Не указан ни один адрес');
+    }
+    const invalid = addresses.filter(item => !EMAIL_REGEX.test(item.address));
+    if (invalid.length > 0) {
+        throw new Error(`Некорректные адреса: ${invalid.map(item => item.address).join(', ')}`);
+    }
+    return true;
+}
+
+/**
+ * Пользовательские заголовки: объект или JSON-строка (из multipart-формы).
+ */
+function parseCustomHeaders(value) {
+    if (!value) {
+        return {};
+    }
+    const headers = typeof value === 'string' ? JSON.parse(value) : value;
+    if (typeof headers !== 'object' || Array.isArray(headers)) {
+        throw new Error('headers должен быть объектом "имя: значение"');
+    }
+    const result = {};
+    for (const [name, headerValue] of Object.entries(headers)) {
+        if (!/^[A-Za-z0-9-]+$/.test(name)) {
+            throw new Error(`Некорректное имя заголовка: ${name}`);
+        }
+        if (RESERVED_HEADERS.includes(name.toLowerCase())) {
+            throw new Error(`Заголовок ${name} нельзя задавать вручную`);
+        }
+        if (/[\r\n]/.test(String(headerValue))) {
+            throw new Error(`Значение заголовка ${name} не может содержать перевод строки`);
+        }
+        result[name] = String(headerValue);
+    }
+    return result;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Простой HTML для писем, где есть только текст.
+ */
+function textToHtml(text) {
+    return escapeHtml(text).replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Текстовая альтернатива для писем, где есть только HTML.
+ */
+function htmlToText(html) {
+    return String(html)
+        .replace(/<(style|script)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|h[1-6]|li|tr|blockquote)>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Вложения: файлы из multer (memoryStorage) или объекты { filename, content (base64), contentType }.
+ */
+function normalizeAttachments(files, attachments) {
+    const result = [];
+    for (const file of files || []) {
+        result.push({
+            filename: file.originalname,
+            content: file.buffer,
+            contentType: file.mimetype
+        });
+    }
+    for (const attachment of attachments || []) {
+        if (!attachment || !attachment.filename || attachment.content === undefined) {
+            continue;
+        }
+        result.push({
+            filename: attachment.filename,
+            content: Buffer.isBuffer(attachment.content)
+                ? attachment.content
+                : Buffer.from(String(attachment.content), attachment.encoding || 'base64'),
+            contentType: attachment.contentType,
+            contentDisposition: attachment.contentDisposition,
+            cid: attachment.cid
+        });
+    }
+    return result;
+}
+
+/**
+ * Message-ID в домене отправителя: задается заранее, чтобы копия в «Отправленных» совпадала с отправленным письмом.
+ */
+function createMessageId(from) {
+    const domain = String(from || '').split('@')[1] || 'localhost';
+    return `<${crypto.randomUUID()}@${domain}>`;
+}
+
+/**
+ * Собирает письмо в формате RFC 822 для APPEND (копия в «Отправленных», черновик).
+ * В отличие от отправки по SMTP, заголовок Bcc сохраняется.
+ */
+function buildRawMessage(mailOptions) {
+    return new Promise((resolve, reject) => {
+        const mail = new MailComposer(mailOptions).compile();
+        mail.keepBcc = true;
+        mail.build((err, message) => (err ? reject(err) : resolve(message)));
+    });
+}
+
+/**
+ * Собирает параметры письма для nodemailer.
+ */
+function buildMailOptions({ from, fromName, to, cc, bcc, replyTo, subject, text, html, headers, files, attachments, inReplyTo, references }) {
+    const mailOptions = {
+        from: fromName ? { name: fromName, address: from } : from,
+        to: parseAddressList(to),
+        subject: subject
+    };
+
+    const ccList = parseAddressList(cc);
+    const bccList = parseAddressList(bcc);
+    const replyToList = parseAddressList(replyTo);
+    if (ccList.length > 0) {
+        mailOptions.cc = ccList;
+    }
+    if (bccList.length > 0) {
+        mailOptions.bcc = bccList;
+    }
+    if (replyToList.length > 0) {
+        mailOptions.replyTo = replyToList;
+    }
+
+    // Всегда отправляем обе версии: HTML и текстовую альтернативу
+    if (html) {
+        mailOptions.html = html;
+        mailOptions.text = text || htmlToText(html);
+    } else {
+        mailOptions.text = text || '';
+        mailOptions.html = textToHtml(mailOptions.text);
+    }
+
+    // Заголовки цепочки для ответов и пересылок
+    if (inReplyTo) {
+        mailOptions.inReplyTo = inReplyTo;
+    }
+    if (references && references.length > 0) {
+        mailOptions.references = references;
+    }
+
+    const customHeaders = parseCustomHeaders(headers);
+    if (Object.keys(customHeaders).length > 0) {
+        mailOptions.headers = customHeaders;
+    }
+
+    const allAttachments = normalizeAttachments(files, attachments);
+    if (allAttachments.length > 0) {
+        mailOptions.attachments = allAttachments;
+    }
+
+    return mailOptions;
+}
+
+/**
+ * Добавляет к теме префикс "Re:"/"Fwd:", если такого префикса (или его вариантов) еще нет.
+ */
+function prefixSubject(subject, prefix) {
+    const original = String(subject || '').trim();
+    const patterns = {
+        'Re:': /^(re|ответ|aw|sv)(\[\d+\])?\s*:/i,
+        'Fwd:': /^(fwd?|пересл|wg|tr)(\[\d+\])?\s*:/i
+    };
+    if (patterns[prefix] && patterns[prefix].test(original)) {
+        return original;
+    }
+    return original ? `${prefix} ${original}` : prefix;
+}
+
+/**
+ * Цепочка References для ответа: References оригинала (или его In-Reply-To) и его Message-ID.
+ */
+function buildReferences(original) {
+    const references = [].concat(original.references || []);
+    if (references.length === 0 && original.inReplyTo) {
+        references.push(original.inReplyTo);
+    }
+    if (original.messageId) {
+        references.push(original.messageId);
+    }
+    return references.filter((item, index) => item && references.indexOf(item) === index);
+}
+
+function formatQuoteDate(date) {
+    return date ? new Date(date).toLocaleString('ru-RU', { timeZone: 'UTC' }) + ' UTC' : 'неизвестной даты';
+}
+
+function addressesOf(field) {
+    return field && field.value ? field.value.filter(item => item.address) : [];
+}
+
+/**
+ * Тело ответа: новый текст и процитированное исходное письмо (текст с "> " и HTML в blockquote).
+ */
+function buildQuotedBody(original, { text, html, quote = true }) {
+    const ownText = text || (html ? htmlToText(html) : '');
+    const ownHtml = html || textToHtml(text || '');
+    if (!quote) {
+        return { text: ownText, html: ownHtml };
+    }
+
+    const author = original.from ? original.from.text : 'неизвестный отправитель';
+    const intro = `${formatQuoteDate(original.date)}, ${author} пишет:`;
+    const originalText = original.text || (original.html ? htmlToText(original.html) : '');
+    const quotedText = originalText.split(/\r?\n/).map(line => (line.startsWith('>') ? `>${line}` : `> ${line}`)).join('\n');
+    const originalHtml = original.html || textToHtml(originalText);
+
+    return {
+        text: `${ownText}\n\n${intro}\n${quotedText}`,
+        html: `<div>${ownHtml}</div><br><div>${escapeHtml(intro)}</div>`
+            + `<blockquote type="cite" style="margin:0 0 0 .8ex;border-left:1px solid #ccc;padding-left:1ex">${originalHtml}</blockquote>`
+    };
+}
+
+/**
+ * Встроенные картинки оригинала, на которые ссылается цитируемый HTML (cid:).
+ */
+function relatedAttachments(original) {
+    if (!original.html) {
+        return [];
+    }
+    return (original.attachments || [])
+        .filter(attachment => attachment.cid && original.html.includes(`cid:${attachment.cid}`))
+        .map(attachment => ({
+            filename: attachment.filename,
+            content: attachment.content,
+            contentType: attachment.contentType,
+            cid: attachment.cid
+        }));
+}
+
+/**
+ * Поля ответа на письмо (original - результат simpleParser).
+ * replyAll добавляет в копию остальных получателей, кроме самого отправителя ответа.
+ */
+function buildReplyMessage(original, { from, replyAll = false, quote = true, text, html, cc, ...rest }) {
+    const self = String(from).toLowerCase();
+    const replyTargets = addressesOf(original.replyTo).length > 0 ? addressesOf(original.replyTo) : addressesOf(original.from);
+    const to = replyTargets.filter(item => item.address.toLowerCase() !== self);
+    // Ответ на собственное письмо уходит его получателям
+    const recipients = to.length > 0 ? to : addressesOf(original.to);
+
+    let ccList = parseAddressList(cc);
+    if (replyAll) {
+        const taken = new Set(recipients.map(item => item.address.toLowerCase()));
+        taken.add(self);
+        for (const item of [...addressesOf(original.to), ...addressesOf(original.cc), ...ccList]) {
+            const address = item.address.toLowerCase();
+            if (!taken.has(address)) {
+                taken.add(address);
+                ccList.push(item);
+            }
+        }
+        ccList = ccList.filter(item => recipients.every(target => target.address.toLowerCase() !== item.address.toLowerCase()));
+    }
+
+    const body = buildQuotedBody(original, { text, html, quote });
+    return {
+        ...rest,
+        from,
+        to: recipients,
+        cc: ccList,
+        subject: prefixSubject(original.subject, 'Re:'),
+        text: body.text,
+        html: body.html,
+        inReplyTo: original.messageId || undefined,
+        references: buildReferences(original),
+        attachments: quote ? relatedAttachments(original) : []
+    };
+}
+
+/**
+ * Поля пересылки. Вложения оригинала прикрепляются заново;
+ * asAttachment пересылает исходное письмо целиком как message/rfc822.
+ */
+function buildForwardMessage(original, raw, { from, asAttachment = false, text, html, ...rest }) {
+    const ownText = text || (html ? htmlToText(html) : '');
+    const ownHtml = html || textToHtml(text || '');
+    const summary = [
+        ['От', original.from ? original.from.text : ''],
+        ['Дата', formatQuoteDate(original.date)],
+        ['Тема', original.subject || ''],
+        ['Кому', original.to ? original.to.text : ''],
+        ['Копия', original.cc ? original.cc.text : '']
+    ].filter(([, value]) => value);
+
+    const message = {
+        ...rest,
+        from,
+        subject: prefixSubject(original.subject, 'Fwd:'),
+        references: buildReferences(original)
+    };
+
+    if (asAttachment) {
+        // Без текста nodemailer сделал бы вложение телом письма
+        message.text = ownText || 'Пересылаемое сообщение во вложении.';
+        message.html = html || textToHtml(message.text);
+        message.attachments = [{
+            filename: `${(original.subject || 'message').replace(/[\\/:*?"<>|]+/g, '_')}.eml`,
+            content: raw,
+            contentType: 'message/rfc822',
+            contentDisposition: 'attachment'
+        }];
+        return message;
+    }
+
+    const originalText = original.text || (original.html ? htmlToText(original.html) : '');
+    const separator = '---------- Пересылаемое сообщение ----------';
+    message.text = `${ownText}\n\n${separator}\n${summary.map(([name, value]) => `${name}: ${value}`).join('\n')}\n\n${originalText}`;
+    message.html = `<div>${ownHtml}</div><br><div>${separator}<br>`
+        + summary.map(([name, value]) => `${name}: ${escapeHtml(value)}`).join('<br>')
+        + `</div><br>${original.html || textToHtml(originalText)}`;
+    message.attachments = (original.attachments || []).map(attachment => ({
+        filename: attachment.filename,
+        content: attachment.content,
+        contentType: attachment.contentType,
+        cid: attachment.cid
+    }));
+    return message;
+}
+
+/**
+ * Все адреса получателей одной строкой (для логов).
+ */
+function formatRecipients({ to, cc, bcc }) {
+    return [].concat(parseAddressList(to), parseAddressList(cc), parseAddressList(bcc))
+        .map(item => item.address)
+        .join(', ');
+}
+
+module.exports = {
+    parseAddressList,
+    validateAddressList,
+    parseCustomHeaders,
+    escapeHtml,
+    textToHtml,
+    htmlToText,
+    buildMailOptions,
+    createMessageId,
+    buildRawMessage,
+    prefixSubject,
+    buildReplyMessage,
+    buildForwardMessage,
+    formatRecipients
+};
@@ -0,0 +1,400 @@
+// messageCache.js - Локальный кэш писем IMAP по аккаунтам и папкам: заголовки, флаги и тела с пересинхронизацией по UIDVALIDITY и CONDSTORE
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const config = require('./config');
+const { withImapConnection, openBox } = require('./imapPool');
+const { fetchListItems, collectFetch, formatCursor, parseCursor, selectUidPage, getImapMessage } = require('./emailUtils');
+const { threadMessages } = require('./threading');
+const { indexMessages, syncFolderIndex, removeFolderIndex } = require('./searchIndex');
+const { classifyError } = require('./mailErrors');
+
+const cacheConfig = config.EMAIL.imap.cache;
+const ROOT_DIR = path.join(config.STORAGE.dataDir, config.STORAGE.cacheDir);
+
+// Операции с одной папкой выполняются по очереди: каталог папки -> последняя задача
+const queues = new Map();
+
+// Ошибки, при которых письма отдаются из кэша: сервер недоступен, а не отклонил вход или сертификат
+const OFFLINE_CODES = ['CONNECTION_FAILED', 'HOST_NOT_FOUND', 'SERVER_UNAVAILABLE', 'TIMEOUT'];
+
+function isOffline(error) {
+    return OFFLINE_CODES.includes(classifyError(error).code);
+}
+
+/**
+ * Каталог аккаунта: id и хэш адреса и сервера, чтобы после смены сервера не показывать письма прежнего.
+ * Кэш ведется только для сохраненных аккаунтов: в разовом запросе пароль ничем не подтвержден.
+ */
+function accountDir({ id, email, imapHost, imapPort }) {
+    if (!id) {
+        throw new Error('Кэш писем доступен только для сохраненных аккаунтов');
+    }
+    const hash = crypto.createHash('sha256')
+        .update(`${String(email).toLowerCase()}|${String(imapHost).toLowerCase()}|${imapPort}`)
+        .digest('hex');
+    const key = `${id}-${hash.slice(0, 16)}`;
+    if (!/^[\w-]+$/.test(key)) {
+        throw new Error(`Недопустимый ключ кэша: ${key}`);
+    }
+    return path.join(ROOT_DIR, key);
+}
+
+function folderDir(account, folder) {
+    return path.join(accountDir(account), crypto.createHash('sha1').update(folder).digest('hex').slice(0, 16));
+}
+
+function bodyFile(dir, uid) {
+    return path.join(dir, 'bodies', `${Number(uid)}.json`);
+}
+
+function emptyState(folder) {
+    return { version: 1, folder, uidValidity: null, uidNext: null, highestModseq: null, syncedAt: null, stale: false, uids: [], messages: {} };
+}
+
+async function readJson(file) {
+    try {
+        return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.warn(`Не удалось прочитать кэш ${file}: ${error.message}`);
+        }
+        return null;
+    }
+}
+
+/**
+ * Атомарно записывает JSON (через временный файл).
+ */
+async function writeJson(file, data) {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpFile, JSON.stringify(data), { mode: 0o600 });
+    await fs.promises.rename(tmpFile, file);
+}
+
+async function loadState(dir, folder) {
+    const state = await readJson(path.join(dir, 'state.json'));
+    return state && state.folder === folder ? state : emptyState(folder);
+}
+
+function saveState(dir, state) {
+    return writeJson(path.join(dir, 'state.json'), state);
+}
+
+function withFolder(dir, task) {
+    const previous = queues.get(dir) || Promise.resolve();
+    const current = previous.then(task);
+    const tail = current.catch(() => {});
+    queues.set(dir, tail);
+    tail.then(() => {
+        if (queues.get(dir) === tail) {
+            queues.delete(dir);
+        }
+    });
+    return current;
+}
+
+function applyFlags(item, flags) {
+    item.flags = flags;
+    item.unread = !flags.includes('\\Seen');
+    item.flagged = flags.includes('\\Flagged');
+}
+
+function sameFlags(a = [], b = []) {
+    return a.length === b.length && a.every(flag => b.includes(flag));
+}
+
+function searchAll(imap) {
+    return new Promise((resolve, reject) => {
+        imap.search(['ALL'], (err, uids) => (err ? reject(err) : resolve(uids.map(Number).sort((a, b) => a - b))));
+    });
+}
+
+async function removeBodies(dir, uids) {
+    for (const uid of uids) {
+        await fs.promises.rm(bodyFile(dir, uid), { force: true });
+    }
+}
+
+async function storeItems(imap, state, uids) {
+    if (uids.length === 0) {
+        return;
+    }
+    for (const item of await fetchListItems(imap, uids)) {
+        state.messages[item.uid] = item;
+    }
+}
+
+/**
+ * Сверяет кэш папки с сервером на открытом соединении.
+ * Если UIDVALIDITY изменился, кэш папки сбрасывается. Удаленные письма находятся сравнением с UID SEARCH ALL.
+ * Флаги: при CONDSTORE загружаются только письма с MODSEQ больше сохраненного HIGHESTMODSEQ (FETCH CHANGEDSINCE),
+ * иначе - флаги всех кэшированных писем. QRESYNC не используется: node-imap не разбирает ответы VANISHED.
+ */
+async function resync(imap, dir, state) {
+    const box = await openBox(imap, state.folder, true);
+    const uidValidity = Number(box.uidvalidity);
+    const report = { mode: 'flags', uidValidityChanged: false, added: 0, removed: 0, flagsChanged: 0 };
+
+    if (state.uidValidity !== null && state.uidValidity !== uidValidity) {
+        logger.warn(`UIDVALIDITY папки ${state.folder} изменился (${state.uidValidity} -> ${uidValidity}), кэш папки сброшен.`);
+        report.uidValidityChanged = true;
+        await fs.promises.rm(path.join(dir, 'bodies'), { recursive: true, force: true });
+        Object.assign(state, emptyState(state.folder));
+    }
+
+    const uids = await searchAll(imap);
+    const present = new Set(uids);
+    const known = new Set(state.uids);
+    report.added = state.syncedAt ? uids.filter(uid => !known.has(uid)).length : uids.length;
+    report.removed = state.uids.filter(uid => !present.has(uid)).length;
+
+    const expunged = Object.keys(state.messages).map(Number).filter(uid => !present.has(uid));
+    expunged.forEach(uid => delete state.messages[uid]);
+    await removeBodies(dir, expunged);
+
+    const cached = Object.keys(state.messages).map(Number);
+    const highestModseq = /^\d+$/.test(String(box.highestmodseq)) ? String(box.highestmodseq) : null;
+    if (cached.length > 0) {
+        const range = `${Math.min(...cached)}:${Math.max(...cached)}`;
+        let changed = [];
+        if (highestModseq && state.highestModseq && imap.serverSupports('CONDSTORE')) {
+            report.mode = 'condstore';
+            if (highestModseq !== state.highestModseq) {
+                changed = await collectFetch(imap, range, { modifiers: { changedsince: state.highestModseq } });
+            }
+        } else {
+            changed = await collectFetch(imap, range, {});
+        }
+        for (const { attrs } of changed) {
+            const item = state.messages[attrs.uid];
+            if (item && !sameFlags(item.flags, attrs.flags)) {
+                applyFlags(item, attrs.flags);
+                report.flagsChanged++;
+            }
+        }
+    }
+
+    // Последние письма папки кэшируются сразу, чтобы они были доступны без связи
+    await storeItems(imap, state, uids.slice(-cacheConfig.prefetch).filter(uid => !state.messages[uid]));
+
+    Object.assign(state, {
+        uidValidity,
+        uidNext: box.uidnext,
+        highestModseq,
+        syncedAt: new Date().toISOString(),
+        stale: false,
+        uids
+    });
+    return report;
+}
+
+/**
+ * Передает письма папки в поисковый индекс. Ошибка индекса не мешает отдать список.
+ */
+function updateIndex(account, state) {
+    return syncFolderIndex(account, { protocol: 'imap', folder: state.folder }, Object.values(state.messages)).catch((error) => {
+        logger.warn(`Не удалось обновить поисковый индекс папки ${state.folder} для ${account.email}: ${error.message}`);
+    });
+}
+
+/**
+ * Страница UID кэша по курсору: те же правила, что у fetchImapEmails.
+ */
+function buildPage(state, { cursor, direction, count }) {
+    const parsedCursor = parseCursor(cursor);
+    const resyncRequired = Boolean(parsedCursor && state.uidValidity !== null && parsedCursor.uidValidity !== state.uidValidity);
+    const cursorUid = parsedCursor && !resyncRequired ? parsedCursor.uid : null;
+    const { page, hasMore } = selectUidPage(state.uids, { cursorUid, direction, count });
+
+    let latestCursor = cursorUid && direction === 'newer' ? formatCursor(state.uidValidity, cursorUid) : null;
+    let nextCursor = null;
+    if (page.length === 0) {
+        nextCursor = direction === 'newer' ? latestCursor : null;
+    } else {
+        const newestUid = page[page.length - 1];
+        if (direction === 'newer') {
+            nextCursor = formatCursor(state.uidValidity, newestUid);
+            latestCursor = nextCursor;
+        } else {
+            nextCursor = hasMore ? formatCursor(state.uidValidity, page[0]) : null;
+            if (!cursorUid) {
+                latestCursor = formatCursor(state.uidValidity, newestUid);
+            }
+        }
+    }
+    return {
+        page,
+        meta: { uidValidity: state.uidValidity, uidNext: state.uidNext, total: state.uids.length, resyncRequired, hasMore, nextCursor, latestCursor }
+    };
+}
+
+/**
+ * Сверяет кэш с сервером без ожидания ответа (кэш старше maxAge отдается сразу, а обновляется в фоне).
+ */
+function refreshInBackground(id, settings, dir, folder) {
+    withFolder(dir, async () => {
+        const state = await loadState(dir, folder);
+        if (state.syncedAt && Date.now() - Date.parse(state.syncedAt) <= cacheConfig.maxAge) {
+            return;
+        }
+        await withImapConnection(settings, (imap) => resync(imap, dir, state));
+        await saveState(dir, state);
+        await updateIndex({ id, email: settings.email }, state);
+    }).catch((error) => {
+        logger.debug(`Фоновое обновление кэша ${folder} для ${settings.email} не выполнено: ${error.message}`);
+    });
+}
+
+/**
+ * Список писем папки из кэша. С сервером кэш сверяется перед ответом, если его еще нет, он помечен устаревшим,
+ * запрошены новые письма (direction: newer), в кэше нет писем страницы или передан refresh: true.
+ * Если сервер недоступен (но не при отказе во входе или ошибке TLS), отдается то, что есть в кэше (offline: true).
+ * Ответ совпадает с fetchImapEmails и дополнительно содержит source (cache или network), syncedAt и sync.
+ */
+function fetchCachedEmails({ id, email, password, accessToken, imapHost, imapPort, imapSecurity, tlsCa, folder = 'INBOX', count, cursor, direction = 'older', threads = false, refresh = false }) {
+    const settings = { email, password, accessToken, imapHost, imapPort, imapSecurity, tlsCa };
+    const dir = folderDir({ id, email, imapHost, imapPort }, folder);
+    return withFolder(dir, async () => {
+        const state = await loadState(dir, folder);
+        let { page, meta } = buildPage(state, { cursor, direction, count });
+        const missing = () => page.filter(uid => !state.messages[uid]);
+
+        const result = { source: 'cache' };
+        if (refresh || !state.syncedAt || state.stale || direction === 'newer' || missing().length > 0) {
+            try {
+                result.sync = await withImapConnection(settings, async (imap) => {
+                    const report = await resync(imap, dir, state);
+                    ({ page, meta } = buildPage(state, { cursor, direction, count }));
+                    await storeItems(imap, state, missing());
+                    return report;
+                });
+                await saveState(dir, state);
+                await updateIndex({ id, email }, state);
+                result.source = 'network';
+            } catch (error) {
+                if (!state.syncedAt || error.notFound || !isOffline(error)) {
+                    throw error;
+                }
+                logger.warn(`Нет связи с сервером IMAP для ${email}, папка ${folder} отдана из кэша: ${error.message}`);
+                result.offline = true;
+                result.warning = `Нет связи с почтовым сервером, показаны сохраненные письма (на ${state.syncedAt}).`;
+            }
+        } else if (Date.now() - Date.parse(state.syncedAt) > cacheConfig.maxAge) {
+            refreshInBackground(id, settings, dir, folder);
+        }
+
+        const emails = page.map(uid => state.messages[uid]).filter(Boolean).reverse();
+        return {
+            emails,
+            ...meta,
+            ...result,
+            ...(emails.length < page.length ? { incomplete: true } : {}),
+            syncedAt: state.syncedAt,
+            ...(threads ? { threads: threadMessages(emails) } : {})
+        };
+    });
+}
+
+/**
+ * Письмо из кэша или (если его там нет, передан refresh или его нужно пометить прочитанным) с сервера.
+ * Флаги письма берутся из списка папки, который обновляется при синхронизации.
+ */
+function getCachedMessage({ id, email, password, accessToken, imapHost, imapPort, imapSecurity, tlsCa, folder = 'INBOX', uid, markSeen = false, refresh = false }) {
+    const dir = folderDir({ id, email, imapHost, imapPort }, folder);
+    return withFolder(dir, async () => {
+        const state = await loadState(dir, folder);
+        const item = state.messages[uid];
+        const withFlags = (message) => (item ? { ...message, flags: item.flags, unread: item.unread } : message);
+
+        const cached = refresh ? null : await readJson(bodyFile(dir, uid));
+        if (cached && !(markSeen && item && item.unread)) {
+            return { ...withFlags(cached), source: 'cache' };
+        }
+
+        let message;
+        try {
+            message = await getImapMessage({ email, password, accessToken, imapHost, imapPort, imapSecurity, tlsCa, folder, uid, markSeen });
+        } catch (error) {
+            if (error.notFound) {
+                await removeBodies(dir, [uid]);
+                throw error;
+            }
+            const stored = isOffline(error) && (cached || await readJson(bodyFile(dir, uid)));
+            if (!stored) {
+                throw error;
+            }
+            logger.warn(`Нет связи с сервером IMAP для ${email}, письмо UID ${uid} отдано из кэша: ${error.message}`);
+            return { ...withFlags(stored), source: 'cache', offline: true };
+        }
+
+        await writeJson(bodyFile(dir, uid), message);
+        await indexMessages({ id, email }, { protocol: 'imap', folder }, [message]).catch((error) => {
+            logger.warn(`Не удалось добавить письмо UID ${uid} в поисковый индекс: ${error.message}`);
+        });
+        if (item && !sameFlags(item.flags, message.flags)) {
+            applyFlags(item, message.flags);
+            await saveState(dir, state);
+        }
+        return { ...message, source: 'network' };
+    });
+}
+
+/**
+ * Помечает кэш папок устаревшим: следующий запрос списка сначала сверится с сервером.
+ * Вызывается после операций, меняющих папку (флаги, перемещение, отправка).
+ */
+async function invalidateFolders(account, folders) {
+    if (!account.id) {
+        return;
+    }
+    for (const folder of new Set(folders.filter(Boolean))) {
+        const dir = folderDir(account, folder);
+        await withFolder(dir, async () => {
+            const state = await readJson(path.join(dir, 'state.json'));
+            if (state && !state.stale) {
+                state.stale = true;
+                await saveState(dir, state);
+            }
+        });
+    }
+}
+
+/**
+ * Удаляет кэш папки и ее письма из поискового индекса (после удаления или переименования папки).
+ */
+function removeFolderCache(account, folder) {
+    if (!account.id) {
+        return Promise.resolve();
+    }
+    const dir = folderDir(account, folder);
+    return withFolder(dir, async () => {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+        await removeFolderIndex(account.id, { protocol: 'imap', folder });
+    });
+}
+
+/**
+ * Удаляет кэш всех папок аккаунта (после удаления аккаунта).
+ */
+async function removeAccountCache(accountId) {
+    let names = [];
+    try {
+        names = await fs.promises.readdir(ROOT_DIR);
+    } catch (error) {
+        return;
+    }
+    for (const name of names.filter(item => item.startsWith(`${accountId}-`))) {
+        await fs.promises.rm(path.join(ROOT_DIR, name), { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    fetchCachedEmails,
+    getCachedMessage,
+    invalidateFolders,
+    removeFolderCache,
+    removeAccountCache
+};
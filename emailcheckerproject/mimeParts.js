@@ -0,0 +1,273 @@
+// mimeParts.js - Разбор BODYSTRUCTURE и декодирование отдельных частей письма
+const { Transform, PassThrough } = require('stream');
+const { simpleParser } = require('mailparser');
+
+const SNIPPET_LENGTH = 200;
+
+/**
+ * Декодирует слова вида =?charset?B|Q?...?= (RFC 2047).
+ */
+function decodeMimeWords(value) {
+    if (!value) {
+        return value;
+    }
+    return String(value)
+        .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+        .replace(/=\?([^?*]+)(?:\*[^?]*)?\?([BbQq])\?([^?]*)\?=/g, (match, charset, encoding, text) => {
+            try {
+                let bytes;
+                if (encoding.toUpperCase() === 'B') {
+                    bytes = Buffer.from(text, 'base64');
+                } else {
+                    bytes = Buffer.from(text.replace(/_/g, ' ').replace(/=([0-9A-Fa-f]{2})/g,
+                        (m, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+                }
+                return new TextDecoder(charset.toLowerCase()).decode(bytes);
+            } catch (error) {
+                return match;
+            }
+        });
+}
+
+/**
+ * Декодирует параметр вида utf-8''%D0%A4%D0%B0%D0%B9%D0%BB (RFC 2231).
+ */
+function decodeExtendedParam(value) {
+    const match = /^([^']*)'[^']*'(.*)$/.exec(value);
+    if (!match) {
+        return value;
+    }
+    try {
+        const bytes = Buffer.from(match[2].replace(/%([0-9A-Fa-f]{2})/g,
+            (m, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+        return new TextDecoder((match[1] || 'utf-8').toLowerCase()).decode(bytes);
+    } catch (error) {
+        return value;
+    }
+}
+
+function readParam(params, name) {
+    if (!params) {
+        return null;
+    }
+    if (params[`${name}*`]) {
+        return decodeExtendedParam(params[`${name}*`]);
+    }
+    // Длинные значения RFC 2231 разбиты на name*0*, name*1* ...
+    const continuation = Object.keys(params)
+        .filter(key => key.startsWith(`${name}*`) && /^\d+\*?$/.test(key.slice(name.length + 1)))
+        .sort((a, b) => parseInt(a.slice(name.length + 1), 10) - parseInt(b.slice(name.length + 1), 10));
+    if (continuation.length > 0) {
+        const joined = continuation.map(key => params[key]).join('');
+        return continuation[0].endsWith('*') ? decodeExtendedParam(joined) : joined;
+    }
+    return params[name] ? decodeMimeWords(params[name]) : null;
+}
+
+/**
+ * Превращает дерево BODYSTRUCTURE из node-imap в плоский список конечных частей.
+ */
+function flattenStruct(struct, parts = []) {
+    if (!Array.isArray(struct)) {
+        return parts;
+    }
+    for (const node of struct) {
+        if (Array.isArray(node)) {
+            flattenStruct(node, parts);
+        } else if (node && node.partID) {
+            // Вложенное письмо (message/rfc822) считается одной частью-вложением
+            parts.push(node);
+        }
+    }
+    return parts;
+}
+
+function describePart(part) {
+    const disposition = part.disposition || {};
+    const dispositionType = disposition.type ? String(disposition.type).toLowerCase() : null;
+    const filename = readParam(disposition.params, 'filename') || readParam(part.params, 'name');
+    return {
+        partId: part.partID,
+        contentType: `${part.type}/${part.subtype}`,
+        filename: filename || null,
+        size: part.size || 0,
+        encoding: part.encoding ? String(part.encoding).toLowerCase() : '7bit',
+        charset: part.params && part.params.charset ? part.params.charset : null,
+        disposition: dispositionType,
+        contentId: part.id ? String(part.id).replace(/^<|>$/g, '') : null
+    };
+}
+
+function isAttachment(part) {
+    const info = describePart(part);
+    if (info.disposition === 'attachment') {
+        return true;
+    }
+    if (part.type === 'text' && !info.filename) {
+        return false;
+    }
+    return part.type !== 'multipart';
+}
+
+/**
+ * Дерево MIME-структуры письма в виде, пригодном для ответа API.
+ */
+function describeStructure(struct) {
+    if (!Array.isArray(struct) || struct.length === 0) {
+        return null;
+    }
+    const [node, ...children] = struct;
+    if (node && node.partID && children.length === 0) {
+        return describePart(node);
+    }
+    return {
+        contentType: `multipart/${node.type}`,
+        params: node.params || null,
+        children: children.map(describeStructure).filter(Boolean)
+    };
+}
+
+/**
+ * Находит конечную часть по номеру (partID).
+ */
+function findPart(struct, partId) {
+    return flattenStruct(struct).find(part => part.partID === String(partId)) || null;
+}
+
+/**
+ * Вложения и встроенные картинки из BODYSTRUCTURE.
+ */
+function listAttachments(struct) {
+    return flattenStruct(struct)
+        .filter(isAttachment)
+        .map(part => {
+            const info = describePart(part);
+            return {
+                partId: info.partId,
+                filename: info.filename || `part-${info.partId}`,
+                contentType: info.contentType,
+                size: info.size,
+                encoding: info.encoding,
+                inline: info.disposition === 'inline' || (!info.disposition && Boolean(info.contentId)),
+                contentId: info.contentId
+            };
+        });
+}
+
+/**
+ * Находит основную текстовую часть (text/plain, иначе text/html), не являющуюся вложением.
+ */
+function findTextPart(struct, preferred = 'plain') {
+    const textParts = flattenStruct(struct).filter(part => part.type === 'text' && !isAttachment(part));
+    return textParts.find(part => part.subtype === preferred)
+        || textParts.find(part => part.subtype === 'plain' || part.subtype === 'html')
+        || null;
+}
+
+/**
+ * Декодирует тело одной части (transfer-encoding и кодировка) в текст.
+ */
+async function decodeTextPart(raw, part) {
+    const info = describePart(part);
+    const headers = [
+        `Content-Type: ${info.contentType}${info.charset ? `; charset="${info.charset}"` : ''}`,
+        `Content-Transfer-Encoding: ${info.encoding}`
+    ].join('\r\n');
+    const parsed = await simpleParser(Buffer.concat([Buffer.from(`${headers}\r\n\r\n`), Buffer.from(raw)]));
+    return {
+        text: parsed.text || '',
+        html: part.subtype === 'html' ? (parsed.html || '') : null
+    };
+}
+
+/**
+ * Поток декодирования base64: остаток, не кратный 4 символам, переносится в следующий кусок.
+ */
+function createBase64Decoder() {
+    let remainder = '';
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            const data = remainder + chunk.toString('latin1').replace(/[^A-Za-z0-9+/=]/g, '');
+            const usable = data.length - (data.length % 4);
+            remainder = data.slice(usable);
+            callback(null, Buffer.from(data.slice(0, usable), 'base64'));
+        },
+        flush(callback) {
+            callback(null, remainder ? Buffer.from(remainder, 'base64') : null);
+        }
+    });
+}
+
+/**
+ * Поток декодирования quoted-printable: незаконченная последовательность "=XX" ждет следующий кусок.
+ */
+function createQuotedPrintableDecoder() {
+    let remainder = '';
+    const decode = (text) => Buffer.from(text
+        .replace(/=\r?\n/g, '')
+        .replace(/=([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            const data = remainder + chunk.toString('latin1');
+            const cut = data.lastIndexOf('=');
+            const safe = cut !== -1 && cut > data.length - 3 ? cut : data.length;
+            remainder = data.slice(safe);
+            callback(null, decode(data.slice(0, safe)));
+        },
+        flush(callback) {
+            callback(null, remainder ? decode(remainder) : null);
+        }
+    });
+}
+
+/**
+ * Поток, снимающий Content-Transfer-Encoding части.
+ */
+function createPartDecoder(encoding) {
+    switch (String(encoding || '').toLowerCase()) {
+        case 'base64':
+            return createBase64Decoder();
+        case 'quoted-printable':
+            return createQuotedPrintableDecoder();
+        default:
+            return new PassThrough();
+    }
+}
+
+/**
+ * Короткий фрагмент текста для списка писем.
+ */
+function makeSnippet(text, length = SNIPPET_LENGTH) {
+    const normalized = String(text || '').replace(/\s+/g, ' ').trim();
+    return normalized.length > length ? `${normalized.slice(0, length)}…` : normalized;
+}
+
+/**
+ * Форматирует адреса из ENVELOPE в строку "Имя <addr@host>, ...".
+ */
+function formatEnvelopeAddresses(addresses) {
+    if (!addresses || addresses.length === 0) {
+        return '';
+    }
+    return addresses.map(address => {
+        if (address.group) {
+            return `${address.group}: ${formatEnvelopeAddresses(address.addresses)};`;
+        }
+        const mailbox = address.host ? `${address.mailbox}@${address.host}` : address.mailbox;
+        return address.name ? `${address.name} <${mailbox}>` : mailbox;
+    }).join(', ');
+}
+
+module.exports = {
+    decodeMimeWords,
+    flattenStruct,
+    describePart,
+    describeStructure,
+    findPart,
+    listAttachments,
+    findTextPart,
+    decodeTextPart,
+    createPartDecoder,
+    makeSnippet,
+    formatEnvelopeAddresses
+};
@@ -0,0 +1,205 @@
+// oauth.js - Вход через OAuth2: перенаправление на страницу провайдера, обмен кода на токены, хранение и обновление токенов
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('./logger');
+const config = require('./config');
+const accountStore = require('./accountStore');
+const { getProvider, getAccountProviderKey } = require('./emailProviders');
+const { mailError } = require('./mailErrors');
+
+const oauthConfig = config.OAUTH2;
+
+// Начатые авторизации: state -> { accountId, providerKey, codeVerifier, expiresAt }
+const pendingStates = new Map();
+// Обновление токена аккаунта выполняется одним запросом, остальные ждут его результата
+const refreshing = new Map();
+
+function oauthError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function base64url(buffer) {
+    return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Провайдер аккаунта с настройками OAuth2 и зарегистрированный для него клиент.
+ */
+function resolveClient(account) {
+    const providerKey = getAccountProviderKey(account);
+    const provider = getProvider(providerKey);
+    if (!provider || !provider.oauth) {
+        throw oauthError(`Для ${account.email} вход через OAuth2 не поддерживается: у провайдера нет настроек oauth в реестре.`, 400);
+    }
+    const envPrefix = `OAUTH_${providerKey.toUpperCase().replace(/-/g, '_')}`;
+    const client = oauthConfig.clients[providerKey] || {};
+    const clientId = client.clientId || process.env[`${envPrefix}_CLIENT_ID`];
+    const clientSecret = client.clientSecret || process.env[`${envPrefix}_CLIENT_SECRET`];
+    if (!clientId) {
+        throw oauthError(`OAuth2 для ${provider.name} не настроен: не задан идентификатор клиента (OAUTH2.clients.${providerKey} в config.js или ${envPrefix}_CLIENT_ID).`, 400);
+    }
+    return { providerKey, provider, clientId, clientSecret };
+}
+
+function cleanupStates() {
+    const now = Date.now();
+    for (const [state, entry] of pendingStates) {
+        if (entry.expiresAt <= now) {
+            pendingStates.delete(state);
+        }
+    }
+}
+
+/**
+ * Адрес страницы входа провайдера для аккаунта (authorization code с PKCE).
+ */
+function startAuthorization(account) {
+    const { providerKey, provider, clientId } = resolveClient(account);
+    cleanupStates();
+
+    const state = base64url(crypto.randomBytes(24));
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    pendingStates.set(state, { accountId: account.id, providerKey, codeVerifier, expiresAt: Date.now() + oauthConfig.stateTtl });
+
+    const url = new URL(provider.oauth.authorizationURL);
+    const params = {
+        ...(provider.oauth.params || {}),
+        response_type: 'code',
+        client_id: clientId,
+        redirect_uri: oauthConfig.redirectURL,
+        scope: provider.oauth.scope,
+        state,
+        code_challenge: base64url(crypto.createHash('sha256').update(codeVerifier).digest()),
+        code_challenge_method: 'S256',
+        login_hint: account.email
+    };
+    Object.entries(params).forEach(([name, value]) => url.searchParams.set(name, value));
+    logger.info(`Начат вход через OAuth2 для ${account.email} (${providerKey}).`);
+    return url.toString();
+}
+
+/**
+ * Запрос к token endpoint провайдера. Отказ в выдаче (invalid_grant) означает, что нужна повторная авторизация.
+ */
+async function requestTokens(provider, client, params) {
+    const form = new URLSearchParams({ ...params, client_id: client.clientId });
+    if (client.clientSecret) {
+        form.set('client_secret', client.clientSecret);
+    }
+    let response;
+    try {
+        response = await axios.post(provider.oauth.tokenURL, form.toString(), {
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'Accept': 'application/json' },
+            timeout: oauthConfig.timeout
+        });
+    } catch (error) {
+        const data = error.response && error.response.data;
+        if (data && data.error) {
+            const status = data.error === 'invalid_grant' ? 401 : 502;
+            throw oauthError(`Провайдер отклонил запрос токена: ${data.error}${data.error_description ? ` (${data.error_description})` : ''}`, status);
+        }
+        throw oauthError(`Не удалось получить токен OAuth2: ${error.message}`, 502);
+    }
+    if (!response.data || !response.data.access_token) {
+        throw oauthError('Провайдер не вернул токен доступа.', 502);
+    }
+    return response.data;
+}
+
+function normalizeTokens(data, previous = {}) {
+    return {
+        accessToken: data.access_token,
+        // Провайдер может не присылать refresh token при обновлении - тогда действует прежний
+        refreshToken: data.refresh_token || previous.refreshToken || null,
+        expiresAt: data.expires_in ? Date.now() + Number(data.expires_in) * 1000 : null,
+        scope: data.scope || previous.scope || null,
+        tokenType: data.token_type || 'Bearer'
+    };
+}
+
+/**
+ * Завершает вход: проверяет state, обменивает код на токены и сохраняет их в аккаунте.
+ */
+async function completeAuthorization({ code, state, error, errorDescription }) {
+    const entry = state ? pendingStates.get(state) : null;
+    if (state) {
+        pendingStates.delete(state);
+    }
+    if (!entry || entry.expiresAt <= Date.now()) {
+        throw oauthError('Сеанс входа не найден или истек, начните вход заново.', 400);
+    }
+    if (error) {
+        throw oauthError(`Провайдер отказал во входе: ${error}${errorDescription ? ` (${errorDescription})` : ''}`, 400);
+    }
+    if (!code) {
+        throw oauthError('Провайдер не вернул код авторизации.', 400);
+    }
+
+    const account = await accountStore.getAccountCredentials(entry.accountId);
+    if (!account) {
+        throw mailError('ACCOUNT_NOT_FOUND');
+    }
+    const client = resolveClient(account);
+    const data = await requestTokens(client.provider, client, {
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: oauthConfig.redirectURL,
+        code_verifier: entry.codeVerifier
+    });
+    const tokens = normalizeTokens(data);
+    if (!tokens.refreshToken) {
+        logger.warn(`Провайдер не выдал refresh token для ${account.email}: после истечения токена потребуется повторный вход.`);
+    }
+    await accountStore.setOAuthTokens(account.id, tokens);
+    logger.info(`Аккаунт ${account.email} авторизован через OAuth2 (${client.providerKey}).`);
+    return { accountId: account.id, email: account.email };
+}
+
+async function refreshTokens(account) {
+    const previous = account.oauth;
+    if (!previous.refreshToken) {
+        throw oauthError(`Токен OAuth2 для ${account.email} истек, войдите через провайдера заново.`, 401);
+    }
+    const client = resolveClient(account);
+    const data = await requestTokens(client.provider, client, {
+        grant_type: 'refresh_token',
+        refresh_token: previous.refreshToken
+    });
+    const tokens = normalizeTokens(data, previous);
+    await accountStore.setOAuthTokens(account.id, tokens);
+    logger.info(`Токен OAuth2 для ${account.email} обновлен.`);
+    return tokens.accessToken;
+}
+
+/**
+ * Действующий токен доступа аккаунта; истекающий (за refreshMargin до срока) обновляется по refresh token.
+ */
+async function getAccessToken(account) {
+    const tokens = account.oauth;
+    if (!tokens || !tokens.accessToken) {
+        throw oauthError(`Аккаунт ${account.email} не авторизован через OAuth2: войдите через провайдера.`, 401);
+    }
+    if (!tokens.expiresAt || tokens.expiresAt - oauthConfig.refreshMargin > Date.now()) {
+        return tokens.accessToken;
+    }
+    if (!refreshing.has(account.id)) {
+        refreshing.set(account.id, refreshTokens(account).finally(() => refreshing.delete(account.id)));
+    }
+    return refreshing.get(account.id);
+}
+
+/**
+ * Строка SASL XOAUTH2 (base64): user=<адрес>^Aauth=Bearer <токен>^A^A.
+ */
+function buildXOAuth2Token(email, accessToken) {
+    return Buffer.from(`user=${email}\x01auth=Bearer ${accessToken}\x01\x01`, 'utf8').toString('base64');
+}
+
+module.exports = {
+    startAuthorization,
+    completeAuthorization,
+    getAccessToken,
+    buildXOAuth2Token
+};
@@ -0,0 +1,648 @@
+// outbox.js - Очередь исходящих писем: хранится на диске, отправляется через пул SMTP-соединений с повторами при временных ошибках и в назначенное время
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const logger = require('./logger');
+const config = require('./config');
+const accountStore = require('./accountStore');
+const { getAccessToken } = require('./oauth');
+const { resolveServerSettings } = require('./emailProviders');
+const { smtpAuth, smtpTransportOptions } = require('./emailUtils');
+const { formatRecipients, createMessageId, buildMailOptions } = require('./messageBuilder');
+const { mailError, classifyError } = require('./mailErrors');
+
+const outboxConfig = config.OUTBOX;
+const smtpConfig = config.EMAIL.smtp;
+const OUTBOX_FILE = path.join(config.STORAGE.dataDir, config.STORAGE.outboxFile);
+const MESSAGES_DIR = path.join(config.STORAGE.dataDir, config.STORAGE.outboxDir);
+
+const STATUSES = ['scheduled', 'queued', 'sending', 'sent', 'deferred', 'failed', 'cancelled'];
+// Письма в этих состояниях ждут отправки и могут быть отменены
+const PENDING_STATUSES = ['scheduled', 'queued', 'deferred'];
+const FINAL_STATUSES = ['sent', 'failed', 'cancelled'];
+
+// id письма -> запись очереди (без тела письма: оно лежит в MESSAGES_DIR/<id>.json)
+let state = null;
+let loading = null;
+let writeQueue = Promise.resolve();
+// Ключ настроек SMTP и учетных данных -> { transporter, active, timer }
+const transports = new Map();
+const inFlight = new Set();
+let hooks = {};
+let timer = null;
+
+async function load() {
+    if (state) {
+        return state;
+    }
+    if (!loading) {
+        loading = (async () => {
+            try {
+                const stored = JSON.parse(await fs.promises.readFile(OUTBOX_FILE, 'utf8'));
+                state = Object.fromEntries((stored.items || []).map(item => [item.id, item]));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    logger.warn(`Не удалось прочитать очередь отправки: ${error.message}`);
+                }
+                state = {};
+            }
+            // Отправка, прерванная остановкой сервера, повторяется: письмо могло и уйти, поэтому это отмечается в lastError
+            const interrupted = Object.values(state).filter(item => item.status === 'sending');
+            for (const item of interrupted) {
+                update(item, {
+                    status: 'deferred',
+                    nextAttemptAt: new Date().toISOString(),
+                    lastError: 'Отправка прервана остановкой сервера; письмо могло быть доставлено'
+                });
+            }
+            if (interrupted.length > 0) {
+                await persist();
+                logger.warn(`Писем с прерванной отправкой: ${interrupted.length}, они будут отправлены повторно.`);
+            }
+            return state;
+        })();
+    }
+    return loading;
+}
+
+function persist() {
+    const snapshot = JSON.stringify({ version: 1, items: Object.values(state) });
+    writeQueue = writeQueue.catch(() => {}).then(async () => {
+        await fs.promises.mkdir(path.dirname(OUTBOX_FILE), { recursive: true });
+        const tmpFile = `${OUTBOX_FILE}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmpFile, snapshot, { mode: 0o600 });
+        await fs.promises.rename(tmpFile, OUTBOX_FILE);
+    });
+    return writeQueue;
+}
+
+function update(item, fields) {
+    Object.assign(item, fields, { updatedAt: new Date().toISOString() });
+}
+
+function messageFile(id) {
+    return path.join(MESSAGES_DIR, `${id}.json`);
+}
+
+/**
+ * Тело письма (mailOptions nodemailer) хранится отдельным файлом; вложения - в base64.
+ */
+async function writeMessage(id, mailOptions) {
+    const serialized = {
+        ...mailOptions,
+        date: mailOptions.date.toISOString(),
+        attachments: (mailOptions.attachments || []).map(attachment => ({
+            ...attachment,
+            content: Buffer.isBuffer(attachment.content) ? attachment.content.toString('base64') : attachment.content,
+            encoding: Buffer.isBuffer(attachment.content) ? 'base64' : attachment.encoding
+        }))
+    };
+    await fs.promises.mkdir(MESSAGES_DIR, { recursive: true, mode: 0o700 });
+    const tmpFile = `${messageFile(id)}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpFile, JSON.stringify(serialized), { mode: 0o600 });
+    await fs.promises.rename(tmpFile, messageFile(id));
+}
+
+async function readMessage(id) {
+    const stored = JSON.parse(await fs.promises.readFile(messageFile(id), 'utf8'));
+    const mailOptions = { ...stored, date: new Date(stored.date) };
+    if (stored.attachments.length > 0) {
+        mailOptions.attachments = stored.attachments.map(({ encoding, ...attachment }) => (encoding === 'base64'
+            ? { ...attachment, content: Buffer.from(attachment.content, 'base64') }
+            : { ...attachment, encoding }));
+    } else {
+        delete mailOptions.attachments;
+    }
+    return mailOptions;
+}
+
+function removeMessage(id) {
+    return fs.promises.rm(messageFile(id), { force: true }).catch((error) => {
+        logger.warn(`Не удалось удалить письмо ${id} из очереди отправки: ${error.message}`);
+    });
+}
+
+function transportKey({ email, password, accessToken, smtpHost, smtpPort, smtpSecurity, tlsCa }) {
+    const secret = crypto.createHash('sha256')
+        .update(accessToken ? `oauth2:${accessToken}` : String(password))
+        .update(`|${smtpSecurity}|${tlsCa || ''}`)
+        .digest('hex');
+    return `${email}|${smtpHost}|${smtpPort}|${secret}`;
+}
+
+/**
+ * Транспорт nodemailer с пулом соединений (EMAIL.smtp.pool) для аккаунта и его настроек SMTP.
+ * Письма одного аккаунта идут через общие соединения; неиспользуемый транспорт закрывается через transportIdleTimeout.
+ */
+function acquireTransport(settings) {
+    const key = transportKey(settings);
+    let entry = transports.get(key);
+    if (!entry) {
+        entry = {
+            key,
+            active: 0,
+            timer: null,
+            transporter: nodemailer.createTransport({
+                ...smtpTransportOptions(settings),
+                auth: smtpAuth(settings.email, settings.password, settings.accessToken),
+                pool: smtpConfig.pool,
+                maxConnections: smtpConfig.maxConnections,
+                maxMessages: smtpConfig.maxMessages,
+                connectionTimeout: smtpConfig.connectionTimeout,
+                greetingTimeout: smtpConfig.greetingTimeout
+            })
+        };
+        transports.set(key, entry);
+    }
+    clearTimeout(entry.timer);
+    entry.active++;
+    return entry;
+}
+
+function releaseTransport(entry) {
+    entry.active--;
+    if (entry.active > 0) {
+        return;
+    }
+    entry.timer = setTimeout(() => {
+        transports.delete(entry.key);
+        entry.transporter.close();
+    }, outboxConfig.transportIdleTimeout);
+    entry.timer.unref();
+}
+
+function closeTransports() {
+    for (const entry of transports.values()) {
+        clearTimeout(entry.timer);
+        entry.transporter.close();
+    }
+    transports.clear();
+}
+
+/**
+ * Учетные данные отправителя на момент отправки: сохраненный аккаунт читается заново (пароль мог смениться,
+ * токен OAuth2 - истечь).
+ */
+async function resolveSender(item) {
+    if (!item.accountId) {
+        // Запись из прежней версии, которая принимала письма без сохраненного аккаунта
+        throw mailError('REAUTHORIZE_REQUIRED', 'Письмо без сохраненного аккаунта отправить нельзя: отправьте его заново с accountId.');
+    }
+    const account = await accountStore.getAccountCredentials(item.accountId);
+    if (!account) {
+        throw mailError('ACCOUNT_NOT_FOUND');
+    }
+    return account.authType === 'oauth2' ? { ...account, accessToken: await getAccessToken(account) } : account;
+}
+
+function retryDelay(attempts) {
+    return Math.min(outboxConfig.retryBaseDelay * 2 ** (attempts - 1), outboxConfig.retryMaxDelay);
+}
+
+/**
+ * Временная ошибка - ответ SMTP 4xx или сбой соединения (retryable): письмо откладывается с удваивающейся задержкой.
+ * Остальные ошибки и исчерпанные попытки завершают отправку со статусом failed.
+ */
+async function handleFailure(item, error) {
+    const { code, message, retryable } = classifyError(error);
+    const temporary = retryable || (error.responseCode >= 400 && error.responseCode < 500);
+    if (temporary && item.attempts < outboxConfig.maxAttempts) {
+        const delay = retryDelay(item.attempts);
+        update(item, { status: 'deferred', nextAttemptAt: new Date(Date.now() + delay).toISOString(), lastError: message, code });
+        logger.warn(`Письмо ${item.id} от ${item.email} отложено (попытка ${item.attempts} из ${outboxConfig.maxAttempts}, повтор через ${Math.round(delay / 1000)} с): ${message}`);
+        return;
+    }
+    update(item, { status: 'failed', nextAttemptAt: null, lastError: message, code });
+    logger.error(`Письмо ${item.id} от ${item.email} не отправлено (попыток: ${item.attempts}): ${message}`);
+    if (hooks.afterFailure) {
+        await Promise.resolve(hooks.afterFailure(item, error)).catch((hookError) => {
+            logger.warn(`Ошибка обработки неотправленного письма ${item.id}: ${hookError.message}`);
+        });
+    }
+}
+
+async function deliver(item) {
+    update(item, { status: 'sending', attempts: item.attempts + 1, firstAttemptAt: item.firstAttemptAt || new Date().toISOString() });
+    let entry = null;
+    try {
+        await persist();
+        const account = await resolveSender(item);
+        const servers = resolveServerSettings(account);
+        if (!servers.smtpHost) {
+            throw mailError('SERVER_NOT_CONFIGURED', 'Не удалось определить настройки SMTP сервера.');
+        }
+        // Дата письма - время первой попытки отправки, а не постановки в очередь (важно для запланированных писем)
+        const mailOptions = { ...await readMessage(item.id), date: new Date(item.firstAttemptAt) };
+        entry = acquireTransport({
+            email: account.email, password: account.password, accessToken: account.accessToken,
+            smtpHost: servers.smtpHost, smtpPort: servers.smtpPort, smtpSecurity: servers.smtpSecurity, tlsCa: servers.tlsCa
+        });
+        const info = await entry.transporter.sendMail(mailOptions);
+
+        update(item, {
+            status: 'sent',
+            sentAt: new Date().toISOString(),
+            nextAttemptAt: null,
+            lastError: null,
+            code: null,
+            accepted: info.accepted,
+            rejected: info.rejected,
+            response: info.response
+        });
+        logger.info(`Письмо ${item.id} от ${item.email} на ${item.to} отправлено (попытка ${item.attempts}).`);
+        if (hooks.afterSend) {
+            const result = await Promise.resolve(hooks.afterSend(item, account, mailOptions)).catch((error) => {
+                logger.warn(`Ошибка обработки отправленного письма ${item.id}: ${error.message}`);
+                return null;
+            });
+            update(item, { result });
+        }
+        await removeMessage(item.id);
+    } catch (error) {
+        await handleFailure(item, error);
+    } finally {
+        if (entry) {
+            releaseTransport(entry);
+        }
+    }
+    await persist();
+}
+
+/**
+ * Удаляет завершенные записи старше outboxConfig.retention.
+ */
+async function prune() {
+    const threshold = Date.now() - outboxConfig.retention;
+    const expired = Object.values(state).filter(item => FINAL_STATUSES.includes(item.status) && Date.parse(item.updatedAt) < threshold);
+    for (const item of expired) {
+        delete state[item.id];
+        await removeMessage(item.id);
+    }
+    if (expired.length > 0) {
+        await persist();
+    }
+}
+
+/**
+ * Отправляет письма, которым пора уйти, не больше outboxConfig.concurrency одновременно.
+ */
+async function processQueue() {
+    await load();
+    const now = Date.now();
+    const due = Object.values(state)
+        .filter(item => PENDING_STATUSES.includes(item.status) && Date.parse(item.nextAttemptAt) <= now && !inFlight.has(item.id))
+        .sort((a, b) => Date.parse(a.nextAttemptAt) - Date.parse(b.nextAttemptAt));
+    for (const item of due.slice(0, Math.max(outboxConfig.concurrency - inFlight.size, 0))) {
+        inFlight.add(item.id);
+        deliver(item)
+            .catch((error) => {
+                logger.error(`Ошибка очереди отправки (письмо ${item.id}): ${error.message}`);
+            })
+            .finally(() => {
+                inFlight.delete(item.id);
+                kick();
+            });
+    }
+}
+
+function kick() {
+    processQueue().catch((error) => {
+        logger.error(`Ошибка очереди отправки: ${error.message}`);
+    });
+}
+
+function toPublic(item) {
+    return { ...item };
+}
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Смещение часового пояса (мс) в момент timestamp: местное время минус UTC.
+ */
+function zoneOffset(timestamp, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(new Date(timestamp)).map(part => [part.type, Number(part.value)]));
+    const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return local - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Время отправки из sendAt: ISO 8601 со смещением (2026-10-20T09:00:00+03:00, ...Z) или местное время
+ * без смещения вместе с timeZone из базы IANA (Europe/Moscow). Время должно быть в будущем, но не дальше OUTBOX.maxScheduleAhead.
+ */
+function resolveSendAt(value, timeZone) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?(Z|[+-]\d{2}:?\d{2})?$/i.exec(String(value).trim());
+    if (!match) {
+        throw mailError('VALIDATION_ERROR', 'sendAt должен быть датой и временем ISO 8601, например 2026-10-20T09:00:00+03:00');
+    }
+    const [, year, month, day, hour, minute, second = '0', fraction = '0', offset] = match;
+    const wallClock = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second), Number(fraction.padEnd(3, '0')));
+    const check = new Date(wallClock);
+    if (check.getUTCMonth() !== Number(month) - 1 || check.getUTCDate() !== Number(day) || Number(hour) > 23 || Number(minute) > 59 || Number(second) > 59) {
+        throw mailError('VALIDATION_ERROR', 'sendAt содержит несуществующую дату или время');
+    }
+
+    let time;
+    if (offset) {
+        const sign = offset[0] === '-' ? -1 : 1;
+        const digits = offset.replace(/[^\d]/g, '');
+        time = wallClock - (offset.toUpperCase() === 'Z' ? 0 : sign * (Number(digits.slice(0, 2)) * 60 + Number(digits.slice(2))) * 60000);
+    } else if (timeZone) {
+        if (!isValidTimeZone(timeZone)) {
+            throw mailError('VALIDATION_ERROR', `Неизвестный часовой пояс: ${timeZone}`);
+        }
+        // Смещение пересчитывается во втором приближении: рядом с переходом на летнее время оно другое
+        time = wallClock - zoneOffset(wallClock, timeZone);
+        time = wallClock - zoneOffset(time, timeZone);
+    } else {
+        throw mailError('VALIDATION_ERROR', 'В sendAt не указан часовой пояс: добавьте смещение (+03:00, Z) или передайте timeZone');
+    }
+
+    if (time <= Date.now()) {
+        throw mailError('VALIDATION_ERROR', 'Время отправки sendAt уже прошло');
+    }
+    if (time > Date.now() + outboxConfig.maxScheduleAhead) {
+        throw mailError('VALIDATION_ERROR', `Отправку можно запланировать не дальше чем на ${Math.round(outboxConfig.maxScheduleAhead / 86400000)} дней вперед`);
+    }
+    return new Date(time);
+}
+
+/**
+ * Ставит письмо в очередь. Принимаются только сохраненные аккаунты (account.id): учетные данные читаются при отправке,
+ * поэтому письмо уходит и после перезапуска сервера, а пароли на диск в очередь не пишутся.
+ * mailOptions - параметры nodemailer (buildMailOptions); Message-ID задается сразу,
+ * чтобы повторные попытки и копия в «Отправленных» совпадали с доставленным письмом.
+ * options: saveToSent, draftUid (удалить черновик после отправки), original ({ folder, uid, flag } для ответа и пересылки), action,
+ * format (text или html - в каком виде написан текст, для редактирования), sendAt и timeZone (отправка в назначенное время).
+ */
+async function enqueue(account, mailOptions, { saveToSent = true, draftUid = null, original = null, action = null, format = 'text', sendAt = null, timeZone = null } = {}) {
+    if (!account.id) {
+        throw mailError('VALIDATION_ERROR', 'Письма отправляются через очередь только с сохраненного аккаунта (accountId).');
+    }
+    await load();
+    const now = new Date().toISOString();
+    const message = { ...mailOptions, messageId: mailOptions.messageId || createMessageId(account.email), date: mailOptions.date || new Date(now) };
+    const item = {
+        id: crypto.randomUUID(),
+        accountId: account.id,
+        email: account.email,
+        to: formatRecipients(message),
+        subject: message.subject || '',
+        messageId: message.messageId,
+        attachments: (message.attachments || []).length,
+        status: sendAt ? 'scheduled' : 'queued',
+        attempts: 0,
+        maxAttempts: outboxConfig.maxAttempts,
+        sendAt: sendAt ? sendAt.toISOString() : null,
+        timeZone: sendAt ? timeZone : null,
+        nextAttemptAt: sendAt ? sendAt.toISOString() : now,
+        lastError: null,
+        code: null,
+        saveToSent: saveToSent !== false && String(saveToSent) !== 'false',
+        draftUid,
+        original,
+        action,
+        format,
+        createdAt: now,
+        updatedAt: now,
+        sentAt: null
+    };
+
+    await writeMessage(item.id, message);
+    state[item.id] = item;
+    await persist();
+    logger.info(`Письмо ${item.id} от ${item.email} на ${item.to} ${sendAt ? `запланировано на ${item.sendAt}` : 'поставлено в очередь отправки'}.`);
+    kick();
+    return toPublic(item);
+}
+
+/**
+ * Поля письма для редактирования в форме отправки; вложения - без содержимого.
+ */
+function describeContent(item, mailOptions) {
+    return {
+        fromName: typeof mailOptions.from === 'object' ? mailOptions.from.name : '',
+        to: mailOptions.to || [],
+        cc: mailOptions.cc || [],
+        bcc: mailOptions.bcc || [],
+        replyTo: mailOptions.replyTo || [],
+        subject: mailOptions.subject || '',
+        text: mailOptions.text || '',
+        html: item.format === 'html' ? mailOptions.html : null,
+        headers: mailOptions.headers || {},
+        attachments: (mailOptions.attachments || []).map(attachment => ({
+            filename: attachment.filename,
+            contentType: attachment.contentType,
+            size: Buffer.isBuffer(attachment.content) ? attachment.content.length : null
+        }))
+    };
+}
+
+/**
+ * Запись очереди; с withContent для ожидающих писем - и поля письма (describeContent).
+ */
+async function getOutboxMessage(id, { withContent = false } = {}) {
+    await load();
+    const item = state[id];
+    if (!item) {
+        return null;
+    }
+    const result = toPublic(item);
+    if (withContent && PENDING_STATUSES.includes(item.status)) {
+        result.content = describeContent(item, await readMessage(id));
+    }
+    return result;
+}
+
+/**
+ * Изменяет запланированное письмо: время отправки (sendAt, timeZone), поля письма (fields - как у buildMailOptions)
+ * и вложения (files добавляются, прежние остаются, если не передан keepAttachments: false). sendNow отправляет его сразу.
+ * Пока письмо редактируется, очередь его не трогает.
+ */
+async function updateScheduledMessage(id, { fields = {}, files = [], keepAttachments = true, sendAt = null, timeZone = null, sendNow = false } = {}) {
+    await load();
+    const item = state[id];
+    if (!item) {
+        return null;
+    }
+    if (item.status !== 'scheduled' || inFlight.has(id)) {
+        throw mailError('CONFLICT', `Изменить можно только запланированное письмо, которое еще не отправляется (сейчас: ${item.status}).`);
+    }
+    inFlight.add(id);
+    try {
+        const current = await readMessage(id);
+        const changes = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+        const contentChanged = Object.keys(changes).length > 0 || files.length > 0 || !keepAttachments;
+        if (contentChanged) {
+            // Новый текст без HTML (и наоборот): вторая версия создается заново из переданной
+            const body = changes.text !== undefined || changes.html !== undefined
+                ? { text: changes.text, html: changes.html }
+                : { text: current.text, html: current.html };
+            const mailOptions = buildMailOptions({
+                from: item.email,
+                fromName: typeof current.from === 'object' ? current.from.name : undefined,
+                to: current.to,
+                cc: current.cc,
+                bcc: current.bcc,
+                replyTo: current.replyTo,
+                subject: current.subject,
+                headers: current.headers,
+                inReplyTo: current.inReplyTo,
+                references: current.references,
+                ...changes,
+                ...body,
+                files,
+                attachments: keepAttachments ? current.attachments : []
+            });
+            await writeMessage(id, { ...mailOptions, messageId: current.messageId, date: current.date });
+            update(item, {
+                to: formatRecipients(mailOptions),
+                subject: mailOptions.subject || '',
+                attachments: (mailOptions.attachments || []).length,
+                format: changes.html !== undefined ? 'html' : (changes.text !== undefined ? 'text' : item.format)
+            });
+        }
+        if (sendNow) {
+            update(item, { status: 'queued', sendAt: null, timeZone: null, nextAttemptAt: new Date().toISOString() });
+        } else if (sendAt) {
+            update(item, { sendAt: sendAt.toISOString(), timeZone, nextAttemptAt: sendAt.toISOString() });
+        } else {
+            update(item, {});
+        }
+        await persist();
+        logger.info(`Запланированное письмо ${id} от ${item.email} изменено${sendNow ? ' и отправляется сейчас' : `, отправка ${item.sendAt}`}.`);
+    } finally {
+        inFlight.delete(id);
+    }
+    if (sendNow) {
+        kick();
+    }
+    return toPublic(item);
+}
+
+/**
+ * Письма очереди, новые первыми; фильтры по аккаунту и состоянию.
+ */
+async function listOutbox({ accountId = null, status = null, limit = 100 } = {}) {
+    await load();
+    const statuses = status ? [].concat(status) : null;
+    const items = Object.values(state)
+        .filter(item => (!accountId || item.accountId === accountId) && (!statuses || statuses.includes(item.status)))
+        .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+    const counts = Object.fromEntries(STATUSES.map(name => [name, 0]));
+    items.forEach((item) => {
+        counts[item.status]++;
+    });
+    return { total: items.length, counts, messages: items.slice(0, limit).map(toPublic) };
+}
+
+/**
+ * Отменяет письмо, которое еще ждет отправки. null - письма нет в очереди.
+ * Письмо, которое в этот момент изменяется (updateScheduledMessage), не отменяется: иначе изменение
+ * записало бы файл отмененного письма заново, а sendNow вернул бы его в очередь.
+ */
+async function cancelOutboxMessage(id) {
+    await load();
+    const item = state[id];
+    if (!item) {
+        return null;
+    }
+    if (!PENDING_STATUSES.includes(item.status)) {
+        throw mailError('CONFLICT', `Отменить можно только письмо, ожидающее отправки (сейчас: ${item.status}).`);
+    }
+    if (inFlight.has(id)) {
+        throw mailError('CONFLICT', 'Письмо сейчас изменяется или отправляется, повторите отмену позже.');
+    }
+    update(item, { status: 'cancelled', nextAttemptAt: null });
+    await removeMessage(id);
+    await persist();
+    logger.info(`Отправка письма ${id} от ${item.email} отменена.`);
+    return toPublic(item);
+}
+
+/**
+ * Возвращает в очередь письмо, отправка которого завершилась ошибкой; счетчик попыток сбрасывается.
+ */
+async function retryOutboxMessage(id) {
+    await load();
+    const item = state[id];
+    if (!item) {
+        return null;
+    }
+    if (item.status !== 'failed') {
+        throw mailError('CONFLICT', `Повторить можно только неотправленное письмо (сейчас: ${item.status}).`);
+    }
+    if (!item.accountId) {
+        throw mailError('REAUTHORIZE_REQUIRED', 'Письмо без сохраненного аккаунта отправить нельзя: отправьте его заново с accountId.');
+    }
+    update(item, { status: 'queued', attempts: 0, nextAttemptAt: new Date().toISOString() });
+    await persist();
+    kick();
+    return toPublic(item);
+}
+
+/**
+ * Удаляет письма аккаунта из очереди (при удалении аккаунта). Письмо, которое отправляется сейчас, остается до конца попытки.
+ */
+async function removeAccountOutbox(accountId) {
+    await load();
+    const items = Object.values(state).filter(item => item.accountId === accountId && !inFlight.has(item.id));
+    for (const item of items) {
+        delete state[item.id];
+        await removeMessage(item.id);
+    }
+    if (items.length > 0) {
+        await persist();
+    }
+}
+
+/**
+ * Запускает отправку: сразу и затем каждые outboxConfig.pollInterval мс.
+ * hooks.afterSend(item, account, mailOptions) - действия после доставки, результат сохраняется в item.result;
+ * hooks.afterFailure(item, error) - после окончательной ошибки.
+ */
+function startOutbox(newHooks = {}) {
+    hooks = newHooks;
+    if (timer) {
+        return;
+    }
+    timer = setInterval(() => {
+        kick();
+        prune().catch((error) => {
+            logger.warn(`Не удалось очистить очередь отправки: ${error.message}`);
+        });
+    }, outboxConfig.pollInterval);
+    timer.unref();
+    kick();
+}
+
+function stopOutbox() {
+    clearInterval(timer);
+    timer = null;
+    closeTransports();
+}
+
+module.exports = {
+    STATUSES,
+    isValidTimeZone,
+    resolveSendAt,
+    enqueue,
+    getOutboxMessage,
+    updateScheduledMessage,
+    listOutbox,
+    cancelOutboxMessage,
+    retryOutboxMessage,
+    removeAccountOutbox,
+    startOutbox,
+    stopOutbox
+};
@@ -0,0 +1,307 @@
+// pop3Client.js - Сессия POP3 (RFC 1939) поверх net/tls: команды выполняются по одной, ответы возвращаются промисами
+const net = require('net');
+const tls = require('tls');
+const config = require('./config');
+const { buildXOAuth2Token } = require('./oauth');
+const { assertSecurity, tlsOptions } = require('./connectionSecurity');
+
+const pop3Config = config.EMAIL.pop3;
+
+const CRLF = Buffer.from('\r\n');
+// Конец многострочного ответа: CRLF.CRLF (строка из одной точки)
+const TERMINATOR = Buffer.from('\r\n.\r\n');
+const STUFFED_LINE = Buffer.from('\r\n..');
+
+function responseText(line) {
+    return String(line || '').replace(/^(?:-ERR|\+OK)\s*/, '').trim() || 'сервер ответил -ERR';
+}
+
+// Ошибка с текстом для пользователя и кодом исходной ошибки (ECONNREFUSED, CERT_HAS_EXPIRED и т. п.)
+function pop3Error(message, code) {
+    const error = new Error(message);
+    if (code) {
+        error.code = code;
+    }
+    return error;
+}
+
+/**
+ * Снимает экранирование точек в многострочном ответе (RFC 1939, раздел 3): строка "..x" передается как ".x".
+ * Работает с байтами: письмо может содержать 8-битный текст в любой кодировке.
+ */
+function unstuff(body) {
+    const parts = [];
+    let start = body.subarray(0, 2).toString('latin1') === '..' ? 1 : 0;
+    let found = body.indexOf(STUFFED_LINE, start);
+    while (found !== -1) {
+        parts.push(body.subarray(start, found + STUFFED_LINE.length - 1));
+        start = found + STUFFED_LINE.length;
+        found = body.indexOf(STUFFED_LINE, start);
+    }
+    parts.push(body.subarray(start));
+    return parts.length === 1 ? parts[0] : Buffer.concat(parts);
+}
+
+/**
+ * Открывает сессию POP3: подключение, приветствие, при pop3Security: starttls - команда STLS (RFC 2595),
+ * затем вход USER/PASS (с accessToken - AUTH XOAUTH2).
+ * Возвращает объект с методами stat, list, uidl, top, retr, dele, quit и close.
+ * timeout (мс) сокращает ожидание подключения и ответов на команды, если оно меньше заданного в EMAIL.pop3.
+ */
+async function openPop3Session({ email, password, accessToken, pop3Host, pop3Port, pop3Security = 'tls', tlsCa }, { timeout = Infinity } = {}) {
+    const connectionTimeout = Math.min(pop3Config.connectionTimeout, timeout);
+    const commandTimeout = Math.min(pop3Config.commandTimeout, timeout);
+    assertSecurity('pop3', pop3Host, pop3Security);
+    const port = Number(pop3Port);
+    const secureOptions = tlsOptions({ host: pop3Host, tlsCa });
+
+    let socket = null;
+    // Принятые данные: буфер растет вдвое, поэтому длинный ответ копируется линейное число раз
+    let buffer = Buffer.alloc(0);
+    let size = 0;
+    // До какого байта многострочный ответ уже просмотрен в поисках CRLF.CRLF
+    let scanned = 0;
+    let failure = null;
+    // Ожидаемый ответ: { multiline, resolve, reject }
+    let pending = null;
+
+    const fail = (error) => {
+        failure = failure || error;
+        if (pending) {
+            const { reject } = pending;
+            pending = null;
+            reject(error);
+        }
+    };
+
+    const append = (chunk) => {
+        if (size + chunk.length > buffer.length) {
+            const grown = Buffer.allocUnsafe(Math.max(size + chunk.length, buffer.length * 2, 4096));
+            buffer.copy(grown, 0, 0, size);
+            buffer = grown;
+        }
+        chunk.copy(buffer, size);
+        size += chunk.length;
+    };
+
+    /**
+     * Разбирает накопленные данные: однострочный ответ заканчивается CRLF, многострочный (после +OK) - CRLF.CRLF.
+     * Тело многострочного ответа возвращается как Buffer.
+     */
+    const onData = (chunk) => {
+        append(chunk);
+        if (!pending) {
+            return;
+        }
+        const data = buffer.subarray(0, size);
+        const lineEnd = data.indexOf(CRLF);
+        if (lineEnd === -1) {
+            return;
+        }
+        const line = data.subarray(0, lineEnd).toString('utf8');
+        const ok = !line.startsWith('-ERR');
+        let end = lineEnd + CRLF.length;
+        let body = null;
+        if (pending.multiline && line.startsWith('+OK')) {
+            const terminator = data.indexOf(TERMINATOR, Math.max(lineEnd, scanned - TERMINATOR.length + 1));
+            if (terminator === -1) {
+                scanned = size;
+                return;
+            }
+            body = terminator === lineEnd ? Buffer.alloc(0) : Buffer.from(data.subarray(end, terminator));
+            end = terminator + TERMINATOR.length;
+        }
+        buffer.copyWithin(0, end, size);
+        size -= end;
+        scanned = 0;
+        const { resolve } = pending;
+        pending = null;
+        resolve({ ok, line, body });
+    };
+
+    const attach = (target) => {
+        socket = target;
+        socket.on('data', onData);
+        socket.on('error', (err) => fail(pop3Error(`Ошибка соединения POP3: ${err.message}`, err.code)));
+        socket.on('close', () => fail(pop3Error('Сервер POP3 закрыл соединение', 'ECONNRESET')));
+        socket.setTimeout(pop3Config.socketTimeout || 0);
+    };
+
+    /**
+     * Отправляет команду (null - только ждать ответа, например приветствия) и ждет ответа.
+     * Ответ -ERR превращается в ошибку, при таймауте соединение закрывается.
+     */
+    function run(name, command, { multiline = false, timeout = commandTimeout, allowError = false } = {}) {
+        if (failure) {
+            return Promise.reject(failure);
+        }
+        if (pending) {
+            return Promise.reject(new Error(`Команда POP3 ${name} отправлена до ответа на предыдущую`));
+        }
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                pending = null;
+                reject(pop3Error(`Сервер POP3 не ответил на ${name} за ${timeout} мс`, 'ETIMEDOUT'));
+                socket.destroy();
+            }, timeout);
+            pending = {
+                multiline,
+                resolve: (response) => {
+                    clearTimeout(timer);
+                    if (!response.ok && !allowError) {
+                        const error = new Error(`POP3 ${name}: ${responseText(response.line)}`);
+                        error.pop3Command = name.toLowerCase();
+                        reject(error);
+                        return;
+                    }
+                    resolve(response);
+                },
+                reject: (error) => {
+                    clearTimeout(timer);
+                    reject(error);
+                }
+            };
+            if (command !== null) {
+                socket.write(`${command}\r\n`);
+            }
+            // Ответ мог прийти вместе с предыдущим
+            if (size > 0) {
+                onData(Buffer.alloc(0));
+            }
+        });
+    }
+
+    // Подключение: сразу TLS или открытый TCP (для starttls и plain)
+    function connect() {
+        return new Promise((resolve, reject) => {
+            const onError = (err) => reject(pop3Error(`Ошибка ${pop3Security === 'tls' ? 'TLS ' : ''}соединения POP3: ${err.message}`, err.code));
+            const timer = setTimeout(() => {
+                target.destroy();
+                reject(pop3Error(`Сервер POP3 не ответил за ${connectionTimeout} мс`, 'ETIMEDOUT'));
+            }, connectionTimeout);
+            const target = pop3Security === 'tls'
+                ? tls.connect({ host: pop3Host, port, ...secureOptions }, () => done())
+                : net.connect({ host: pop3Host, port }, () => done());
+            function done() {
+                clearTimeout(timer);
+                target.removeListener('error', onError);
+                attach(target);
+                resolve();
+            }
+            target.once('error', (err) => {
+                clearTimeout(timer);
+                onError(err);
+            });
+        });
+    }
+
+    // STLS: TLS поверх уже открытого соединения, после этого сеанс продолжается заново (RFC 2595, раздел 4)
+    function upgrade() {
+        return new Promise((resolve, reject) => {
+            const plain = socket;
+            plain.removeAllListeners('data');
+            plain.removeAllListeners('error');
+            plain.removeAllListeners('close');
+            const secure = tls.connect({ socket: plain, ...secureOptions }, () => {
+                secure.removeListener('error', onError);
+                size = 0;
+                scanned = 0;
+                attach(secure);
+                resolve();
+            });
+            const onError = (err) => reject(pop3Error(`Ошибка TLS POP3 после STLS: ${err.message}`, err.code || 'ETLS'));
+            secure.once('error', onError);
+        });
+    }
+
+    async function authenticate() {
+        if (accessToken) {
+            // AUTH XOAUTH2 с начальным ответом; при отказе сервер присылает "+ <base64 JSON с причиной>",
+            // на это отвечаем пустой строкой и получаем -ERR
+            const response = await run('AUTH', `AUTH XOAUTH2 ${buildXOAuth2Token(email, accessToken)}`, { allowError: true });
+            if (response.ok && response.line.startsWith('+ ')) {
+                const details = Buffer.from(response.line.slice(2).trim(), 'base64').toString('utf8');
+                const reply = await run('AUTH', '', { allowError: true });
+                throw pop3Error(`POP3 AUTH: ${responseText(reply.line)} ${details}`.trim(), 'EAUTH');
+            }
+            if (!response.ok) {
+                throw pop3Error(`POP3 AUTH: ${responseText(response.line)}`, 'EAUTH');
+            }
+            return;
+        }
+        await run('USER', `USER ${email}`);
+        await run('PASS', `PASS ${password}`);
+    }
+
+    const session = {
+        /** { count, octets } */
+        stat: async () => {
+            const { line } = await run('STAT', 'STAT');
+            const [, count, octets] = line.split(/\s+/);
+            return { count: Number(count), octets: Number(octets) };
+        },
+        /** Map: номер письма -> размер в байтах */
+        list: async () => {
+            const { body } = await run('LIST', 'LIST', { multiline: true });
+            const result = new Map();
+            body.toString('utf8').split('\r\n').filter(Boolean).forEach((row) => {
+                const [seq, size] = row.trim().split(/\s+/);
+                result.set(Number(seq), Number(size));
+            });
+            return result;
+        },
+        /** [{ seq, uid }] по возрастанию номера; UIDL постоянен между сессиями (RFC 1939, раздел 7) */
+        uidl: async () => {
+            const { body } = await run('UIDL', 'UIDL', { multiline: true });
+            return body.toString('utf8').split('\r\n').filter(Boolean).map((row) => {
+                const [seq, uid] = row.trim().split(/\s+/);
+                return { seq: Number(seq), uid: String(uid).trim() };
+            }).filter(item => item.uid).sort((a, b) => a.seq - b.seq);
+        },
+        /** Заголовки и первые lines строк тела письма (Buffer) */
+        top: async (seq, lines = 0) => {
+            const { body } = await run('TOP', `TOP ${seq} ${lines}`, { multiline: true });
+            return unstuff(body);
+        },
+        /** Письмо целиком (исходные байты, Buffer) */
+        retr: async (seq) => {
+            const { body } = await run('RETR', `RETR ${seq}`, { multiline: true });
+            return unstuff(body);
+        },
+        /** Пометка на удаление: письмо удаляется только после успешного QUIT */
+        dele: async (seq) => {
+            await run('DELE', `DELE ${seq}`);
+        },
+        /** Завершает сессию; сервер применяет DELE только в этот момент */
+        quit: async () => {
+            await run('QUIT', 'QUIT');
+        },
+        /** Закрывает соединение без QUIT: помеченные письма остаются на сервере */
+        close: () => {
+            if (socket) {
+                socket.destroy();
+            }
+        }
+    };
+
+    try {
+        await connect();
+        await run('приветствие', null, { timeout: connectionTimeout });
+        if (pop3Security === 'starttls') {
+            const response = await run('STLS', 'STLS', { allowError: true });
+            if (!response.ok) {
+                throw pop3Error(`Сервер POP3 не поддерживает STLS (${responseText(response.line)}): вход без шифрования отменен.`, 'ESTARTTLS');
+            }
+            await upgrade();
+        }
+        await authenticate();
+    } catch (error) {
+        session.close();
+        throw error;
+    }
+    return session;
+}
+
+module.exports = {
+    openPop3Session
+};
@@ -0,0 +1,334 @@
+// pop3Mailbox.js - Входящие POP3: загрузка только новых писем по UIDL, локальные копии и политика хранения писем на сервере
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { simpleParser } = require('mailparser');
+const logger = require('./logger');
+const config = require('./config');
+const { openPop3Session } = require('./pop3Client');
+const { makeSnippet } = require('./mimeParts');
+const { indexMessages } = require('./searchIndex');
+
+const pop3Config = config.EMAIL.pop3;
+const ROOT_DIR = path.join(config.STORAGE.dataDir, config.STORAGE.pop3Dir);
+const RETENTION_MODES = ['leave', 'deleteAfterDays', 'deleteAfterDownload'];
+const DAY = 24 * 60 * 60 * 1000;
+
+// Синхронизации одного ящика выполняются по очереди: ключ ящика -> последняя задача
+const queues = new Map();
+
+/**
+ * Ключ локального ящика: id аккаунта (или "direct" для разовых запросов) и хэш адреса и сервера.
+ * UIDL уникален только в пределах ящика на сервере, поэтому после смены сервера ящик начинается заново.
+ */
+function mailboxKey({ id, email, pop3Host, pop3Port }) {
+    const hash = crypto.createHash('sha256')
+        .update(`${String(email).toLowerCase()}|${String(pop3Host).toLowerCase()}|${pop3Port}`)
+        .digest('hex');
+    return `${id || 'direct'}-${hash.slice(0, 16)}`;
+}
+
+function mailboxDir(key) {
+    if (!/^[\w-]+$/.test(key)) {
+        throw new Error(`Недопустимый ключ ящика POP3: ${key}`);
+    }
+    return path.join(ROOT_DIR, key);
+}
+
+function messageFile(uid) {
+    return `${crypto.createHash('sha1').update(uid).digest('hex')}.eml`;
+}
+
+async function loadIndex(dir) {
+    try {
+        return JSON.parse(await fs.promises.readFile(path.join(dir, 'index.json'), 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw new Error(`Не удалось прочитать список писем POP3: ${error.message}`);
+        }
+        return { version: 1, lastSyncAt: null, messages: {} };
+    }
+}
+
+/**
+ * Атомарно записывает список писем ящика (через временный файл).
+ */
+async function saveIndex(dir, index) {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const file = path.join(dir, 'index.json');
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpFile, JSON.stringify(index, null, 2), { mode: 0o600 });
+    await fs.promises.rename(tmpFile, file);
+}
+
+function withMailbox(key, task) {
+    const previous = queues.get(key) || Promise.resolve();
+    const current = previous.then(task);
+    const tail = current.catch(() => {});
+    queues.set(key, tail);
+    tail.then(() => {
+        if (queues.get(key) === tail) {
+            queues.delete(key);
+        }
+    });
+    return current;
+}
+
+/**
+ * Политика хранения: явные параметры запроса, затем настройки аккаунта, затем config.EMAIL.pop3.retention.
+ */
+function resolveRetention(account = {}, { mode, days } = {}) {
+    const selected = mode || account.pop3Retention || pop3Config.retention.mode;
+    if (!RETENTION_MODES.includes(selected)) {
+        throw new Error(`Неизвестная политика хранения POP3: ${selected}`);
+    }
+    if (selected !== 'deleteAfterDays') {
+        return { mode: selected };
+    }
+    return { mode: selected, days: parseInt(days || account.pop3RetentionDays || pop3Config.retention.days, 10) };
+}
+
+/**
+ * Пора ли удалить письмо с сервера. Удаляются только письма, уже сохраненные локально.
+ */
+function isExpired(entry, retention, now) {
+    if (!entry || !entry.downloadedAt || !entry.file) {
+        return false;
+    }
+    if (retention.mode === 'deleteAfterDownload') {
+        return true;
+    }
+    if (retention.mode === 'deleteAfterDays') {
+        return now - Date.parse(entry.downloadedAt) >= retention.days * DAY;
+    }
+    return false;
+}
+
+function joinAddresses(value) {
+    return value ? [].concat(value).map(address => address.text).join(', ') : '';
+}
+
+function summarize(parsed) {
+    return {
+        messageId: parsed.messageId || null,
+        inReplyTo: parsed.inReplyTo || null,
+        references: [].concat(parsed.references || []),
+        from: parsed.from ? parsed.from.text : 'Неизвестно',
+        to: joinAddresses(parsed.to) || 'Неизвестно',
+        cc: joinAddresses(parsed.cc),
+        subject: parsed.subject || 'Без темы',
+        date: parsed.date && !isNaN(parsed.date) ? parsed.date.toISOString() : null
+    };
+}
+
+function newestFirst(a, b) {
+    const time = entry => Date.parse(entry.date || entry.firstSeen) || 0;
+    return time(b) - time(a);
+}
+
+function toListItem(entry, fresh) {
+    const { file, ...item } = entry;
+    return { ...item, downloaded: Boolean(entry.downloadedAt), isNew: fresh.has(entry.uid) };
+}
+
+async function syncMailbox(dir, settings, { count, download, retention }) {
+    const index = await loadIndex(dir);
+    const now = new Date();
+    const stamp = now.toISOString();
+    const fresh = new Set();
+    // Загруженные и новые письма для поискового индекса
+    const indexed = [];
+    const stats = { onServer: 0, notDownloaded: 0, downloaded: 0, previews: 0, deletedFromServer: 0, failed: [] };
+
+    const session = await openPop3Session(settings);
+    try {
+        await fs.promises.mkdir(path.join(dir, 'messages'), { recursive: true });
+        const listing = await session.uidl();
+        const sizes = await session.list();
+        const present = new Set(listing.map(item => item.uid));
+        stats.onServer = listing.length;
+
+        for (const [uid, entry] of Object.entries(index.messages)) {
+            entry.onServer = present.has(uid);
+            // Заголовки писем, которые исчезли с сервера до загрузки, больше не нужны
+            if (!entry.onServer && !entry.downloadedAt) {
+                delete index.messages[uid];
+            }
+        }
+
+        // Новые письма - те, чьих UIDL нет среди загруженных; начинаем с последних полученных сервером
+        const pending = listing.filter(item => !(index.messages[item.uid] && index.messages[item.uid].downloadedAt)).reverse();
+        stats.notDownloaded = pending.length;
+
+        for (const item of download ? pending.slice(0, pop3Config.maxDownloadPerSync) : []) {
+            let raw;
+            try {
+                raw = await session.retr(item.seq);
+            } catch (error) {
+                if (error.pop3Command !== 'retr') {
+                    throw error;
+                }
+                logger.warn(`Не удалось загрузить письмо POP3 ${item.uid} для ${settings.email}: ${error.message}`);
+                stats.failed.push({ uid: item.uid, error: error.message });
+                continue;
+            }
+            const parsed = await simpleParser(raw);
+            const file = messageFile(item.uid);
+            await fs.promises.writeFile(path.join(dir, 'messages', file), raw, { mode: 0o600 });
+            const previous = index.messages[item.uid];
+            index.messages[item.uid] = {
+                uid: item.uid,
+                ...summarize(parsed),
+                size: sizes.get(item.seq) || raw.length,
+                snippet: makeSnippet(parsed.text),
+                hasAttachments: (parsed.attachments || []).some(attachment => attachment.contentDisposition !== 'inline'),
+                file,
+                firstSeen: previous ? previous.firstSeen : stamp,
+                downloadedAt: stamp,
+                onServer: true
+            };
+            indexed.push({
+                ...index.messages[item.uid],
+                text: parsed.text || '',
+                attachments: (parsed.attachments || []).filter(attachment => attachment.contentDisposition !== 'inline')
+                    .map(attachment => attachment.filename)
+            });
+            fresh.add(item.uid);
+            stats.downloaded++;
+        }
+
+        // Остальные новые письма (сверх лимита или при download=false) показываются по заголовкам: TOP n 0
+        const previews = pending.filter(item => !fresh.has(item.uid) && !index.messages[item.uid]).slice(0, count);
+        for (const item of previews) {
+            let headers;
+            try {
+                headers = await session.top(item.seq, 0);
+            } catch (error) {
+                if (error.pop3Command !== 'top') {
+                    throw error;
+                }
+                // TOP - необязательная команда (RFC 1939, раздел 7)
+                logger.debug(`Сервер POP3 ${settings.pop3Host} не выполнил TOP: ${error.message}`);
+                break;
+            }
+            index.messages[item.uid] = {
+                uid: item.uid,
+                ...summarize(await simpleParser(headers)),
+                size: sizes.get(item.seq) || 0,
+                snippet: '',
+                hasAttachments: false,
+                file: null,
+                firstSeen: stamp,
+                downloadedAt: null,
+                onServer: true
+            };
+            indexed.push(index.messages[item.uid]);
+            stats.previews++;
+        }
+
+        const expired = listing.filter(item => isExpired(index.messages[item.uid], retention, now));
+        for (const item of expired) {
+            await session.dele(item.seq);
+        }
+        // DELE применяется сервером только после успешного QUIT
+        await session.quit();
+        for (const item of expired) {
+            index.messages[item.uid].onServer = false;
+            index.messages[item.uid].deletedFromServerAt = stamp;
+        }
+        stats.deletedFromServer = expired.length;
+    } catch (error) {
+        session.close();
+        throw error;
+    } finally {
+        // Загруженные письма запоминаются даже при обрыве сессии, чтобы не скачивать их повторно
+        index.lastSyncAt = stamp;
+        await saveIndex(dir, index);
+    }
+
+    const entries = Object.values(index.messages).sort(newestFirst);
+    return {
+        emails: entries.slice(0, count).map(entry => toListItem(entry, fresh)),
+        total: entries.length,
+        hasMore: entries.length > count,
+        sync: { ...stats, retention, lastSyncAt: stamp },
+        indexed
+    };
+}
+
+/**
+ * Синхронизирует ящик POP3 и возвращает последние count писем из локального списка.
+ * Загружаются (RETR) только письма, чьих UIDL еще нет среди загруженных; при download=false - только заголовки (TOP).
+ * retention - результат resolveRetention: загруженные письма удаляются с сервера по этой политике.
+ * Письма списка: uid (UIDL), from, to, subject, date (ISO), size, snippet, downloaded, onServer, isNew.
+ */
+function syncPop3Mailbox({ id, email, password, accessToken, pop3Host, pop3Port, pop3Security, tlsCa, count = 10, download = true, retention = resolveRetention() }) {
+    const key = mailboxKey({ id, email, pop3Host, pop3Port });
+    return withMailbox(key, async () => {
+        const { indexed, ...result } = await syncMailbox(mailboxDir(key), { email, password, accessToken, pop3Host, pop3Port, pop3Security, tlsCa }, { count, download, retention });
+        await indexMessages({ id, email }, { protocol: 'pop3', folder: 'INBOX' }, indexed).catch((error) => {
+            logger.warn(`Не удалось добавить письма POP3 ${email} в поисковый индекс: ${error.message}`);
+        });
+        const { sync } = result;
+        logger.info(`POP3 ${email}: на сервере ${sync.onServer}, загружено ${sync.downloaded}, заголовков ${sync.previews}, удалено с сервера ${sync.deletedFromServer} (политика ${retention.mode}).`);
+        return result;
+    });
+}
+
+function collectHeaders(parsed) {
+    const headers = {};
+    for (const { key, line } of parsed.headerLines || []) {
+        headers[key] = [...(headers[key] || []), line.slice(line.indexOf(':') + 1).trim()];
+    }
+    return headers;
+}
+
+/**
+ * Последние limit писем локального ящика с текстом и заголовками (для поиска без поддержки сервера).
+ * У писем, загруженных только по заголовкам, текста нет.
+ */
+function readPop3Messages({ id, email, pop3Host, pop3Port, limit }) {
+    const key = mailboxKey({ id, email, pop3Host, pop3Port });
+    return withMailbox(key, async () => {
+        const dir = mailboxDir(key);
+        const index = await loadIndex(dir);
+        const messages = [];
+        for (const entry of Object.values(index.messages).sort(newestFirst).slice(0, limit)) {
+            const item = toListItem(entry, new Set());
+            if (entry.file) {
+                try {
+                    const parsed = await simpleParser(await fs.promises.readFile(path.join(dir, 'messages', entry.file)));
+                    item.text = parsed.text || '';
+                    item.headers = collectHeaders(parsed);
+                } catch (error) {
+                    logger.warn(`Не удалось прочитать локальную копию письма POP3 ${entry.uid}: ${error.message}`);
+                }
+            }
+            messages.push(item);
+        }
+        return messages;
+    });
+}
+
+/**
+ * Удаляет локальные ящики POP3 аккаунта (после удаления аккаунта).
+ */
+async function removePop3Mailboxes(accountId) {
+    let names = [];
+    try {
+        names = await fs.promises.readdir(ROOT_DIR);
+    } catch (error) {
+        return;
+    }
+    for (const name of names.filter(item => item.startsWith(`${accountId}-`))) {
+        await fs.promises.rm(path.join(ROOT_DIR, name), { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    RETENTION_MODES,
+    resolveRetention,
+    syncPop3Mailbox,
+    readPop3Messages,
+    removePop3Mailboxes
+};
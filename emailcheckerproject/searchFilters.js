@@ -0,0 +1,132 @@
+// searchFilters.js - Структурированные условия поиска: IMAP SEARCH и проверка на клиенте (для POP3)
+
+// Поля фильтра, которые ищутся как подстрока
+const TEXT_FIELDS = {
+    from: 'FROM',
+    to: 'TO',
+    cc: 'CC',
+    subject: 'SUBJECT',
+    body: 'BODY',
+    text: 'TEXT'
+};
+
+function toDate(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date) ? null : date;
+}
+
+function headerList(header) {
+    if (!header) {
+        return [];
+    }
+    return (Array.isArray(header) ? header : [header]).filter(item => item && item.name);
+}
+
+/**
+ * Есть ли в фильтре хотя бы одно условие.
+ */
+function hasFilters(filters) {
+    return buildImapCriteria(filters).length > 0;
+}
+
+/**
+ * Переводит фильтр в условия node-imap.
+ * since/before в IMAP сравниваются только по дате (без времени), before не включает указанный день.
+ */
+function buildImapCriteria(filters = {}) {
+    const criteria = [];
+    for (const [field, key] of Object.entries(TEXT_FIELDS)) {
+        if (filters[field]) {
+            criteria.push([key, String(filters[field])]);
+        }
+    }
+    if (filters.since) {
+        criteria.push(['SINCE', toDate(filters.since)]);
+    }
+    if (filters.before) {
+        criteria.push(['BEFORE', toDate(filters.before)]);
+    }
+    if (filters.unseen !== undefined && filters.unseen !== null) {
+        criteria.push(filters.unseen ? 'UNSEEN' : 'SEEN');
+    }
+    if (filters.flagged !== undefined && filters.flagged !== null) {
+        criteria.push(filters.flagged ? 'FLAGGED' : 'UNFLAGGED');
+    }
+    if (filters.larger) {
+        criteria.push(['LARGER', Number(filters.larger)]);
+    }
+    if (filters.smaller) {
+        criteria.push(['SMALLER', Number(filters.smaller)]);
+    }
+    for (const header of headerList(filters.header)) {
+        criteria.push(['HEADER', String(header.name), String(header.value || '')]);
+    }
+    return criteria;
+}
+
+function contains(haystack, needle) {
+    return String(haystack || '').toLowerCase().includes(String(needle).toLowerCase());
+}
+
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Проверяет загруженное письмо на соответствие фильтру (медленный поиск без поддержки сервера).
+ * Письмо: from, to, cc, subject, text/body, date, size, unread, flagged, headers (имя -> значения).
+ */
+function matchesFilters(message, filters = {}) {
+    const body = message.text || message.body || '';
+    const values = {
+        from: message.from,
+        to: message.to,
+        cc: message.cc,
+        subject: message.subject,
+        body,
+        text: [message.from, message.to, message.cc, message.subject, body].join('\n')
+    };
+    for (const field of Object.keys(TEXT_FIELDS)) {
+        if (filters[field] && !contains(values[field], filters[field])) {
+            return false;
+        }
+    }
+
+    if (filters.since || filters.before) {
+        const date = toDate(message.date);
+        if (!date) {
+            return false;
+        }
+        if (filters.since && startOfDay(date) < startOfDay(toDate(filters.since))) {
+            return false;
+        }
+        if (filters.before && startOfDay(date) >= startOfDay(toDate(filters.before))) {
+            return false;
+        }
+    }
+
+    if (filters.unseen !== undefined && filters.unseen !== null && Boolean(message.unread) !== Boolean(filters.unseen)) {
+        return false;
+    }
+    if (filters.flagged !== undefined && filters.flagged !== null && Boolean(message.flagged) !== Boolean(filters.flagged)) {
+        return false;
+    }
+    if (filters.larger && !((message.size || 0) > Number(filters.larger))) {
+        return false;
+    }
+    if (filters.smaller && !((message.size || 0) < Number(filters.smaller))) {
+        return false;
+    }
+
+    const headers = message.headers || {};
+    return headerList(filters.header).every(header => {
+        const found = [].concat(headers[String(header.name).toLowerCase()] || []);
+        return found.some(value => contains(value, header.value || ''));
+    });
+}
+
+module.exports = {
+    hasFilters,
+    buildImapCriteria,
+    matchesFilters
+};
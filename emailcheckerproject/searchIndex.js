@@ -0,0 +1,529 @@
+// searchIndex.js - Локальный полнотекстовый индекс писем всех аккаунтов: фразы, поля, диапазоны дат и ранжирование
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const config = require('./config');
+
+const indexConfig = config.SEARCH_INDEX;
+const ROOT_DIR = path.join(config.STORAGE.dataDir, config.STORAGE.indexDir);
+
+// Поля документа и их вес при ранжировании
+const FIELD_WEIGHTS = { subject: 3, from: 2, to: 2, attachment: 2, body: 1 };
+// Префиксы запроса -> поле документа
+const FIELD_PREFIXES = { from: 'from', to: 'to', cc: 'to', subject: 'subject', body: 'body', text: 'body', attachment: 'attachment', filename: 'attachment' };
+const DAY = 24 * 60 * 60 * 1000;
+
+// accountId -> { documents: Map(docId -> документ), timer }
+const accounts = new Map();
+// Обратный индекс: слово -> Map(ключ документа -> { поле: число вхождений })
+const postings = new Map();
+let loading = null;
+
+function tokenize(text) {
+    return String(text || '').toLowerCase().replace(/ё/g, 'е').match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function docKey(accountId, docId) {
+    return `${accountId}/${docId}`;
+}
+
+function fieldText(doc, field) {
+    if (field === 'attachment') {
+        return doc.attachments.join(' ');
+    }
+    if (field === 'to') {
+        return [doc.to, doc.cc].filter(Boolean).join(', ');
+    }
+    return doc[field] || '';
+}
+
+function accountFile(accountId) {
+    if (!/^[\w-]+$/.test(accountId)) {
+        throw new Error(`Недопустимый id аккаунта для индекса: ${accountId}`);
+    }
+    return path.join(ROOT_DIR, `${accountId}.json`);
+}
+
+function addPostings(accountId, doc) {
+    const key = docKey(accountId, doc.id);
+    for (const field of Object.keys(FIELD_WEIGHTS)) {
+        for (const token of tokenize(fieldText(doc, field))) {
+            if (!postings.has(token)) {
+                postings.set(token, new Map());
+            }
+            const fields = postings.get(token).get(key) || {};
+            fields[field] = (fields[field] || 0) + 1;
+            postings.get(token).set(key, fields);
+        }
+    }
+}
+
+function removePostings(accountId, doc) {
+    const key = docKey(accountId, doc.id);
+    for (const field of Object.keys(FIELD_WEIGHTS)) {
+        for (const token of new Set(tokenize(fieldText(doc, field)))) {
+            const docs = postings.get(token);
+            if (docs) {
+                docs.delete(key);
+                if (docs.size === 0) {
+                    postings.delete(token);
+                }
+            }
+        }
+    }
+}
+
+function getAccount(accountId) {
+    if (!accounts.has(accountId)) {
+        accounts.set(accountId, { documents: new Map(), timer: null });
+    }
+    return accounts.get(accountId);
+}
+
+/**
+ * Загружает сохраненные документы всех аккаунтов и строит обратный индекс (один раз за запуск).
+ */
+function ensureLoaded() {
+    if (!loading) {
+        loading = (async () => {
+            let names = [];
+            try {
+                names = await fs.promises.readdir(ROOT_DIR);
+            } catch (error) {
+                return;
+            }
+            for (const name of names.filter(item => item.endsWith('.json'))) {
+                try {
+                    const stored = JSON.parse(await fs.promises.readFile(path.join(ROOT_DIR, name), 'utf8'));
+                    const account = getAccount(stored.accountId);
+                    for (const doc of Object.values(stored.documents || {})) {
+                        account.documents.set(doc.id, doc);
+                        addPostings(stored.accountId, doc);
+                    }
+                } catch (error) {
+                    logger.warn(`Не удалось загрузить поисковый индекс ${name}: ${error.message}`);
+                }
+            }
+            logger.info(`Поисковый индекс загружен: ${postings.size} слов.`);
+        })();
+    }
+    return loading;
+}
+
+async function saveAccount(accountId) {
+    const account = accounts.get(accountId);
+    const file = accountFile(accountId);
+    if (!account || account.documents.size === 0) {
+        await fs.promises.rm(file, { force: true });
+        return;
+    }
+    await fs.promises.mkdir(ROOT_DIR, { recursive: true });
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    const documents = Object.fromEntries(account.documents);
+    await fs.promises.writeFile(tmpFile, JSON.stringify({ version: 1, accountId, documents }), { mode: 0o600 });
+    await fs.promises.rename(tmpFile, file);
+}
+
+/**
+ * Изменения записываются на диск с задержкой saveDelay, чтобы синхронизация папки не переписывала файл на каждое письмо.
+ */
+function scheduleSave(accountId) {
+    const account = getAccount(accountId);
+    if (account.timer) {
+        return;
+    }
+    account.timer = setTimeout(() => {
+        account.timer = null;
+        saveAccount(accountId).catch((error) => {
+            logger.warn(`Не удалось сохранить поисковый индекс аккаунта ${accountId}: ${error.message}`);
+        });
+    }, indexConfig.saveDelay);
+    account.timer.unref();
+}
+
+/**
+ * Документ индекса из письма списка (IMAP, POP3) или открытого письма.
+ * Текст и имена вложений прежней версии сохраняются, если в новой их нет (список приходит без текста).
+ */
+function buildDocument({ id, email }, { protocol, folder }, item, previous) {
+    const attachments = (item.attachments || []).filter(attachment => !attachment.inline)
+        .map(attachment => (typeof attachment === 'string' ? attachment : attachment.filename))
+        .filter(Boolean);
+    const body = typeof item.text === 'string' ? item.text.slice(0, indexConfig.maxBodyLength) : null;
+    return {
+        id: `${protocol}:${folder}:${item.uid}`,
+        accountId: id,
+        email,
+        protocol,
+        folder,
+        uid: item.uid,
+        messageId: item.messageId || null,
+        subject: item.subject || '',
+        from: item.from || '',
+        to: item.to || '',
+        cc: item.cc || '',
+        date: item.date || null,
+        snippet: item.snippet || (previous ? previous.snippet : ''),
+        attachments: attachments.length > 0 || !previous ? attachments : previous.attachments,
+        body: body !== null ? body : (previous ? previous.body : item.snippet || ''),
+        hasBody: body !== null || Boolean(previous && previous.hasBody)
+    };
+}
+
+function sameDocument(a, b) {
+    return Object.keys(b).every(key => JSON.stringify(a[key]) === JSON.stringify(b[key]));
+}
+
+function upsert(account, source, item) {
+    const documents = getAccount(account.id).documents;
+    const previous = documents.get(`${source.protocol}:${source.folder}:${item.uid}`);
+    const doc = buildDocument(account, source, item, previous);
+    if (previous && sameDocument(previous, doc)) {
+        return false;
+    }
+    if (previous) {
+        removePostings(account.id, previous);
+    }
+    documents.set(doc.id, doc);
+    addPostings(account.id, doc);
+    return true;
+}
+
+/**
+ * Добавляет или обновляет письма в индексе. account - { id, email }, source - { protocol, folder }.
+ * Письма без id аккаунта (разовые запросы) не индексируются.
+ */
+async function indexMessages(account, source, items) {
+    if (!indexConfig.enabled || !account.id) {
+        return;
+    }
+    await ensureLoaded();
+    const changed = items.filter(item => upsert(account, source, item)).length;
+    if (changed > 0) {
+        scheduleSave(account.id);
+    }
+}
+
+/**
+ * Приводит письма папки в индексе к переданному списку: новые добавляются, отсутствующие в списке удаляются.
+ */
+async function syncFolderIndex(account, source, items) {
+    if (!indexConfig.enabled || !account.id) {
+        return;
+    }
+    await ensureLoaded();
+    const documents = getAccount(account.id).documents;
+    const present = new Set(items.map(item => `${source.protocol}:${source.folder}:${item.uid}`));
+    let changed = items.filter(item => upsert(account, source, item)).length;
+    for (const doc of [...documents.values()]) {
+        if (doc.protocol === source.protocol && doc.folder === source.folder && !present.has(doc.id)) {
+            removePostings(account.id, doc);
+            documents.delete(doc.id);
+            changed++;
+        }
+    }
+    if (changed > 0) {
+        scheduleSave(account.id);
+    }
+}
+
+async function removeFolderIndex(accountId, { protocol, folder }) {
+    await ensureLoaded();
+    const account = accounts.get(accountId);
+    if (!account) {
+        return;
+    }
+    for (const doc of [...account.documents.values()]) {
+        if (doc.protocol === protocol && doc.folder === folder) {
+            removePostings(accountId, doc);
+            account.documents.delete(doc.id);
+        }
+    }
+    scheduleSave(accountId);
+}
+
+async function removeAccountIndex(accountId) {
+    await ensureLoaded();
+    const account = accounts.get(accountId);
+    if (account) {
+        clearTimeout(account.timer);
+        account.documents.forEach(doc => removePostings(accountId, doc));
+        accounts.delete(accountId);
+    }
+    await fs.promises.rm(accountFile(accountId), { force: true });
+}
+
+function queryError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_QUERY';
+    error.status = 400;
+    return error;
+}
+
+function parseDate(value, endOfDay) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value))) {
+        throw queryError(`Некорректная дата в запросе: ${value} (ожидается ГГГГ-ММ-ДД)`);
+    }
+    return Date.parse(value) + (endOfDay ? DAY : 0);
+}
+
+/**
+ * Разбирает строку запроса: слова, "фразы в кавычках", поля (from:, to:, subject:, body:, attachment:),
+ * исключение (-слово), префикс слова (отчет*), даты (after:, before:, date:ГГГГ-ММ-ДД или date:ГГГГ-ММ-ДД..ГГГГ-ММ-ДД),
+ * папка (folder:) и протокол (in:imap, in:pop3).
+ */
+function parseQuery(q) {
+    const query = { clauses: [], since: null, before: null, folder: null, protocol: null };
+    const pattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"|(\S+))/gi;
+    let match;
+    while ((match = pattern.exec(q)) !== null) {
+        const [raw, minus, prefix, phrase, word] = match;
+        const name = prefix ? prefix.toLowerCase() : null;
+        const value = phrase !== undefined ? phrase : word;
+
+        if (name === 'after' || name === 'since') {
+            query.since = parseDate(value, false);
+            continue;
+        }
+        if (name === 'before') {
+            query.before = parseDate(value, false);
+            continue;
+        }
+        if (name === 'date') {
+            const [from, to = from] = value.split('..');
+            query.since = from ? parseDate(from, false) : null;
+            query.before = to ? parseDate(to, true) : null;
+            continue;
+        }
+        if (name === 'folder') {
+            query.folder = value;
+            continue;
+        }
+        if (name === 'in') {
+            if (!['imap', 'pop3'].includes(value.toLowerCase())) {
+                throw queryError(`in: принимает imap или pop3, получено: ${value}`);
+            }
+            query.protocol = value.toLowerCase();
+            continue;
+        }
+
+        // Неизвестный префикс считается частью слова (например, время 10:30)
+        const field = name ? FIELD_PREFIXES[name] : null;
+        const text = name && !field ? raw.replace(/^-/, '') : value;
+        const wildcard = phrase === undefined && text.endsWith('*');
+        const tokens = tokenize(text);
+        if (tokens.length > 0) {
+            query.clauses.push({ field, tokens, phrase: phrase !== undefined || tokens.length > 1, wildcard, negate: minus === '-' });
+        }
+    }
+    if (query.since !== null && query.before !== null && query.since >= query.before) {
+        throw queryError('Начало диапазона дат должно быть раньше конца.');
+    }
+    return query;
+}
+
+/**
+ * Документы, где слово встречается (в поле field или в любом поле), с числом вхождений по полям.
+ * Для слова с * учитываются все слова индекса с таким началом.
+ */
+function lookup(token, field, wildcard) {
+    const sources = wildcard
+        ? [...postings.keys()].filter(word => word.startsWith(token)).map(word => postings.get(word))
+        : [postings.get(token)].filter(Boolean);
+    const found = new Map();
+    for (const docs of sources) {
+        for (const [key, fields] of docs) {
+            const selected = field ? (fields[field] ? { [field]: fields[field] } : null) : fields;
+            if (!selected) {
+                continue;
+            }
+            const total = found.get(key) || {};
+            for (const [name, count] of Object.entries(selected)) {
+                total[name] = (total[name] || 0) + count;
+            }
+            found.set(key, total);
+        }
+    }
+    return found;
+}
+
+function getDocument(key) {
+    const [accountId, ...rest] = key.split('/');
+    const account = accounts.get(accountId);
+    return account ? account.documents.get(rest.join('/')) : null;
+}
+
+function containsPhrase(doc, clause) {
+    const needle = ` ${clause.tokens.join(' ')} `;
+    const fields = clause.field ? [clause.field] : Object.keys(FIELD_WEIGHTS);
+    return fields.filter(field => ` ${tokenize(fieldText(doc, field)).join(' ')} `.includes(needle));
+}
+
+/**
+ * Подходящие под условие документы и вклад условия в оценку: TF-IDF с весами полей.
+ */
+function matchClause(clause, totalDocs) {
+    const scores = new Map();
+    const lists = clause.tokens.map((token, index) =>
+        lookup(token, clause.field, clause.wildcard && index === clause.tokens.length - 1));
+    const [first, ...others] = lists;
+    for (const [key, fields] of first) {
+        if (others.some(list => !list.has(key))) {
+            continue;
+        }
+        let phraseFields = null;
+        if (clause.phrase) {
+            const doc = getDocument(key);
+            phraseFields = doc ? containsPhrase(doc, clause) : [];
+            if (phraseFields.length === 0) {
+                continue;
+            }
+        }
+        let score = 0;
+        lists.forEach((list) => {
+            const idf = Math.log(1 + totalDocs / list.size);
+            for (const [field, count] of Object.entries(list.get(key) || fields)) {
+                score += idf * FIELD_WEIGHTS[field] * (1 + Math.log(count));
+            }
+        });
+        // Точное совпадение фразы ценнее, чем те же слова вразброс
+        if (phraseFields) {
+            score *= 1.5;
+        }
+        scores.set(key, score);
+    }
+    return scores;
+}
+
+/**
+ * Фрагмент текста вокруг первого найденного слова (или начало письма).
+ */
+function excerpt(doc, clauses) {
+    const text = doc.body || doc.snippet || '';
+    const lower = text.toLowerCase().replace(/ё/g, 'е');
+    const positions = clauses.flatMap(clause => clause.tokens).map(token => lower.indexOf(token)).filter(index => index >= 0);
+    if (positions.length === 0) {
+        return doc.snippet || text.slice(0, 200);
+    }
+    const start = Math.max(0, Math.min(...positions) - 60);
+    return `${start > 0 ? '…' : ''}${text.slice(start, start + 200).replace(/\s+/g, ' ').trim()}…`;
+}
+
+/**
+ * Поиск по индексу аккаунтов accountIds (письма других аккаунтов не попадают ни в результаты, ни в indexed),
+ * folder - ограничить папкой.
+ * Все условия запроса должны выполняться; результаты упорядочены по оценке, при равенстве - новые выше.
+ * Возвращает { total, results, query, indexed }, где results - письма со score, excerpt и matchedFields.
+ */
+async function searchIndex({ q, accountIds = [], folder, limit = 20, offset = 0 }) {
+    await ensureLoaded();
+    const query = parseQuery(q);
+    const positive = query.clauses.filter(clause => !clause.negate);
+    const hasFilters = query.since !== null || query.before !== null || query.folder || query.protocol;
+    if (positive.length === 0 && !hasFilters) {
+        throw queryError('В запросе нет ни одного слова или фильтра.');
+    }
+
+    const allowed = new Set(accountIds.map(String));
+    const selectedFolder = folder || query.folder;
+    const visible = (doc) => doc
+        && allowed.has(doc.accountId)
+        && (!selectedFolder || doc.folder === selectedFolder)
+        && (!query.protocol || doc.protocol === query.protocol)
+        && (query.since === null || Date.parse(doc.date) >= query.since)
+        && (query.before === null || Date.parse(doc.date) < query.before);
+
+    const totalDocs = [...accounts.values()].reduce((sum, account) => sum + account.documents.size, 0);
+    let candidates = null;
+    for (const clause of positive) {
+        const scores = matchClause(clause, totalDocs);
+        if (!candidates) {
+            candidates = scores;
+            continue;
+        }
+        for (const [key, score] of candidates) {
+            if (scores.has(key)) {
+                candidates.set(key, score + scores.get(key));
+            } else {
+                candidates.delete(key);
+            }
+        }
+    }
+    if (!candidates) {
+        // Только фильтры: подходят все письма, оценка одинаковая
+        candidates = new Map();
+        for (const accountId of allowed) {
+            const account = accounts.get(accountId);
+            (account ? account.documents : []).forEach(doc => candidates.set(docKey(accountId, doc.id), 0));
+        }
+    }
+    for (const clause of query.clauses.filter(item => item.negate)) {
+        for (const key of matchClause({ ...clause, negate: false }, totalDocs).keys()) {
+            candidates.delete(key);
+        }
+    }
+
+    const matched = [...candidates]
+        .map(([key, score]) => ({ doc: getDocument(key), score }))
+        .filter(({ doc }) => visible(doc))
+        .sort((a, b) => b.score - a.score || (Date.parse(b.doc.date) || 0) - (Date.parse(a.doc.date) || 0));
+
+    const results = matched.slice(offset, offset + limit).map(({ doc, score }) => ({
+        accountId: doc.accountId,
+        email: doc.email,
+        protocol: doc.protocol,
+        folder: doc.folder,
+        uid: doc.uid,
+        messageId: doc.messageId,
+        from: doc.from,
+        to: doc.to,
+        subject: doc.subject,
+        date: doc.date,
+        attachments: doc.attachments,
+        hasBody: doc.hasBody,
+        score: Math.round(score * 100) / 100,
+        matchedFields: [...new Set(positive.flatMap(clause => clause.phrase
+            ? containsPhrase(doc, clause)
+            : clause.tokens.flatMap(token => Object.keys(lookup(token, clause.field, clause.wildcard).get(docKey(doc.accountId, doc.id)) || {}))))],
+        excerpt: excerpt(doc, positive)
+    }));
+
+    return {
+        total: matched.length,
+        results,
+        query: {
+            clauses: query.clauses,
+            since: query.since !== null ? new Date(query.since).toISOString() : null,
+            before: query.before !== null ? new Date(query.before).toISOString() : null,
+            folder: selectedFolder || null,
+            protocol: query.protocol
+        },
+        indexed: [...allowed].reduce((sum, accountId) => sum + (accounts.has(accountId) ? accounts.get(accountId).documents.size : 0), 0)
+    };
+}
+
+/**
+ * Сколько писем каждого аккаунта в индексе и у скольких из них проиндексирован текст.
+ */
+async function getIndexStats() {
+    await ensureLoaded();
+    return [...accounts].map(([accountId, account]) => {
+        const documents = [...account.documents.values()];
+        return {
+            accountId,
+            email: documents.length > 0 ? documents[0].email : null,
+            documents: documents.length,
+            withBody: documents.filter(doc => doc.hasBody).length,
+            folders: [...new Set(documents.map(doc => `${doc.protocol}:${doc.folder}`))]
+        };
+    });
+}
+
+module.exports = {
+    indexMessages,
+    syncFolderIndex,
+    removeFolderIndex,
+    removeAccountIndex,
+    searchIndex,
+    getIndexStats
+};
@@ -1,12 +1,34 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
 const logger = require('./logger');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const { getProviderSettings } = require('./emailProviders');
-const { testImapConnection, testPop3Connection, testSmtpConnection, fetchImapEmails, fetchPop3Emails, sendEmail, markAsRead, getFolders } = require('./emailUtils');
+const { loadProviderRegistry, listProviders, upsertProvider, removeProvider, getAccountProvider, resolveServerSettings } = require('./emailProviders');
+const { discoverServers } = require('./serverDiscovery');
+const { startAuthorization, completeAuthorization, getAccessToken } = require('./oauth');
+const { SECURITY_MODES, validateCertificates } = require('./connectionSecurity');
+const { testImapConnection, testPop3Connection, testSmtpConnection, fetchImapEmails, getImapMessage, getImapOriginal, addImapFlag, streamImapAttachment } = require('./emailUtils');
+const { listFolders, manageFolder } = require('./folders');
+const { ACTIONS, applyMessageAction } = require('./messageActions');
 const { callCustomApi, logActivity } = require('./apiClient');
+const accountStore = require('./accountStore');
+const { threadMessages } = require('./threading');
+const { hasFilters, buildImapCriteria, matchesFilters } = require('./searchFilters');
+const { validateAddressList, parseCustomHeaders, formatRecipients, buildMailOptions, createMessageId, buildReplyMessage, buildForwardMessage } = require('./messageBuilder');
+const { getSpecialFolder, saveSentCopy, saveDraft, deleteDraft } = require('./mailStore');
+const { RETENTION_MODES, resolveRetention, syncPop3Mailbox, readPop3Messages, removePop3Mailboxes } = require('./pop3Mailbox');
+const { searchIndex, getIndexStats, removeAccountIndex } = require('./searchIndex');
+const { fetchCachedEmails, getCachedMessage, invalidateFolders, removeFolderCache, removeAccountCache } = require('./messageCache');
+const imapPool = require('./imapPool');
+const healthChecks = require('./healthChecks');
+const outbox = require('./outbox');
+const { diagnoseAccount } = require('./connectionDiagnostics');
+const { mailError, classifyError, errorResponse } = require('./mailErrors');
+const mailWatcher = require('./mailWatcher');
+const config = require('./config');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -56,7 +78,7 @@ app.use((req, res, next) => {
 const authRateLimit = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 10, // limit each IP to 10 requests per windowMs
-    message: { error: 'Too many authentication attempts, please try again later.' },
+    handler: (req, res) => sendError(res, mailError('RATE_LIMITED', 'Слишком много попыток входа, повторите позже.')),
     standardHeaders: true,
     legacyHeaders: false,
 });
@@ -65,7 +87,7 @@ const authRateLimit = rateLimit({
 const emailRateLimit = rateLimit({
     windowMs: 1 * 60 * 1000, // 1 minute
     max: 30, // limit each IP to 30 requests per minute
-    message: { error: 'Too many email requests, please try again later.' },
+    handler: (req, res) => sendError(res, mailError('RATE_LIMITED', 'Слишком много почтовых запросов, повторите позже.')),
     standardHeaders: true,
     legacyHeaders: false,
 });
@@ -79,10 +101,277 @@ app.use(express.static(path.join(__dirname, 'public'), {
     }
 }));
 
+// Режим шифрования по протоколам (пусто - по реестру провайдеров или по порту) и закрепленный сертификат CA
+const securityValidators = [
+    body(['imapSecurity', 'pop3Security', 'smtpSecurity']).optional({ values: 'falsy' }).isIn(SECURITY_MODES)
+        .withMessage(`Режим шифрования должен быть одним из: ${SECURITY_MODES.join(', ')}`),
+    body('tlsCa').optional({ values: 'falsy' }).isString().isLength({ max: 64 * 1024 }).withMessage('tlsCa слишком длинный')
+        .custom((value) => {
+            const problem = validateCertificates(value);
+            if (problem) {
+                throw new Error(`tlsCa: ${problem}`);
+            }
+            return true;
+        }),
+];
+
+// Учетные данные: либо accountId сохраненного аккаунта, либо email и пароль в теле запроса
+const credentialValidators = [
+    body('accountId').optional().isString().withMessage('accountId должен быть строкой'),
+    body('email').if(body('accountId').not().exists()).isEmail().withMessage('Некорректный email'),
+    body('password').if(body('accountId').not().exists()).notEmpty().withMessage('Пароль не может быть пустым'),
+    ...securityValidators,
+];
+
+// Ответ с ошибкой в едином формате: { success: false, code, error, retryable }, статус - по коду ошибки
+function sendError(res, error, extra = {}) {
+    const { status, body } = errorResponse(error);
+    return res.status(status).json({ ...body, ...extra });
+}
+
+function sendValidationErrors(res, errors) {
+    const list = errors.array();
+    const message = `Некорректные параметры запроса: ${[...new Set(list.map(item => item.msg))].join('; ')}`;
+    return sendError(res, mailError('VALIDATION_ERROR', message), { errors: list });
+}
+
+// Аккаунт с входом через OAuth2 получает действующий токен доступа (при необходимости обновленный)
+async function withAccessToken(account) {
+    if (account.authType !== 'oauth2') {
+        return account;
+    }
+    return { ...account, accessToken: await getAccessToken(account) };
+}
+
+// Подставляет в req.account данные сохраненного аккаунта (если передан accountId) или тело запроса
+async function resolveAccount(req, res, next) {
+    const accountId = req.body.accountId || req.query.accountId;
+    if (!accountId) {
+        req.account = req.body;
+        return next();
+    }
+
+    try {
+        const account = await accountStore.getAccountCredentials(accountId);
+        if (!account) {
+            logger.warn(`Запрошен несуществующий аккаунт ${accountId}.`);
+            return sendError(res, mailError('ACCOUNT_NOT_FOUND'));
+        }
+        req.account = { ...await withAccessToken(account), fetchProtocol: req.body.fetchProtocol || req.query.fetchProtocol || account.fetchProtocol };
+        next();
+    } catch (error) {
+        if (error.status) {
+            logger.warn(`Не удалось получить токен OAuth2 для аккаунта ${accountId}: ${error.message}`);
+            return sendError(res, error, { reauthorize: error.status === 401 });
+        }
+        next(error);
+    }
+}
+
+// Доступ к административным операциям по заголовку X-Admin-Token
+function requireAdmin(req, res, next) {
+    const expected = Buffer.from(config.SECURITY.adminToken || '');
+    const provided = Buffer.from(req.get('X-Admin-Token') || '');
+    if (expected.length === 0) {
+        return sendError(res, mailError('FORBIDDEN', 'Административные операции отключены (не задан ADMIN_TOKEN).'));
+    }
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        logger.warn(`Отклонен административный запрос ${req.method} ${req.originalUrl}.`);
+        return sendError(res, mailError('UNAUTHORIZED'));
+    }
+    next();
+}
+
+// Вложения исходящих писем принимаются как multipart/form-data и хранятся только в памяти
+const attachmentUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        files: config.EMAIL.smtp.maxAttachments,
+        fileSize: config.EMAIL.smtp.maxAttachmentSize
+    }
+}).array('attachments');
+
+function uploadAttachments(req, res, next) {
+    attachmentUpload(req, res, (err) => {
+        if (err instanceof multer.MulterError) {
+            logger.warn(`Отклонены вложения письма: ${err.message}`);
+            return sendError(res, mailError(err.code === 'LIMIT_FILE_SIZE' ? 'PAYLOAD_TOO_LARGE' : 'VALIDATION_ERROR', `Ошибка загрузки вложений: ${err.message}`));
+        }
+        next(err);
+    });
+}
+
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+const accountValidators = [
+    body('email').optional().isEmail().withMessage('Некорректный email'),
+    body('fetchProtocol').optional().isIn(['imap', 'pop3']).withMessage('Неизвестный протокол получения'),
+    body('authType').optional().isIn(['password', 'oauth2']).withMessage('authType должен быть password или oauth2'),
+    body(['imapPort', 'pop3Port', 'smtpPort']).optional({ values: 'falsy' }).isInt({ min: 1, max: 65535 }).withMessage('Некорректный порт'),
+    ...securityValidators,
+    body('pop3Retention').optional({ values: 'falsy' }).isIn(RETENTION_MODES).withMessage(`pop3Retention должен быть одним из: ${RETENTION_MODES.join(', ')}`),
+    body('pop3RetentionDays').optional({ values: 'falsy' }).isInt({ min: 1, max: 3650 }).withMessage('pop3RetentionDays должен быть от 1 до 3650'),
+];
+
+app.get('/api/accounts', async (req, res, next) => {
+    try {
+        const accounts = await accountStore.listAccounts();
+        res.json({ success: true, accounts });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.get('/api/accounts/:id', async (req, res, next) => {
+    try {
+        const account = await accountStore.getAccount(req.params.id);
+        if (!account) {
+            return sendError(res, mailError('ACCOUNT_NOT_FOUND'));
+        }
+        res.json({ success: true, account });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.post('/api/accounts', emailRateLimit, [
+    body('email').isEmail().withMessage('Некорректный email'),
+    body('password').if(body('authType').not().equals('oauth2')).notEmpty().withMessage('Пароль не может быть пустым'),
+    ...accountValidators,
+], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        logger.warn(`Ошибка валидации при сохранении аккаунта: ${JSON.stringify(errors.array())}`);
+        return sendValidationErrors(res, errors);
+    }
+
+    try {
+        const accounts = await accountStore.listAccounts();
+        const exists = accounts.some(a => a.email === req.body.email.trim().toLowerCase());
+        if (!exists && accounts.length >= config.SECURITY.maxAccountsPerClient) {
+            return sendError(res, mailError('ACCOUNT_LIMIT', `Достигнут лимит аккаунтов (${config.SECURITY.maxAccountsPerClient}).`));
+        }
+        const account = await accountStore.createAccount(req.body);
+        res.status(exists ? 200 : 201).json({ success: true, account });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.put('/api/accounts/:id', emailRateLimit, accountValidators, async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        logger.warn(`Ошибка валидации при обновлении аккаунта: ${JSON.stringify(errors.array())}`);
+        return sendValidationErrors(res, errors);
+    }
+
+    try {
+        const account = await accountStore.updateAccount(req.params.id, req.body);
+        if (!account) {
+            return sendError(res, mailError('ACCOUNT_NOT_FOUND'));
+        }
+        res.json({ success: true, account });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.delete('/api/accounts/:id', emailRateLimit, async (req, res, next) => {
+    try {
+        const deleted = await accountStore.deleteAccount(req.params.id);
+        if (!deleted) {
+            return sendError(res, mailError('ACCOUNT_NOT_FOUND'));
+        }
+        mailWatcher.stopAccount(req.params.id);
+        await removePop3Mailboxes(req.params.id).catch((error) => {
+            logger.warn(`Не удалось удалить локальные письма POP3 аккаунта ${req.params.id}: ${error.message}`);
+        });
+        await removeAccountCache(req.params.id).catch((error) => {
+            logger.warn(`Не удалось удалить кэш писем аккаунта ${req.params.id}: ${error.message}`);
+        });
+        await removeAccountIndex(req.params.id).catch((error) => {
+            logger.warn(`Не удалось удалить поисковый индекс аккаунта ${req.params.id}: ${error.message}`);
+        });
+        await healthChecks.removeAccountHealth(req.params.id).catch((error) => {
+            logger.warn(`Не удалось удалить историю проверок аккаунта ${req.params.id}: ${error.message}`);
+        });
+        await outbox.removeAccountOutbox(req.params.id).catch((error) => {
+            logger.warn(`Не удалось удалить письма аккаунта ${req.params.id} из очереди отправки: ${error.message}`);
+        });
+        res.json({ success: true, message: 'Аккаунт удален' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.post('/api/accounts/rotate-key', authRateLimit, requireAdmin, [
+    body('newKey').isLength({ min: 16 }).withMessage('Новый ключ должен быть не короче 16 символов'),
+], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return sendValidationErrors(res, errors);
+    }
+
+    try {
+        const result = await accountStore.rotateKey(req.body.newKey);
+        res.json({ success: true, rotated: result.accounts, message: 'Ключ изменен. Обновите ENCRYPTION_KEY перед перезапуском сервера.' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Вход через OAuth2: адрес страницы провайдера, на которую браузер переходит для подтверждения доступа
+app.post('/api/oauth/start', authRateLimit, [
+    body('accountId').notEmpty().withMessage('Не указан accountId'),
+], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return sendValidationErrors(res, errors);
+    }
+
+    try {
+        const account = await accountStore.getAccount(req.body.accountId);
+        if (!account) {
+            return sendError(res, mailError('ACCOUNT_NOT_FOUND'));
+        }
+        res.json({ success: true, url: startAuthorization(account) });
+    } catch (error) {
+        if (error.status) {
+            return sendError(res, error);
+        }
+        next(error);
+    }
+});
+
+// Возврат со страницы провайдера: код обменивается на токены, браузер возвращается в интерфейс
+app.get('/api/oauth/callback', authRateLimit, async (req, res) => {
+    const { code, state, error, error_description: errorDescription } = req.query;
+    try {
+        const result = await completeAuthorization({ code, state, error, errorDescription });
+        await accountStore.updateAccount(result.accountId, { authType: 'oauth2' });
+        res.redirect(`/?oauth=success&accountId=${encodeURIComponent(result.accountId)}`);
+    } catch (err) {
+        logger.warn(`Вход через OAuth2 не завершен: ${err.message}`);
+        res.redirect(`/?oauth=error&message=${encodeURIComponent(err.message)}`);
+    }
+});
+
+// Отключение OAuth2: токены удаляются, аккаунт снова входит по паролю
+app.delete('/api/accounts/:id/oauth', emailRateLimit, async (req, res, next) => {
+    try {
+        const removed = await accountStore.setOAuthTokens(req.params.id, null);
+        if (!removed) {
+            return sendError(res, mailError('ACCOUNT_NOT_FOUND'));
+        }
+        const account = await accountStore.updateAccount(req.params.id, { authType: 'password' });
+        res.json({ success: true, account });
+    } catch (error) {
+        next(error);
+    }
+});
+
 app.post('/api/custom-api-call', emailRateLimit, [
     body('email').isEmail().withMessage('Некорректный email'),
     body('action').notEmpty().withMessage('Отсутствует действие'),
@@ -90,7 +379,7 @@ app.post('/api/custom-api-call', emailRateLimit, [
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
         logger.warn(`Ошибка валидации при вызове API: ${JSON.stringify(errors.array())}`);
-        return res.status(400).json({ success: false, errors: errors.array() });
+        return sendValidationErrors(res, errors);
     }
 
     const { email, action, accountData } = req.body;
@@ -103,66 +392,147 @@ app.post('/api/custom-api-call', emailRateLimit, [
     } catch (error) {
         logger.error(`Ошибка при вызове внешнего API для ${email}: ${error.message}`);
         await logActivity('custom_api_call', { email, action, success: false, error: error.message });
-        res.status(500).json({ success: false, error: 'Ошибка при вызове внешнего API.' });
+        sendError(res, error);
     }
 });
 
-app.post('/api/test-connection', authRateLimit, [
-    body('email').isEmail().withMessage('Некорректиный email'),
-    body('password').notEmpty().withMessage('Пароль не может быть пустым'),
+// Реестр провайдеров: список для формы подключения и изменение администратором
+app.get('/api/providers', (req, res) => {
+    res.json({ success: true, providers: listProviders() });
+});
+
+app.put('/api/providers/:key', authRateLimit, requireAdmin, async (req, res) => {
+    try {
+        const provider = await upsertProvider(req.params.key, req.body);
+        logger.info(`Провайдер ${req.params.key} добавлен или изменен через API.`);
+        res.json({ success: true, provider });
+    } catch (error) {
+        logger.warn(`Провайдер ${req.params.key} не сохранен: ${error.message}`);
+        sendError(res, error);
+    }
+});
+
+app.delete('/api/providers/:key', authRateLimit, requireAdmin, async (req, res) => {
+    try {
+        const restored = await removeProvider(req.params.key);
+        logger.info(`Провайдер ${req.params.key} удален из добавленных через API.`);
+        res.json({ success: true, restored });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Перечитать файл реестра после правки; при ошибках остается прежний реестр
+app.post('/api/providers/reload', authRateLimit, requireAdmin, (req, res) => {
+    try {
+        res.json({ success: true, providers: loadProviderRegistry() });
+    } catch (error) {
+        logger.warn(`Реестр провайдеров не перезагружен: ${error.message}`);
+        sendError(res, error);
+    }
+});
+
+// Автоопределение серверов по адресу для заполнения формы подключения
+app.get('/api/discover', emailRateLimit, [
+    query('email').isEmail().withMessage('Некорректный email'),
+    query('refresh').optional().isBoolean().withMessage('refresh должен быть true или false'),
 ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        logger.warn(`Ошибка валидации при автоопределении: ${JSON.stringify(errors.array())}`);
+        return sendValidationErrors(res, errors);
+    }
+    const email = req.query.email.trim().toLowerCase();
+    try {
+        const settings = await discoverServers(email, { refresh: req.query.refresh === 'true' });
+        res.json({ success: true, ...settings });
+    } catch (error) {
+        if (!error.status) {
+            logger.error(`Ошибка автоопределения настроек для ${email}: ${error.message}`);
+        }
+        sendError(res, error);
+    }
+});
+
+app.post('/api/test-connection', authRateLimit, [
+    ...credentialValidators,
+    body('diagnostics').optional().isBoolean().withMessage('diagnostics должен быть true или false'),
+], resolveAccount, async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
         logger.warn(`Ошибка валидации при тестировании подключения: ${JSON.stringify(errors.array())}`);
-        return res.status(400).json({ success: false, errors: errors.array() });
+        return sendValidationErrors(res, errors);
     }
 
-    const { email, password, fetchProtocol, imapHost, imapPort, pop3Host, pop3Port, smtpHost, smtpPort } = req.body;
+    const { email, password, accessToken, fetchProtocol } = req.account;
+
+    // Пошаговая диагностика: этапы подключения с временем, сведениями о сертификате и подсказками
+    if (req.body.diagnostics === true || req.body.diagnostics === 'true') {
+        const diagnostics = await diagnoseAccount(req.account);
+        const reports = Object.values(diagnostics);
+        const results = Object.fromEntries(reports.map(report => [report.protocol, report.ok]));
+        const failures = reports.filter(report => !report.ok).map((report) => {
+            const stage = report.stages.find(item => !item.ok);
+            return { protocol: report.protocol, stage: report.failedStage, code: stage.code, error: stage.error };
+        });
+        await logActivity('connection_diagnostics', { email, ok: failures.length === 0, failed: failures.map(item => item.code).join(', ') });
+        if (failures.length === 0) {
+            logger.info(`Диагностика подключения для ${email} пройдена.`);
+            return res.json({ success: true, ...results, error: null, diagnostics });
+        }
+        const message = failures.map(item => `${item.protocol.toUpperCase()} (${item.stage}): ${item.error}`).join(', ');
+        logger.warn(`Диагностика подключения для ${email}: ${message}`);
+        return sendError(res, mailError(failures[0].code, message), { ...results, failures, diagnostics });
+    }
     let fetchResult = false;
     let smtpResult = false;
     let errs = [];
+    // Ошибки по протоколам: код ответа берется по первой
+    const failures = [];
 
-    const providerSettings = getProviderSettings(email);
-    const finalImapHost = providerSettings ? providerSettings.imap.host : imapHost;
-    const finalImapPort = providerSettings ? providerSettings.imap.port : imapPort;
-    const finalPop3Host = providerSettings ? providerSettings.pop3.host : pop3Host;
-    const finalPop3Port = providerSettings ? providerSettings.pop3.port : pop3Port;
-    const finalSmtpHost = providerSettings ? providerSettings.smtp.host : smtpHost;
-    const finalSmtpPort = providerSettings ? providerSettings.smtp.port : smtpPort;
+    const {
+        imapHost: finalImapHost, imapPort: finalImapPort, imapSecurity,
+        pop3Host: finalPop3Host, pop3Port: finalPop3Port, pop3Security,
+        smtpHost: finalSmtpHost, smtpPort: finalSmtpPort, smtpSecurity, tlsCa
+    } = resolveServerSettings(req.account);
 
     if (fetchProtocol === 'imap') {
         if (!finalImapHost || !finalImapPort) {
             logger.error(`Не удалось определить настройки IMAP для ${email}.`);
-            return res.json({ success: false, error: 'Не удалось определить настройки IMAP сервера. Пожалуйста, укажите хост и порт вручную.' });
+            return sendError(res, mailError('SERVER_NOT_CONFIGURED', 'Не удалось определить настройки IMAP сервера. Пожалуйста, укажите хост и порт вручную.'));
         }
         try {
-            await testImapConnection({ email, password, imapHost: finalImapHost, imapPort: finalImapPort });
+            await testImapConnection({ email, password, accessToken, imapHost: finalImapHost, imapPort: finalImapPort, imapSecurity, tlsCa });
             fetchResult = true;
         } catch (error) {
             errs.push(`IMAP: ${error.message}`);
+            failures.push({ protocol: 'imap', error });
             logger.error(`Ошибка IMAP для ${email}: ${error.message}`);
         }
     } else if (fetchProtocol === 'pop3') {
         if (!finalPop3Host || !finalPop3Port) {
             logger.error(`Не удалось определить настройки POP3 для ${email}.`);
-            return res.json({ success: false, error: 'Не удалось определить настройки POP3 сервера. Пожалуйста, укажите хост и порт вручную.' });
+            return sendError(res, mailError('SERVER_NOT_CONFIGURED', 'Не удалось определить настройки POP3 сервера. Пожалуйста, укажите хост и порт вручную.'));
         }
         try {
-            await testPop3Connection({ email, password, pop3Host: finalPop3Host, pop3Port: finalPop3Port });
+            await testPop3Connection({ email, password, accessToken, pop3Host: finalPop3Host, pop3Port: finalPop3Port, pop3Security, tlsCa });
             fetchResult = true;
         } catch (error) {
             errs.push(`POP3: ${error.message}`);
+            failures.push({ protocol: 'pop3', error });
             logger.error(`Ошибка POP3 для ${email}: ${error.message}`);
         }
     } else {
         errs.push('Неизвестный протокол получения.');
+        failures.push({ protocol: fetchProtocol, error: mailError('VALIDATION_ERROR', 'Неизвестный протокол получения.') });
     }
 
     try {
-        await testSmtpConnection({ email, password, smtpHost: finalSmtpHost, smtpPort: finalSmtpPort });
+        await testSmtpConnection({ email, password, accessToken, smtpHost: finalSmtpHost, smtpPort: finalSmtpPort, smtpSecurity, tlsCa });
         smtpResult = true;
     } catch (error) {
         errs.push(`SMTP: ${error.message}`);
+        failures.push({ protocol: 'smtp', error });
         logger.error(`Ошибка SMTP для ${email}: ${error.message}`);
     }
 
@@ -173,177 +543,1145 @@ app.post('/api/test-connection', authRateLimit, [
         await logActivity('connection_test_failed', { email, [fetchProtocol]: fetchResult, smtp: smtpResult, errors: errs.join(', ') });
     }
 
-    res.json({
-        success: fetchResult && smtpResult,
-        [fetchProtocol]: fetchResult,
-        smtp: smtpResult,
-        error: errs.length > 0 ? errs.join(', ') : null
-    });
+    if (failures.length > 0) {
+        return sendError(res, mailError(classifyError(failures[0].error).code, errs.join(', ')), {
+            [fetchProtocol]: fetchResult,
+            smtp: smtpResult,
+            failures: failures.map(({ protocol, error }) => ({ protocol, code: classifyError(error).code, error: error.message }))
+        });
+    }
+    res.json({ success: true, [fetchProtocol]: fetchResult, smtp: smtpResult, error: null });
+});
+
+// Состояние аккаунтов по истории проверок: доступность, время ответа и последняя ошибка по протоколам
+app.get('/api/health', emailRateLimit, async (req, res, next) => {
+    try {
+        res.json({ success: true, ...await healthChecks.getHealthReport() });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.get('/api/health/:accountId', emailRateLimit, [
+    query('limit').optional().isInt({ min: 1, max: config.HEALTH_CHECK.historySize }).withMessage(`limit должен быть от 1 до ${config.HEALTH_CHECK.historySize}`),
+], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return sendValidationErrors(res, errors);
+    }
+    try {
+        const report = await healthChecks.getHealthReport({ accountId: req.params.accountId, historyLimit: parseInt(req.query.limit || 50, 10) });
+        if (report.accounts.length === 0) {
+            return sendError(res, mailError('ACCOUNT_NOT_FOUND'));
+        }
+        res.json({ success: true, running: report.running, lastRun: report.lastRun, nextRunAt: report.nextRunAt, account: report.accounts[0] });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Проверка всех аккаунтов (или accountIds) на сервере; с wait: false ответ приходит сразу, результат - через GET /api/health
+app.post('/api/health/check', authRateLimit, [
+    body('accountIds').optional().isArray({ min: 1 }).withMessage('accountIds должен быть непустым массивом'),
+    body('accountIds.*').optional().isString().withMessage('accountIds должен содержать строки'),
+    body('wait').optional().isBoolean().withMessage('wait должен быть true или false'),
+], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return sendValidationErrors(res, errors);
+    }
+    const accountIds = req.body.accountIds || null;
+    const job = healthChecks.runHealthChecks({ accountIds, trigger: 'manual' });
+    if (String(req.body.wait) === 'false') {
+        job.catch(error => logger.error(`Ошибка проверки аккаунтов: ${error.message}`));
+        return res.status(202).json({ success: true, running: true });
+    }
+    try {
+        const checked = await job;
+        const report = await healthChecks.getHealthReport();
+        const accounts = report.accounts.filter(account => checked.includes(account.accountId));
+        await logActivity('health_check', { checked: accounts.length, online: accounts.filter(account => account.status === 'online').length });
+        res.json({ success: true, lastRun: report.lastRun, nextRunAt: report.nextRunAt, accounts });
+    } catch (error) {
+        next(error);
+    }
 });
 
 app.post('/api/fetch-emails', emailRateLimit, [
-    body('email').isEmail().withMessage('Некорректный email'),
-    body('password').notEmpty().withMessage('Пароль не может быть пустым'),
-], async (req, res) => {
+    ...credentialValidators,
+    body('count').optional().isInt({ min: 1, max: config.EMAIL.imap.maxPageSize }).withMessage(`count должен быть от 1 до ${config.EMAIL.imap.maxPageSize}`),
+    body('cursor').optional({ values: 'null' }).matches(/^\d+:\d+$/).withMessage('Некорректный курсор'),
+    body('direction').optional().isIn(['older', 'newer']).withMessage('direction должен быть older или newer'),
+    body('threads').optional().isBoolean().withMessage('threads должен быть true или false'),
+    body('refresh').optional().isBoolean().withMessage('refresh должен быть true или false'),
+    body('download').optional().isBoolean().withMessage('download должен быть true или false'),
+    body('retention').optional({ values: 'falsy' }).isIn(RETENTION_MODES).withMessage(`retention должен быть одним из: ${RETENTION_MODES.join(', ')}`),
+    body('retentionDays').optional({ values: 'falsy' }).isInt({ min: 1, max: 3650 }).withMessage('retentionDays должен быть от 1 до 3650'),
+], resolveAccount, async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
         logger.warn(`Ошибка валидации при получении писем: ${JSON.stringify(errors.array())}`);
-        return res.status(400).json({ success: false, errors: errors.array() });
+        return sendValidationErrors(res, errors);
     }
 
-    const { email, password, fetchProtocol, imapHost, imapPort, pop3Host, pop3Port, folder = 'INBOX', count = 10 } = req.body;
+    const { email, password, accessToken, fetchProtocol } = req.account;
+    const { folder = 'INBOX', cursor, direction = 'older' } = req.body;
+    const count = parseInt(req.body.count || 10, 10);
+    const threads = String(req.body.threads) === 'true';
     logger.info(`Пользователь ${email} пытается получить письма по протоколу ${fetchProtocol.toUpperCase()}.`);
     
-    const providerSettings = getProviderSettings(email);
-    const finalImapHost = providerSettings ? providerSettings.imap.host : imapHost;
-    const finalImapPort = providerSettings ? providerSettings.imap.port : imapPort;
-    const finalPop3Host = providerSettings ? providerSettings.pop3.host : pop3Host;
-    const finalPop3Port = providerSettings ? providerSettings.pop3.port : pop3Port;
+    const {
+        imapHost: finalImapHost, imapPort: finalImapPort, imapSecurity,
+        pop3Host: finalPop3Host, pop3Port: finalPop3Port, pop3Security, tlsCa
+    } = resolveServerSettings(req.account);
 
     try {
         let emails;
+        let page = {};
         if (fetchProtocol === 'imap') {
             if (!finalImapHost) {
-                return res.json({ success: false, error: 'Не удалось определить настройки IMAP сервера.' });
+                return sendError(res, mailError('SERVER_NOT_CONFIGURED', 'Не удалось определить настройки IMAP сервера.'));
             }
-            emails = await fetchImapEmails({ email, password, imapHost: finalImapHost, imapPort: finalImapPort, folder, count });
+            const settings = { email, password, accessToken, imapHost: finalImapHost, imapPort: finalImapPort, imapSecurity, tlsCa, folder, count, cursor, direction, threads };
+            const result = config.EMAIL.imap.cache.enabled && req.account.id
+                ? await fetchCachedEmails({ ...settings, id: req.account.id, refresh: String(req.body.refresh) === 'true' })
+                : await fetchImapEmails(settings);
+            ({ emails, ...page } = result);
         } else if (fetchProtocol === 'pop3') {
             if (!finalPop3Host) {
-                return res.json({ success: false, error: 'Не удалось определить настройки POP3 сервера.' });
+                return sendError(res, mailError('SERVER_NOT_CONFIGURED', 'Не удалось определить настройки POP3 сервера.'));
+            }
+            const result = await syncPop3Mailbox({
+                id: req.account.id, email, password, accessToken, pop3Host: finalPop3Host, pop3Port: finalPop3Port, pop3Security, tlsCa, count,
+                download: String(req.body.download) !== 'false',
+                retention: resolveRetention(req.account, { mode: req.body.retention, days: req.body.retentionDays })
+            });
+            ({ emails, ...page } = result);
+            if (threads) {
+                page.threads = threadMessages(emails);
             }
-            emails = await fetchPop3Emails({ email, password, pop3Host: finalPop3Host, pop3Port: finalPop3Port, count });
         } else {
             throw new Error('Неизвестный протокол получения.');
         }
 
         logger.info(`Получено ${emails.length} писем для ${email} с помощью ${fetchProtocol.toUpperCase()}.`);
         await logActivity('emails_fetched', { email, protocol: fetchProtocol, count: emails.length });
-        res.json({ success: true, emails: emails, count: emails.length });
+        res.json({ success: true, emails: emails, count: emails.length, ...page });
     } catch (error) {
         logger.error(`Ошибка при получении писем (${fetchProtocol.toUpperCase()}) для ${email}: ${error.message}`);
         await logActivity('emails_fetch_failed', { email, protocol: fetchProtocol, error: error.message });
-        res.json({ success: false, error: error.message });
+        sendError(res, error);
     }
 });
 
-app.post('/api/send-email', emailRateLimit, [
-    body('email').isEmail().withMessage('Некорректный email отправителя'),
-    body('password').notEmpty().withMessage('Пароль не может быть пустым'),
-    body('to').isEmail().withMessage('Некорректный email получателя'),
-    body('subject').notEmpty().withMessage('Тема не может быть пустой'),
-    body('text').notEmpty().withMessage('Тело письма не может быть пустым'),
+// Поля структурированного поиска из тела запроса
+function pickSearchFilters(source) {
+    const filters = {};
+    for (const field of ['from', 'to', 'cc', 'subject', 'body', 'text', 'since', 'before', 'larger', 'smaller']) {
+        if (source[field] !== undefined && source[field] !== null && source[field] !== '') {
+            filters[field] = source[field];
+        }
+    }
+    for (const field of ['unseen', 'flagged']) {
+        if (source[field] !== undefined && source[field] !== null && source[field] !== '') {
+            filters[field] = String(source[field]) === 'true';
+        }
+    }
+    if (source.header) {
+        filters.header = source.header;
+    }
+    return filters;
+}
+
+app.post('/api/search', emailRateLimit, [
+    ...credentialValidators,
+    body(['from', 'to', 'cc', 'subject', 'body', 'text']).optional().isString().isLength({ max: 500 }).withMessage('Строка поиска должна быть не длиннее 500 символов'),
+    body(['since', 'before']).optional({ values: 'falsy' }).isISO8601().withMessage('Дата должна быть в формате ISO 8601'),
+    body(['unseen', 'flagged']).optional({ values: 'null' }).isBoolean().withMessage('unseen и flagged должны быть true или false'),
+    body(['larger', 'smaller']).optional({ values: 'falsy' }).isInt({ min: 0 }).withMessage('Размер должен быть неотрицательным числом'),
+    body('header').optional().custom(value => [].concat(value).every(item =>
+        item && /^[A-Za-z0-9-]+$/.test(item.name || '') && (item.value === undefined || typeof item.value === 'string')))
+        .withMessage('header должен быть объектом { name, value } или массивом таких объектов'),
+    body('count').optional().isInt({ min: 1, max: config.EMAIL.imap.maxPageSize }).withMessage(`count должен быть от 1 до ${config.EMAIL.imap.maxPageSize}`),
+    body('cursor').optional({ values: 'null' }).matches(/^\d+:\d+$/).withMessage('Некорректный курсор'),
+    body('direction').optional().isIn(['older', 'newer']).withMessage('direction должен быть older или newer'),
+    body('threads').optional().isBoolean().withMessage('threads должен быть true или false'),
+], resolveAccount, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        logger.warn(`Ошибка валидации при поиске писем: ${JSON.stringify(errors.array())}`);
+        return sendValidationErrors(res, errors);
+    }
+
+    const filters = pickSearchFilters(req.body);
+    if (!hasFilters(filters)) {
+        return sendError(res, mailError('VALIDATION_ERROR', 'Не задано ни одного условия поиска.'));
+    }
+
+    const { email, password, accessToken, fetchProtocol } = req.account;
+    const { folder = 'INBOX', cursor, direction = 'older' } = req.body;
+    const count = parseInt(req.body.count || 10, 10);
+    const threads = String(req.body.threads) === 'true';
+    logger.info(`Пользователь ${email} ищет письма (${fetchProtocol.toUpperCase()}): ${JSON.stringify(filters)}.`);
+
+    const servers = resolveServerSettings(req.account);
+
+    try {
+        if (fetchProtocol === 'imap') {
+            if (!servers.imapHost) {
+                return sendError(res, mailError('SERVER_NOT_CONFIGURED', 'Не удалось определить настройки IMAP сервера.'));
+            }
+            const { emails, ...page } = await fetchImapEmails({
+                email, password, accessToken, ...pickImapSettings(servers),
+                folder, count, cursor, direction, threads, search: buildImapCriteria(filters)
+            });
+            logger.info(`Поиск для ${email}: найдено ${page.matched || 0}, отдано ${emails.length}.`);
+            return res.json({ success: true, searchMode: 'server', emails, count: emails.length, ...page });
+        }
+
+        if (fetchProtocol !== 'pop3') {
+            throw new Error('Неизвестный протокол получения.');
+        }
+
+        // POP3 не умеет искать: загружаем новые письма и фильтруем здесь последние из локальных копий
+        if (!servers.pop3Host) {
+            return sendError(res, mailError('SERVER_NOT_CONFIGURED', 'Не удалось определить настройки POP3 сервера.'));
+        }
+        const scanLimit = config.EMAIL.pop3.searchScanLimit;
+        const mailbox = {
+            id: req.account.id, email, password, accessToken,
+            pop3Host: servers.pop3Host, pop3Port: servers.pop3Port, pop3Security: servers.pop3Security, tlsCa: servers.tlsCa
+        };
+        await syncPop3Mailbox({ ...mailbox, count: 0, retention: resolveRetention(req.account) });
+        const scanned = await readPop3Messages({ ...mailbox, limit: scanLimit });
+        // В POP3 нет флагов, поэтому unseen и flagged не применяются
+        const ignoredFilters = ['unseen', 'flagged'].filter(field => filters[field] !== undefined);
+        const popFilters = { ...filters };
+        ignoredFilters.forEach(field => delete popFilters[field]);
+        const matched = scanned.filter(message => matchesFilters(message, popFilters));
+        // Текст и заголовки нужны только для сравнения с условиями
+        const emails = matched.slice(0, count).map(({ text, headers, ...message }) => message);
+
+        logger.info(`Поиск POP3 для ${email}: просмотрено ${scanned.length}, найдено ${matched.length}.`);
+        res.json({
+            success: true,
+            searchMode: 'client',
+            warning: `POP3 не поддерживает поиск на сервере: просмотрены последние ${scanned.length} загруженных писем (не больше ${scanLimit}).`,
+            ignoredFilters,
+            scanned: scanned.length,
+            matched: matched.length,
+            emails,
+            count: emails.length,
+            hasMore: matched.length > emails.length,
+            ...(threads ? { threads: threadMessages(emails) } : {})
+        });
+    } catch (error) {
+        logger.error(`Ошибка при поиске писем (${fetchProtocol.toUpperCase()}) для ${email}: ${error.message}`);
+        sendError(res, error);
+    }
+});
+
+// Поиск по локальному индексу писем выбранных аккаунтов (без запросов к почтовым серверам)
+app.post('/api/search/local', emailRateLimit, [
+    body('q').isString().trim().isLength({ min: 1, max: 500 }).withMessage('Запрос должен быть строкой от 1 до 500 символов'),
+    body('accountId').custom(value => value !== undefined && [].concat(value).length > 0
+        && [].concat(value).every(item => typeof item === 'string' && item.length > 0))
+        .withMessage('accountId должен быть строкой или непустым массивом строк'),
+    body('folder').optional().isString(),
+    body('limit').optional().isInt({ min: 1, max: config.SEARCH_INDEX.maxResults }).withMessage(`limit должен быть от 1 до ${config.SEARCH_INDEX.maxResults}`),
+    body('offset').optional().isInt({ min: 0 }).withMessage('offset должен быть неотрицательным числом'),
 ], async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-        logger.warn(`Ошибка валидации при отправке письма: ${JSON.stringify(errors.array())}`);
-        return res.status(400).json({ success: false, errors: errors.array() });
+        logger.warn(`Ошибка валидации при локальном поиске: ${JSON.stringify(errors.array())}`);
+        return sendValidationErrors(res, errors);
+    }
+    if (!config.SEARCH_INDEX.enabled) {
+        return sendError(res, mailError('NOT_FOUND', 'Локальный поисковый индекс отключен.'));
+    }
+
+    const { q, folder } = req.body;
+    try {
+        const result = await searchIndex({
+            q,
+            accountIds: [].concat(req.body.accountId),
+            folder,
+            limit: parseInt(req.body.limit || 20, 10),
+            offset: parseInt(req.body.offset || 0, 10)
+        });
+        logger.info(`Локальный поиск "${q}": найдено ${result.total} из ${result.indexed}.`);
+        res.json({ success: true, count: result.results.length, ...result });
+    } catch (error) {
+        if (!error.status) {
+            logger.error(`Ошибка локального поиска "${q}": ${error.message}`);
+        }
+        sendError(res, error);
+    }
+});
+
+// Сколько писем каждого аккаунта попало в локальный индекс (список адресов всех аккаунтов - только администратору)
+app.get('/api/search/local/status', authRateLimit, requireAdmin, async (req, res) => {
+    try {
+        res.json({ success: true, enabled: config.SEARCH_INDEX.enabled, accounts: await getIndexStats() });
+    } catch (error) {
+        logger.error(`Ошибка при получении состояния поискового индекса: ${error.message}`);
+        sendError(res, error);
+    }
+});
+
+// Поток событий папки (Server-Sent Events): новые письма, изменение флагов, удаление и счетчики
+app.get('/api/events', emailRateLimit, [
+    query('accountId').notEmpty().withMessage('Не указан accountId'),
+    query('folder').optional().isString(),
+], resolveAccount, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return sendValidationErrors(res, errors);
+    }
+
+    const { accountId, folder = 'INBOX' } = req.query;
+    if (req.account.fetchProtocol !== 'imap') {
+        return sendError(res, mailError('UNSUPPORTED_PROTOCOL', 'Уведомления о новых письмах поддерживаются только для IMAP.'));
+    }
+
+    // Настройки перечитываются при каждом переподключении наблюдателя
+    const loadSettings = async () => {
+        const account = await accountStore.getAccountCredentials(accountId);
+        if (!account) {
+            throw new Error('Аккаунт не найден');
+        }
+        const { email, password, accessToken } = await withAccessToken(account);
+        return { email, password, accessToken, ...resolveImapSettings(account) };
+    };
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${config.EMAIL.imap.watch.reconnectMinDelay}\n\n`);
+
+    let eventId = 0;
+    const unsubscribe = mailWatcher.subscribe({ accountId, folder, loadSettings }, (event) => {
+        if (['new', 'flags', 'expunge', 'resync'].includes(event.type)) {
+            invalidateCache(req.account, [folder]);
+        }
+        eventId++;
+        res.write(`id: ${eventId}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    });
+    // Комментарий-пинг не дает прокси закрыть "молчащее" соединение
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), config.EMAIL.imap.watch.heartbeatInterval);
+
+    logger.info(`Пользователь ${req.account.email} подписался на события папки ${folder}.`);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        logger.debug(`Подписка ${req.account.email} на события папки ${folder} закрыта.`);
+    });
+});
+
+app.get('/api/messages/:uid', emailRateLimit, [
+    param('uid').isInt({ min: 1 }).withMessage('UID должен быть положительным числом'),
+    query('accountId').notEmpty().withMessage('Не указан accountId'),
+    query('folder').optional().isString(),
+    query('markSeen').optional().isBoolean().withMessage('markSeen должен быть true или false'),
+    query('refresh').optional().isBoolean().withMessage('refresh должен быть true или false'),
+], resolveAccount, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        logger.warn(`Ошибка валидации при открытии письма: ${JSON.stringify(errors.array())}`);
+        return sendValidationErrors(res, errors);
+    }
+
+    const { email, password, accessToken, fetchProtocol } = req.account;
+    const { folder = 'INBOX' } = req.query;
+    const uid = parseInt(req.params.uid, 10);
+    const markSeen = req.query.markSeen === 'true';
+
+    if (fetchProtocol !== 'imap') {
+        return sendError(res, mailError('UNSUPPORTED_PROTOCOL', 'Открытие отдельного письма поддерживается только для IMAP.'));
+    }
+
+    try {
+        const settings = { email, password, accessToken, ...resolveImapSettings(req.account), folder, uid, markSeen };
+        const message = config.EMAIL.imap.cache.enabled && req.account.id
+            ? await getCachedMessage({ ...settings, id: req.account.id, refresh: req.query.refresh === 'true' })
+            : await getImapMessage(settings);
+
+        // Ссылки на скачивание частей и подстановка встроенных картинок (cid:) в HTML
+        const attachmentUrl = (partId, inline) => {
+            const params = new URLSearchParams({ accountId: req.query.accountId, folder });
+            if (inline) {
+                params.set('inline', 'true');
+            }
+            return `/api/messages/${uid}/attachments/${partId}?${params}`;
+        };
+        message.attachments.forEach(attachment => { attachment.url = attachmentUrl(attachment.partId, false); });
+        message.inlineImages.forEach(image => { image.url = attachmentUrl(image.partId, true); });
+        if (message.html) {
+            message.html = message.html.replace(/(["'(])cid:([^"')]+)/gi, (match, quote, cid) => {
+                // Некорректное %-кодирование в письме не должно мешать его открыть: тогда cid сравнивается как есть
+                let contentId = cid;
+                try {
+                    contentId = decodeURIComponent(cid);
+                } catch (error) {
+                    // оставляем cid без декодирования
+                }
+                const image = message.inlineImages.find(item => item.contentId === contentId);
+                return image ? `${quote}${image.url}` : match;
+            });
+        }
+
+        logger.info(`Письмо UID ${uid} из папки ${folder} открыто для ${email}.`);
+        res.json({ success: true, message });
+    } catch (error) {
+        logger.error(`Ошибка при открытии письма UID ${uid} для ${email}: ${error.message}`);
+        sendError(res, error);
+    }
+});
+
+// Типы, которые можно показать прямо в браузере (встроенные картинки); остальное, в том числе HTML и SVG, только скачивается
+const INLINE_CONTENT_TYPES = /^image\/(?:png|jpe?g|gif|webp|bmp|avif)$/i;
+
+app.get('/api/messages/:uid/attachments/:partId', emailRateLimit, [
+    param('uid').isInt({ min: 1 }).withMessage('UID должен быть положительным числом'),
+    param('partId').matches(/^\d+(\.\d+)*$/).withMessage('Некорректный номер части'),
+    query('accountId').notEmpty().withMessage('Не указан accountId'),
+    query('folder').optional().isString(),
+], resolveAccount, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        logger.warn(`Ошибка валидации при загрузке вложения: ${JSON.stringify(errors.array())}`);
+        return sendValidationErrors(res, errors);
+    }
+
+    const { email, password, accessToken, fetchProtocol } = req.account;
+    const { folder = 'INBOX' } = req.query;
+    const uid = parseInt(req.params.uid, 10);
+    const { partId } = req.params;
+    const inline = req.query.inline === 'true';
+
+    if (fetchProtocol !== 'imap') {
+        return sendError(res, mailError('UNSUPPORTED_PROTOCOL', 'Загрузка вложений поддерживается только для IMAP.'));
+    }
+
+    try {
+        await streamImapAttachment({ email, password, accessToken, ...resolveImapSettings(req.account), folder, uid, partId }, (attachment, stream) => {
+            if (inline && INLINE_CONTENT_TYPES.test(attachment.contentType)) {
+                // Встроенные картинки загружаются из изолированного фрейма письма
+                res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+            } else {
+                res.attachment(attachment.filename);
+            }
+            res.set('Content-Type', attachment.contentType);
+            res.set('X-Content-Type-Options', 'nosniff');
+            // Часть письма, открытая напрямую, не выполняет скрипты в источнике приложения
+            res.set('Content-Security-Policy', "default-src 'none'; sandbox");
+            res.on('close', () => stream.destroy());
+            stream.pipe(res);
+        });
+        logger.info(`Часть ${partId} письма UID ${uid} отдана пользователю ${email}.`);
+    } catch (error) {
+        logger.error(`Ошибка при загрузке части ${partId} письма UID ${uid} для ${email}: ${error.message}`);
+        if (res.headersSent) {
+            res.destroy(error);
+        } else {
+            sendError(res, error);
+        }
+    }
+});
+
+/**
+ * Кладет копию отправленного письма в «Отправленные». Ошибка не отменяет отправку:
+ * результат возвращается клиенту в поле sentCopy.
+ */
+async function storeSentCopy(account, info, saveToSent) {
+    const { email, password, accessToken } = account;
+    const provider = getAccountProvider(account);
+    if (!config.EMAIL.smtp.saveSentCopy || saveToSent === false || String(saveToSent) === 'false') {
+        return { saved: false, reason: 'Сохранение копии отключено' };
+    }
+    // Сервер провайдера сам кладет письмо в «Отправленные», но только если отправка идет через его SMTP
+    if (provider && provider.savesSentCopy && provider.smtp && resolveServerSettings(account).smtpHost === provider.smtp.host) {
+        return { saved: false, reason: `${provider.name} сохраняет отправленные письма самостоятельно` };
+    }
+    const imapSettings = resolveImapSettings(account);
+    if (!imapSettings.imapHost) {
+        return { saved: false, reason: 'Для аккаунта не настроен IMAP' };
+    }
+
+    try {
+        const { folder, uid } = await saveSentCopy({ email, password, accessToken, ...imapSettings, mailOptions: info.mailOptions });
+        await invalidateCache(account, [folder]);
+        return { saved: true, folder, uid };
+    } catch (error) {
+        logger.warn(`Не удалось сохранить копию письма ${info.messageId} для ${email}: ${error.message}`);
+        return { saved: false, reason: error.message };
+    }
+}
+
+/**
+ * Действия после доставки письма из очереди: копия в «Отправленные», удаление отправленного черновика,
+ * флаг на исходном письме ответа или пересылки. Результат сохраняется в записи очереди (поле result).
+ */
+async function afterOutboxSend(item, account, mailOptions) {
+    await logActivity('email_sent_success', { email: item.email, to: item.to, subject: item.subject, attachments: item.attachments, action: item.action });
+    const result = { sentCopy: await storeSentCopy(account, { messageId: item.messageId, mailOptions }, item.saveToSent) };
+
+    const { email, password, accessToken } = account;
+    if (item.draftUid) {
+        result.draftDeleted = await deleteDraft({ email, password, accessToken, ...resolveImapSettings(account), uid: item.draftUid })
+            .then((deleted) => invalidateCache(account, [deleted.folder]).then(() => true), (error) => {
+                logger.warn(`Не удалось удалить отправленный черновик UID ${item.draftUid}: ${error.message}`);
+                return false;
+            });
+    }
+    // Флаг на исходном письме не критичен: сервер может не разрешать ключевые слова
+    if (item.original) {
+        const { folder, uid, flag } = item.original;
+        await addImapFlag({ email, password, accessToken, ...resolveImapSettings(account), folder, uid, flag })
+            .then(() => invalidateCache(account, [folder]), (error) => {
+                logger.warn(`Не удалось пометить письмо UID ${uid} флагом ${flag}: ${error.message}`);
+            });
+    }
+    return result;
+}
+
+function afterOutboxFailure(item, error) {
+    return logActivity('email_sent_failed', { email: item.email, to: item.to, subject: item.subject, action: item.action, error: error.message });
+}
+
+// Общие поля для ответа и пересылки
+const derivedMessageValidators = [
+    param('uid').isInt({ min: 1 }).withMessage('UID должен быть положительным числом'),
+    body('accountId').notEmpty().withMessage('Не указан accountId'),
+    body('folder').optional().isString(),
+    body(['cc', 'bcc']).optional({ values: 'falsy' }).custom(value => validateAddressList(value)),
+    body('replyTo').optional({ values: 'falsy' }).custom(value => validateAddressList(value)),
+    body('fromName').optional().isString().isLength({ max: 200 }).withMessage('Имя отправителя слишком длинное'),
+    body('text').optional().isString().withMessage('text должен быть строкой'),
+    body('html').optional().isString().withMessage('html должен быть строкой'),
+    body('headers').optional({ values: 'falsy' }).custom(value => Boolean(parseCustomHeaders(value))),
+    body('saveToSent').optional().isBoolean().withMessage('saveToSent должен быть true или false'),
+];
+
+/**
+ * Загружает исходное письмо, собирает ответ/пересылку через build(original, raw) и ставит его в очередь отправки.
+ * Исходное письмо помечается флагом после доставки.
+ */
+async function sendDerivedMessage(req, res, { action, flag, build }) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        logger.warn(`Ошибка валидации (${action}): ${JSON.stringify(errors.array())}`);
+        return sendValidationErrors(res, errors);
     }
 
-    const { email, password, smtpHost, smtpPort, to, subject, text } = req.body;
-    logger.info(`Пользователь ${email} пытается отправить письмо на ${to} с темой "${subject}".`);
+    const { email, password, accessToken, fetchProtocol } = req.account;
+    const { folder = 'INBOX' } = req.body;
+    const uid = parseInt(req.params.uid, 10);
+
+    if (fetchProtocol !== 'imap') {
+        return sendError(res, mailError('UNSUPPORTED_PROTOCOL', 'Ответ и пересылка поддерживаются только для IMAP.'));
+    }
 
-    const providerSettings = getProviderSettings(email);
-    const finalSmtpHost = providerSettings ? providerSettings.smtp.host : smtpHost;
-    const finalSmtpPort = providerSettings ? providerSettings.smtp.port : smtpPort;
+    const servers = resolveServerSettings(req.account);
+    const imapSettings = { email, password, accessToken, ...pickImapSettings(servers) };
 
-    if (!finalSmtpHost) {
+    if (!servers.smtpHost) {
         logger.error(`Не удалось определить настройки SMTP для ${email}.`);
-        return res.json({ success: false, error: 'Не удалось определить настройки SMTP сервера.' });
+        return sendError(res, mailError('SERVER_NOT_CONFIGURED', 'Не удалось определить настройки SMTP сервера.'));
+    }
+
+    let message;
+    try {
+        const { raw, parsed } = await getImapOriginal({ ...imapSettings, folder, uid });
+        message = build(parsed, raw, email);
+    } catch (error) {
+        logger.error(`Ошибка при загрузке письма UID ${uid} (${action}) для ${email}: ${error.message}`);
+        return sendError(res, error);
+    }
+
+    const recipients = formatRecipients(message);
+    if (!recipients) {
+        return sendError(res, mailError('VALIDATION_ERROR', 'Не удалось определить получателей.'));
     }
 
     try {
-        await sendEmail({ from: email, password, smtpHost: finalSmtpHost, smtpPort: finalSmtpPort, to, subject, text });
-        logger.info(`Письмо от ${email} на ${to} успешно отправлено.`);
-        await logActivity('email_sent_success', { email, to, subject });
-        res.json({ success: true, message: 'Email sent successfully' });
+        const queued = await outbox.enqueue(req.account, buildMailOptions(message), {
+            saveToSent: req.body.saveToSent,
+            original: { folder, uid, flag },
+            action
+        });
+        logger.info(`Письмо (${action.toLowerCase()}, UID ${uid}) от ${email} на ${recipients} поставлено в очередь отправки.`);
+        res.status(202).json({
+            success: true,
+            message: 'Письмо поставлено в очередь отправки',
+            id: queued.id,
+            status: queued.status,
+            messageId: queued.messageId,
+            subject: message.subject,
+            to: recipients
+        });
     } catch (error) {
-        logger.error(`Ошибка при отправке письма от ${email}: ${error.message}`);
-        await logActivity('email_sent_failed', { email, to, subject, error: error.message });
-        res.json({ success: false, error: error.message });
+        logger.error(`Ошибка при постановке в очередь (${action}) от ${email}: ${error.message}`);
+        sendError(res, error);
     }
+}
+
+app.post('/api/messages/:uid/reply', emailRateLimit, uploadAttachments, [
+    ...derivedMessageValidators,
+    body(['all', 'quote']).optional().isBoolean().withMessage('all и quote должны быть true или false'),
+    body('text').custom((value, { req }) => Boolean(value || req.body.html)).withMessage('Текст ответа не может быть пустым'),
+], resolveAccount, (req, res) => {
+    const { fromName, cc, bcc, replyTo, text, html, headers } = req.body;
+    const replyAll = String(req.body.all) === 'true';
+    const quote = req.body.quote === undefined || String(req.body.quote) === 'true';
+    return sendDerivedMessage(req, res, {
+        action: replyAll ? 'Ответ всем' : 'Ответ',
+        flag: '\\Answered',
+        build: (original, raw, from) => buildReplyMessage(original, {
+            from, fromName, replyAll, quote, cc, bcc, replyTo, text, html, headers, files: req.files
+        })
+    });
 });
 
-app.post('/api/mark-read', emailRateLimit, [
-    body('email').isEmail().withMessage('Некорректный email'),
-    body('password').notEmpty().withMessage('Пароль не может быть пустым'),
-    body('messageIds').isArray().withMessage('messageIds должен быть массивом'),
-    body('messageIds.*').isInt().withMessage('messageIds должны быть числами'),
+app.post('/api/messages/:uid/forward', emailRateLimit, uploadAttachments, [
+    ...derivedMessageValidators,
+    body('to').custom(value => validateAddressList(value, true)),
+    body('asAttachment').optional().isBoolean().withMessage('asAttachment должен быть true или false'),
+], resolveAccount, (req, res) => {
+    const { to, fromName, cc, bcc, replyTo, text, html, headers } = req.body;
+    const asAttachment = String(req.body.asAttachment) === 'true';
+    return sendDerivedMessage(req, res, {
+        action: 'Пересылка',
+        flag: '$Forwarded',
+        build: (original, raw, from) => buildForwardMessage(original, raw, {
+            from, fromName, asAttachment, to, cc, bcc, replyTo, text, html, headers, files: req.files
+        })
+    });
+});
+
+// Текст ошибки sendAt: причина из resolveSendAt (время уже прошло, нет часового пояса и т. п.)
+function sendAtMessage(value, timeZone) {
+    try {
+        outbox.resolveSendAt(value, timeZone);
+    } catch (error) {
+        return error.message;
+    }
+    return 'sendAt должен быть датой и временем ISO 8601, например 2026-10-20T09:00:00+03:00';
+}
+
+// Отправка в назначенное время: sendAt со смещением или местное время вместе с timeZone (IANA)
+const scheduleValidators = [
+    body('timeZone').optional({ values: 'falsy' }).custom(value => outbox.isValidTimeZone(value)).withMessage('Неизвестный часовой пояс timeZone'),
+    body('sendAt').optional({ values: 'falsy' }).custom((value, { req }) => Boolean(outbox.resolveSendAt(value, req.body.timeZone)))
+        .withMessage((value, { req }) => sendAtMessage(value, req.body.timeZone)),
+];
+
+// Письмо ставится в очередь, поэтому отправка идет только с сохраненного аккаунта: пароль из запроса
+// хранился бы лишь в памяти, и после перезапуска сервера письмо не ушло бы
+app.post('/api/send-email', emailRateLimit, uploadAttachments, [
+    body('accountId').notEmpty().withMessage('Не указан accountId: письма отправляются только с сохраненного аккаунта'),
+    body('to').custom(value => validateAddressList(value, true)),
+    body(['cc', 'bcc']).optional({ values: 'falsy' }).custom(value => validateAddressList(value)),
+    body('replyTo').optional({ values: 'falsy' }).custom(value => validateAddressList(value)),
+    body('fromName').optional().isString().isLength({ max: 200 }).withMessage('Имя отправителя слишком длинное'),
+    body('subject').notEmpty().withMessage('Тема не может быть пустой'),
+    body('text').custom((value, { req }) => Boolean(value || req.body.html)).withMessage('Тело письма не может быть пустым'),
+    body('html').optional().isString().withMessage('html должен быть строкой'),
+    body('headers').optional({ values: 'falsy' }).custom(value => Boolean(parseCustomHeaders(value))),
+    body('saveToSent').optional().isBoolean().withMessage('saveToSent должен быть true или false'),
+    body('draftUid').optional({ values: 'falsy' }).isInt({ min: 1 }).withMessage('draftUid должен быть положительным числом'),
+    ...scheduleValidators,
+], resolveAccount, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        logger.warn(`Ошибка валидации при отправке письма: ${JSON.stringify(errors.array())}`);
+        return sendValidationErrors(res, errors);
+    }
+
+    const { email, password, accessToken } = req.account;
+    const { to, cc, bcc, replyTo, fromName, subject, text, html, headers } = req.body;
+    const files = req.files || [];
+    const recipients = formatRecipients({ to, cc, bcc });
+    logger.info(`Пользователь ${email} пытается отправить письмо на ${recipients} с темой "${subject}" (вложений: ${files.length}).`);
+
+    if (!resolveServerSettings(req.account).smtpHost) {
+        logger.error(`Не удалось определить настройки SMTP для ${email}.`);
+        return sendError(res, mailError('SERVER_NOT_CONFIGURED', 'Не удалось определить настройки SMTP сервера.'));
+    }
+
+    try {
+        // Письмо из черновика уходит вместе с вложениями, сохраненными в черновике; сам черновик удаляется после доставки
+        const draftUid = req.body.draftUid ? parseInt(req.body.draftUid, 10) : null;
+        const attachments = draftUid
+            ? await loadDraftAttachments({ email, password, accessToken, ...resolveImapSettings(req.account) }, draftUid)
+            : [];
+        const mailOptions = buildMailOptions({ from: email, fromName, to, cc, bcc, replyTo, subject, text, html, headers, files, attachments });
+        const sendAt = req.body.sendAt ? outbox.resolveSendAt(req.body.sendAt, req.body.timeZone) : null;
+        const queued = await outbox.enqueue(req.account, mailOptions, {
+            saveToSent: req.body.saveToSent,
+            draftUid,
+            format: html ? 'html' : 'text',
+            sendAt,
+            timeZone: req.body.timeZone || null
+        });
+
+        res.status(202).json({
+            success: true,
+            message: sendAt ? 'Отправка письма запланирована' : 'Письмо поставлено в очередь отправки',
+            id: queued.id,
+            status: queued.status,
+            sendAt: queued.sendAt,
+            messageId: queued.messageId
+        });
+    } catch (error) {
+        logger.error(`Ошибка при постановке письма от ${email} в очередь: ${error.message}`);
+        sendError(res, error);
+    }
+});
+
+// Очередь отправки: состояние писем (queued, sending, sent, deferred, failed, cancelled), отмена и повтор
+app.get('/api/outbox', emailRateLimit, [
+    query('accountId').optional().isString(),
+    query('status').optional().isIn(outbox.STATUSES).withMessage(`status должен быть одним из: ${outbox.STATUSES.join(', ')}`),
+    query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('limit должен быть от 1 до 500'),
+], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return sendValidationErrors(res, errors);
+    }
+    try {
+        const { accountId, status } = req.query;
+        res.json({ success: true, ...await outbox.listOutbox({ accountId, status, limit: parseInt(req.query.limit || 100, 10) }) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// С content=true для писем, которые еще не отправлены, возвращаются и поля письма (для редактирования)
+app.get('/api/outbox/:id', emailRateLimit, async (req, res, next) => {
+    try {
+        const item = await outbox.getOutboxMessage(req.params.id, { withContent: String(req.query.content) === 'true' });
+        if (!item) {
+            return sendError(res, mailError('NOT_FOUND', 'Письмо не найдено в очереди отправки.'));
+        }
+        res.json({ success: true, item });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Изменение запланированного письма: поля и вложения как у /api/send-email (все необязательны), новое время или sendNow
+app.put('/api/outbox/:id', emailRateLimit, uploadAttachments, [
+    body('to').optional().custom(value => validateAddressList(value, true)),
+    body(['cc', 'bcc', 'replyTo']).optional({ values: 'falsy' }).custom(value => validateAddressList(value)),
+    body('fromName').optional().isString().isLength({ max: 200 }).withMessage('Имя отправителя слишком длинное'),
+    body('subject').optional().notEmpty().withMessage('Тема не может быть пустой'),
+    body(['text', 'html']).optional().isString(),
+    body('headers').optional({ values: 'falsy' }).custom(value => Boolean(parseCustomHeaders(value))),
+    body('keepAttachments').optional().isBoolean().withMessage('keepAttachments должен быть true или false'),
+    body('sendNow').optional().isBoolean().withMessage('sendNow должен быть true или false'),
+    ...scheduleValidators,
 ], async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-        logger.warn(`Ошибка валидации при пометке писем как прочитанных: ${JSON.stringify(errors.array())}`);
-        return res.status(400).json({ success: false, errors: errors.array() });
+        return sendValidationErrors(res, errors);
+    }
+    const { to, cc, bcc, replyTo, fromName, subject, text, html, headers } = req.body;
+    if (text === '' && !html) {
+        return sendError(res, mailError('VALIDATION_ERROR', 'Тело письма не может быть пустым'));
+    }
+    try {
+        const item = await outbox.updateScheduledMessage(req.params.id, {
+            fields: { to, cc, bcc, replyTo, fromName, subject, text, html, headers },
+            files: req.files || [],
+            keepAttachments: String(req.body.keepAttachments) !== 'false',
+            sendAt: req.body.sendAt ? outbox.resolveSendAt(req.body.sendAt, req.body.timeZone) : null,
+            timeZone: req.body.timeZone || null,
+            sendNow: String(req.body.sendNow) === 'true'
+        });
+        if (!item) {
+            return sendError(res, mailError('NOT_FOUND', 'Письмо не найдено в очереди отправки.'));
+        }
+        res.json({ success: true, item });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.post('/api/outbox/:id/cancel', emailRateLimit, async (req, res) => {
+    try {
+        const item = await outbox.cancelOutboxMessage(req.params.id);
+        if (!item) {
+            return sendError(res, mailError('NOT_FOUND', 'Письмо не найдено в очереди отправки.'));
+        }
+        await logActivity('email_send_cancelled', { email: item.email, to: item.to, subject: item.subject });
+        res.json({ success: true, item });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.post('/api/outbox/:id/retry', emailRateLimit, async (req, res) => {
+    try {
+        const item = await outbox.retryOutboxMessage(req.params.id);
+        if (!item) {
+            return sendError(res, mailError('NOT_FOUND', 'Письмо не найдено в очереди отправки.'));
+        }
+        res.json({ success: true, item });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Черновики хранятся в папке «Черновики» на IMAP-сервере
+const draftFieldValidators = [
+    body(['to', 'cc', 'bcc', 'replyTo']).optional({ values: 'falsy' }).custom(value => validateAddressList(value)),
+    body('fromName').optional().isString().isLength({ max: 200 }).withMessage('Имя отправителя слишком длинное'),
+    body(['subject', 'text', 'html']).optional().isString(),
+    body('headers').optional({ values: 'falsy' }).custom(value => Boolean(parseCustomHeaders(value))),
+    body('keepAttachments').optional().isBoolean().withMessage('keepAttachments должен быть true или false'),
+];
+
+/**
+ * Проверяет запрос к черновикам и возвращает настройки IMAP аккаунта (или null, если ответ уже отправлен).
+ */
+function draftSettings(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        logger.warn(`Ошибка валидации запроса к черновикам: ${JSON.stringify(errors.array())}`);
+        sendValidationErrors(res, errors);
+        return null;
+    }
+    const { email, password, accessToken } = req.account;
+    const imapSettings = resolveImapSettings(req.account);
+    if (!imapSettings.imapHost) {
+        sendError(res, mailError('UNSUPPORTED_PROTOCOL', 'Черновики на сервере поддерживаются только для IMAP.'));
+        return null;
+    }
+    return { email, password, accessToken, ...imapSettings };
+}
+
+/**
+ * Вложения сохраненного черновика (переносятся в новую версию или в отправляемое письмо).
+ */
+async function loadDraftAttachments(settings, uid) {
+    const folder = await getSpecialFolder(settings, 'drafts');
+    const { parsed } = await getImapOriginal({ ...settings, folder, uid });
+    return parsed.attachments.map(attachment => ({
+        filename: attachment.filename,
+        content: attachment.content,
+        contentType: attachment.contentType,
+        contentDisposition: attachment.contentDisposition,
+        cid: attachment.cid
+    }));
+}
+
+/**
+ * Сохраняет новую версию черновика; при replaceUid прежняя удаляется, а ее вложения по умолчанию переносятся.
+ */
+async function storeDraft(req, res, replaceUid) {
+    const settings = draftSettings(req, res);
+    if (!settings) {
+        return;
+    }
+    const { to, cc, bcc, replyTo, fromName, subject, text, html, headers } = req.body;
+    const keepAttachments = replaceUid && String(req.body.keepAttachments) !== 'false';
+
+    try {
+        const attachments = keepAttachments ? await loadDraftAttachments(settings, replaceUid) : [];
+
+        const mailOptions = buildMailOptions({
+            from: settings.email, fromName, to, cc, bcc, replyTo, subject: subject || '', text, html, headers,
+            files: req.files, attachments
+        });
+        mailOptions.messageId = createMessageId(settings.email);
+        mailOptions.date = new Date();
+
+        const result = await saveDraft({ ...settings, mailOptions, replaceUid });
+        await invalidateCache(req.account, [result.folder]);
+        logger.info(`Черновик ${settings.email} сохранен в ${result.folder} (UID ${result.uid || 'неизвестен'}).`);
+        await logActivity('draft_saved', { email: settings.email, folder: result.folder, replaced: result.replaced });
+        res.json({ success: true, ...result, messageId: mailOptions.messageId });
+    } catch (error) {
+        logger.error(`Ошибка при сохранении черновика для ${settings.email}: ${error.message}`);
+        sendError(res, error);
+    }
+}
+
+app.get('/api/drafts', emailRateLimit, [
+    query('accountId').notEmpty().withMessage('Не указан accountId'),
+    query('count').optional().isInt({ min: 1, max: config.EMAIL.imap.maxPageSize }),
+    query('cursor').optional().matches(/^\d+:\d+$/).withMessage('Некорректный курсор'),
+], resolveAccount, async (req, res) => {
+    const settings = draftSettings(req, res);
+    if (!settings) {
+        return;
+    }
+    try {
+        const folder = await getSpecialFolder(settings, 'drafts');
+        const result = await fetchImapEmails({
+            ...settings, folder, count: parseInt(req.query.count, 10) || 20, cursor: req.query.cursor, direction: 'older'
+        });
+        res.json({ success: true, folder, drafts: result.emails, nextCursor: result.nextCursor, hasMore: result.hasMore });
+    } catch (error) {
+        logger.error(`Ошибка при получении черновиков для ${settings.email}: ${error.message}`);
+        sendError(res, error);
+    }
+});
+
+app.get('/api/drafts/:uid', emailRateLimit, [
+    param('uid').isInt({ min: 1 }).withMessage('UID должен быть положительным числом'),
+    query('accountId').notEmpty().withMessage('Не указан accountId'),
+], resolveAccount, async (req, res) => {
+    const settings = draftSettings(req, res);
+    if (!settings) {
+        return;
+    }
+    try {
+        const folder = await getSpecialFolder(settings, 'drafts');
+        const draft = await getImapMessage({ ...settings, folder, uid: parseInt(req.params.uid, 10) });
+        res.json({ success: true, draft });
+    } catch (error) {
+        logger.error(`Ошибка при открытии черновика UID ${req.params.uid} для ${settings.email}: ${error.message}`);
+        sendError(res, error);
+    }
+});
+
+app.post('/api/drafts', emailRateLimit, uploadAttachments, [
+    body('accountId').notEmpty().withMessage('Не указан accountId'),
+    ...draftFieldValidators,
+], resolveAccount, (req, res) => storeDraft(req, res, null));
+
+app.put('/api/drafts/:uid', emailRateLimit, uploadAttachments, [
+    param('uid').isInt({ min: 1 }).withMessage('UID должен быть положительным числом'),
+    body('accountId').notEmpty().withMessage('Не указан accountId'),
+    ...draftFieldValidators,
+], resolveAccount, (req, res) => storeDraft(req, res, parseInt(req.params.uid, 10)));
+
+app.delete('/api/drafts/:uid', emailRateLimit, [
+    param('uid').isInt({ min: 1 }).withMessage('UID должен быть положительным числом'),
+    query('accountId').notEmpty().withMessage('Не указан accountId'),
+], resolveAccount, async (req, res) => {
+    const settings = draftSettings(req, res);
+    if (!settings) {
+        return;
+    }
+    try {
+        const result = await deleteDraft({ ...settings, uid: parseInt(req.params.uid, 10) });
+        await invalidateCache(req.account, [result.folder]);
+        await logActivity('draft_deleted', { email: settings.email, uid: result.uid });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        logger.error(`Ошибка при удалении черновика UID ${req.params.uid} для ${settings.email}: ${error.message}`);
+        sendError(res, error);
     }
+});
+
+// Настройки IMAP из resolveServerSettings: хост, порт, режим шифрования и закрепленный CA
+function pickImapSettings({ imapHost, imapPort, imapSecurity, tlsCa }) {
+    return { imapHost, imapPort, imapSecurity, tlsCa };
+}
+
+// Настройки IMAP аккаунта с учетом предустановок провайдера
+function resolveImapSettings(account) {
+    return pickImapSettings(resolveServerSettings(account));
+}
 
-    const { email, password, imapHost, imapPort, messageIds } = req.body;
-    logger.info(`Пользователь ${email} помечает ${messageIds.length} писем как прочитанные.`);
+// Кэш писем устаревает после операций, меняющих папки на сервере: следующий запрос списка сверится с сервером
+function invalidateCache(account, folders) {
+    if (!config.EMAIL.imap.cache.enabled) {
+        return Promise.resolve();
+    }
+    return invalidateFolders({ id: account.id, email: account.email, ...resolveImapSettings(account) }, folders).catch((error) => {
+        logger.warn(`Не удалось пометить кэш писем ${account.email} устаревшим: ${error.message}`);
+    });
+}
 
-    const providerSettings = getProviderSettings(email);
-    const finalImapHost = providerSettings ? providerSettings.imap.host : imapHost;
-    const finalImapPort = providerSettings ? providerSettings.imap.port : imapPort;
+async function runMessageAction(req, res, { action, uids, keywords, target }) {
+    const { email, password, accessToken } = req.account;
+    const { folder = 'INBOX' } = req.body;
+    const imapSettings = resolveImapSettings(req.account);
 
-    if (!finalImapHost) {
+    if (!imapSettings.imapHost) {
         logger.error(`Не удалось определить настройки IMAP для ${email}.`);
-        return res.json({ success: false, error: 'Не удалось определить настройки IMAP сервера.' });
+        return sendError(res, mailError('SERVER_NOT_CONFIGURED', 'Не удалось определить настройки IMAP сервера.'));
     }
 
+    logger.info(`Пользователь ${email} выполняет ${action} для ${uids.length} писем в папке ${folder}${target ? ` -> ${target}` : ''}.`);
     try {
-        await markAsRead({ email, password, imapHost: finalImapHost, imapPort: finalImapPort, messageIds });
-        logger.info(`Письма для ${email} успешно помечены как прочитанные.`);
-        await logActivity('emails_marked_read', { email, count: messageIds.length });
-        res.json({ success: true, message: 'Messages marked as read' });
+        const result = await applyMessageAction({ email, password, accessToken, ...imapSettings, folder, uids, action, keywords, target });
+        await invalidateCache(req.account, [folder, result.target]);
+        logger.info(`Операция ${action} для ${email}: успешно ${result.succeeded}, с ошибкой ${result.failed}.`);
+        await logActivity('messages_action', { email, action, folder, target, succeeded: result.succeeded, failed: result.failed });
+        res.json({ success: result.failed === 0, ...result });
     } catch (error) {
-        logger.error(`Ошибка при пометке писем как прочитанных для ${email}: ${error.message}`);
-        await logActivity('emails_mark_read_failed', { email, count: messageIds.length, error: error.message });
-        res.json({ success: false, error: error.message });
+        logger.error(`Ошибка операции ${action} для ${email}: ${error.message}`);
+        await logActivity('messages_action_failed', { email, action, folder, error: error.message });
+        sendError(res, error);
+    }
+}
+
+// Операции над списком писем любой папки (только IMAP); результат сообщается для каждого письма
+app.post('/api/messages/actions', emailRateLimit, [
+    ...credentialValidators,
+    body('folder').optional().isString().notEmpty(),
+    body('action').isIn(ACTIONS).withMessage(`action должен быть одним из: ${ACTIONS.join(', ')}`),
+    body('uids').isArray({ min: 1, max: 1000 }).withMessage('uids должен быть непустым массивом (не более 1000)'),
+    body('uids.*').isInt({ min: 1 }).withMessage('uids должны быть положительными числами'),
+    body('keywords')
+        .if(body('action').isIn(['addKeywords', 'removeKeywords']))
+        .isArray({ min: 1 }).withMessage('Для этой операции нужен непустой массив keywords'),
+    body('keywords.*')
+        .matches(/^[^\\\s(){%*"\]\x00-\x1f\x7f]+$/).withMessage('Ключевое слово не может содержать пробелы и символы ( ) { % * " ] \\'),
+    body('target')
+        .if(body('action').isIn(['move', 'copy']))
+        .isString().notEmpty().withMessage('Для перемещения и копирования нужна папка target'),
+], resolveAccount, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        logger.warn(`Ошибка валидации операции над письмами: ${JSON.stringify(errors.array())}`);
+        return sendValidationErrors(res, errors);
+    }
+    if ((req.account.fetchProtocol || 'imap') !== 'imap') {
+        return sendError(res, mailError('UNSUPPORTED_PROTOCOL', 'Операции над письмами поддерживаются только для IMAP.'));
     }
+
+    const { action, uids, keywords, target } = req.body;
+    await runMessageAction(req, res, { action, uids, keywords, target });
+});
+
+app.post('/api/mark-read', emailRateLimit, [
+    ...credentialValidators,
+    body('folder').optional().isString().notEmpty(),
+    body('messageIds').isArray({ min: 1 }).withMessage('messageIds должен быть непустым массивом'),
+    body('messageIds.*').isInt().withMessage('messageIds должны быть числами'),
+], resolveAccount, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        logger.warn(`Ошибка валидации при пометке писем как прочитанных: ${JSON.stringify(errors.array())}`);
+        return sendValidationErrors(res, errors);
+    }
+
+    await runMessageAction(req, res, { action: 'read', uids: req.body.messageIds });
 });
 
 app.post('/api/get-folders', emailRateLimit, [
-    body('email').isEmail().withMessage('Некорректный email'),
-    body('password').notEmpty().withMessage('Пароль не может быть пустым'),
-], async (req, res) => {
+    ...credentialValidators,
+    body('status').optional().isBoolean().withMessage('status должен быть true или false'),
+], resolveAccount, async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
         logger.warn(`Ошибка валидации при получении списка папок: ${JSON.stringify(errors.array())}`);
-        return res.status(400).json({ success: false, errors: errors.array() });
+        return sendValidationErrors(res, errors);
     }
 
-    const { email, password, imapHost, imapPort, fetchProtocol } = req.body;
+    const { email, password, accessToken, fetchProtocol } = req.account;
+    const withStatus = req.body.status !== false && req.body.status !== 'false';
     logger.info(`Пользователь ${email} запрашивает список папок.`);
     
     // Проверяем, что используется IMAP, так как POP3 не поддерживает папки
     if (fetchProtocol === 'pop3') {
         logger.info(`Запрос папок для POP3 аккаунта ${email}. Возвращаем пустой список.`);
-        return res.json({ success: true, folders: [] });
+        return res.json({ success: true, folders: [], special: {} });
     }
 
-    const providerSettings = getProviderSettings(email);
-    const finalImapHost = providerSettings ? providerSettings.imap.host : imapHost;
-    const finalImapPort = providerSettings ? providerSettings.imap.port : imapPort;
-
-    if (!finalImapHost) {
+    const imapSettings = resolveImapSettings(req.account);
+    if (!imapSettings.imapHost) {
         logger.error(`Не удалось определить настройки IMAP для ${email}.`);
-        return res.json({ success: false, error: 'Не удалось определить настройки IMAP сервера.' });
+        return sendError(res, mailError('SERVER_NOT_CONFIGURED', 'Не удалось определить настройки IMAP сервера.'));
     }
 
     try {
-        const folders = await getFolders({ email, password, imapHost: finalImapHost, imapPort: finalImapPort });
+        const { folders, special } = await listFolders({ email, password, accessToken, ...imapSettings, withStatus });
         logger.info(`Получено ${folders.length} папок для ${email}.`);
         await logActivity('folders_fetched', { email, count: folders.length });
-        res.json({ success: true, folders: folders });
+        res.json({ success: true, folders, special });
     } catch (error) {
         logger.error(`Ошибка при получении папок для ${email}: ${error.message}`);
         await logActivity('folders_fetch_failed', { email, error: error.message });
-        res.json({ success: false, error: error.message });
+        sendError(res, error);
     }
 });
 
+const folderPathValidator = (field) => body(field)
+    .isString().trim().notEmpty().withMessage(`Не указано имя папки ${field}`)
+    .isLength({ max: 255 }).withMessage('Имя папки слишком длинное')
+    .not().matches(/[\x00-\x1f\x7f*%]/).withMessage('Имя папки не может содержать управляющие символы, * и %');
+
+// Создание, переименование, удаление папки и подписка на нее (только IMAP)
+function folderRoute(action, validators) {
+    app.post(`/api/folders/${action}`, emailRateLimit, [
+        ...credentialValidators,
+        folderPathValidator('path'),
+        ...validators,
+    ], resolveAccount, async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            logger.warn(`Ошибка валидации операции с папкой (${action}): ${JSON.stringify(errors.array())}`);
+            return sendValidationErrors(res, errors);
+        }
+        if ((req.account.fetchProtocol || 'imap') !== 'imap') {
+            return sendError(res, mailError('UNSUPPORTED_PROTOCOL', 'Папки поддерживаются только для IMAP.'));
+        }
+
+        const { email, password, accessToken } = req.account;
+        const { path, newPath } = req.body;
+        const imapSettings = resolveImapSettings(req.account);
+        const { imapHost, imapPort } = imapSettings;
+        if (!imapHost) {
+            logger.error(`Не удалось определить настройки IMAP для ${email}.`);
+            return sendError(res, mailError('SERVER_NOT_CONFIGURED', 'Не удалось определить настройки IMAP сервера.'));
+        }
+
+        logger.info(`Пользователь ${email} выполняет ${action} для папки ${path}${newPath ? ` -> ${newPath}` : ''}.`);
+        try {
+            const result = await manageFolder({ email, password, accessToken, ...imapSettings, action, path, newPath });
+            if (config.EMAIL.imap.cache.enabled && (action === 'rename' || action === 'delete')) {
+                await removeFolderCache({ id: req.account.id, email, imapHost, imapPort }, path);
+            }
+            await logActivity('folder_changed', { email, action, path, newPath });
+            res.json({ success: true, ...result });
+        } catch (error) {
+            logger.error(`Ошибка операции ${action} с папкой ${path} для ${email}: ${error.message}`);
+            await logActivity('folder_change_failed', { email, action, path, error: error.message });
+            sendError(res, error);
+        }
+    });
+}
+
+folderRoute('create', []);
+folderRoute('rename', [folderPathValidator('newPath')]);
+folderRoute('delete', []);
+folderRoute('subscribe', []);
+folderRoute('unsubscribe', []);
+
+// Неизвестные маршруты API
+app.use('/api', (req, res) => {
+    sendError(res, mailError('NOT_FOUND', `Маршрут ${req.method} ${req.originalUrl} не найден`));
+});
+
+// Неперехваченные ошибки (и ошибки разбора тела запроса) - в том же формате; текст внутренних ошибок не раскрывается
 app.use((err, req, res, next) => {
-    logger.error(`Необработанная ошибка сервера: ${err.stack}`);
-    res.status(500).json({ success: false, error: 'Internal server error' });
+    const { status, body } = errorResponse(err);
+    if (status === 500) {
+        logger.error(`Необработанная ошибка сервера: ${err.stack}`);
+        body.error = 'Внутренняя ошибка сервера.';
+    }
+    res.status(status).json(body);
 });
 
+// С ошибочным реестром провайдеров сервер не запускается
+try {
+    loadProviderRegistry();
+} catch (error) {
+    logger.error(`Не удалось загрузить реестр провайдеров: ${error.message}`);
+    process.exit(1);
+}
+
 app.listen(PORT, '0.0.0.0', () => {
     console.log(`
 ╭─────────────────────────────────────────╮
@@ -367,14 +1705,29 @@ app.listen(PORT, '0.0.0.0', () => {
 ╰─────────────────────────────────────────╯
     `);
     logger.info(`Сервер запущен на порту ${PORT}.`);
+    try {
+        accountStore.checkEncryptionKey();
+    } catch (error) {
+        logger.error(error.message);
+    }
+    healthChecks.startScheduler();
+    outbox.startOutbox({ afterSend: afterOutboxSend, afterFailure: afterOutboxFailure });
 });
 
 process.on('SIGTERM', () => {
     logger.info('Сервер завершает работу...');
+    mailWatcher.stopAll();
+    healthChecks.stopScheduler();
+    outbox.stopOutbox();
+    imapPool.closeAll();
     process.exit(0);
 });
 
 process.on('SIGINT', () => {
     logger.info('Сервер завершает работу...');
+    mailWatcher.stopAll();
+    healthChecks.stopScheduler();
+    outbox.stopOutbox();
+    imapPool.closeAll();
     process.exit(0);
 });
\ No newline at end of file
@@ -0,0 +1,448 @@
+// serverDiscovery.js - Автоопределение серверов IMAP/POP3/SMTP по адресу: autoconfig и ISPDB, autodiscover, DNS SRV (RFC 6186), MX
+const fs = require('fs');
+const path = require('path');
+const dns = require('dns').promises;
+const { lookup: dnsLookup } = require('dns');
+const net = require('net');
+const axios = require('axios');
+const logger = require('./logger');
+const config = require('./config');
+const { getProvider, findProviderKey, findProviderKeyByMx } = require('./emailProviders');
+
+const discoveryConfig = config.DISCOVERY;
+const CACHE_FILE = path.join(config.STORAGE.dataDir, config.STORAGE.discoveryFile);
+const PROTOCOLS = ['imap', 'pop3', 'smtp'];
+
+// Записи SRV по RFC 6186 и RFC 8314; для каждого протокола неявный TLS предпочтительнее STARTTLS
+const SRV_SERVICES = [
+    { name: '_imaps._tcp', protocol: 'imap', security: 'tls' },
+    { name: '_imap._tcp', protocol: 'imap', security: 'starttls' },
+    { name: '_pop3s._tcp', protocol: 'pop3', security: 'tls' },
+    { name: '_pop3._tcp', protocol: 'pop3', security: 'starttls' },
+    { name: '_submissions._tcp', protocol: 'smtp', security: 'tls' },
+    { name: '_submission._tcp', protocol: 'smtp', security: 'starttls' }
+];
+
+// Кэш результатов: домен -> { result, attempts, discoveredAt, expiresAt }
+let cache = null;
+// Одновременные запросы одного домена ждут один поиск
+const pending = new Map();
+
+function discoveryError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Внутренние, служебные и групповые адреса: на них не отправляются запросы autoconfig и Autodiscover
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+    .forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Домен адреса. Адреса без публичного домена (localhost, IP, .local) не ищутся:
+ * иначе запросы autoconfig уходили бы на внутренние хосты.
+ */
+function parseDomain(email) {
+    const domain = String(email).split('@').pop().trim().toLowerCase().replace(/\.$/, '');
+    if (!/^(?=.{1,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/.test(domain)
+        || /\.(?:local|localhost|internal|lan|home|corp)$/.test(domain)) {
+        throw discoveryError(`Для домена ${domain} автоопределение недоступно.`, 400);
+    }
+    return domain;
+}
+
+async function loadCache() {
+    if (cache) {
+        return cache;
+    }
+    try {
+        cache = new Map(Object.entries(JSON.parse(await fs.promises.readFile(CACHE_FILE, 'utf8')).domains || {}));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.warn(`Не удалось прочитать кэш автоопределения: ${error.message}`);
+        }
+        cache = new Map();
+    }
+    return cache;
+}
+
+async function saveCache() {
+    const now = Date.now();
+    const domains = Object.fromEntries([...cache].filter(([, entry]) => entry.expiresAt > now));
+    await fs.promises.mkdir(path.dirname(CACHE_FILE), { recursive: true });
+    const tmpFile = `${CACHE_FILE}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpFile, JSON.stringify({ version: 1, domains }, null, 2), { mode: 0o600 });
+    await fs.promises.rename(tmpFile, CACHE_FILE);
+}
+
+function decodeXml(value) {
+    return value.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&').trim();
+}
+
+function escapeXml(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Содержимое первого тега name (без учета пространства имен) или null
+function xmlTag(xml, name) {
+    const match = new RegExp(`<(?:\\w+:)?${name}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${name}>`, 'i').exec(xml);
+    return match ? decodeXml(match[1]) : null;
+}
+
+function xmlTags(xml, name) {
+    const pattern = new RegExp(`<(?:\\w+:)?${name}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${name}>`, 'gi');
+    return [...xml.matchAll(pattern)].map(match => decodeXml(match[1]));
+}
+
+function validServer(server) {
+    return server && server.host && /^[a-z0-9.-]+$/i.test(server.host) && server.port > 0 && server.port < 65536;
+}
+
+/**
+ * Разбор clientConfig (формат Thunderbird autoconfig/ISPDB).
+ * Серверы перечислены в порядке предпочтения, поэтому для каждого протокола берется первый.
+ */
+function parseAutoconfig(xml) {
+    if (!/<clientConfig[\s>]/.test(xml)) {
+        throw new Error('ответ не является clientConfig');
+    }
+    const socketTypes = { SSL: 'tls', STARTTLS: 'starttls', plain: 'plain' };
+    const settings = { displayName: xmlTag(xml, 'displayName') };
+    const pattern = /<(incomingServer|outgoingServer)\s+type="(\w+)"\s*>([\s\S]*?)<\/\1>/g;
+    for (const [, , type, body] of xml.matchAll(pattern)) {
+        const protocol = type.toLowerCase();
+        if (!PROTOCOLS.includes(protocol) || settings[protocol]) {
+            continue;
+        }
+        const server = {
+            host: xmlTag(body, 'hostname'),
+            port: parseInt(xmlTag(body, 'port'), 10),
+            security: socketTypes[xmlTag(body, 'socketType')] || 'plain',
+            username: xmlTag(body, 'username'),
+            authentication: xmlTags(body, 'authentication')
+        };
+        if (validServer(server)) {
+            settings[protocol] = server;
+        }
+    }
+    return settings;
+}
+
+/**
+ * Разбор ответа Autodiscover (схема outlook/responseschema/2006a).
+ * Encryption: SSL - неявный TLS, TLS - STARTTLS; без Encryption решает SSL (on/off).
+ */
+function parseAutodiscover(xml) {
+    const redirect = xmlTag(xml, 'Action') === 'redirectUrl' ? xmlTag(xml, 'RedirectUrl') : null;
+    if (redirect) {
+        return { redirect };
+    }
+    const settings = { displayName: xmlTag(xml, 'DisplayName') };
+    for (const body of xmlTags(xml, 'Protocol')) {
+        const protocol = (xmlTag(body, 'Type') || '').toLowerCase();
+        if (!PROTOCOLS.includes(protocol) || settings[protocol]) {
+            continue;
+        }
+        const encryption = (xmlTag(body, 'Encryption') || '').toLowerCase();
+        const ssl = (xmlTag(body, 'SSL') || 'on').toLowerCase() !== 'off';
+        const port = parseInt(xmlTag(body, 'Port'), 10);
+        const server = {
+            host: xmlTag(body, 'Server'),
+            port,
+            security: encryption === 'ssl' ? 'tls'
+                : encryption === 'tls' ? 'starttls'
+                    : encryption === 'none' || !ssl ? 'plain'
+                        : [993, 995, 465].includes(port) ? 'tls' : 'starttls',
+            username: xmlTag(body, 'LoginName')
+        };
+        if (validServer(server)) {
+            settings[protocol] = server;
+        }
+    }
+    return settings;
+}
+
+function hasIncoming(settings) {
+    return Boolean(settings && (settings.imap || settings.pop3));
+}
+
+/**
+ * Разрешение имени для запросов к серверам домена: имя, указывающее на внутренний адрес, отклоняется
+ * (проверяется при каждом соединении, в том числе после перенаправления).
+ */
+function publicLookup(hostname, options, callback) {
+    dnsLookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(error);
+        }
+        const blocked = addresses.find(({ address, family }) => PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+        if (blocked) {
+            return callback(discoveryError(`${hostname} указывает на внутренний адрес ${blocked.address}.`, 400));
+        }
+        callback(null, addresses);
+    });
+}
+
+// Перенаправление допускается только по HTTPS на публичный домен (не IP и не внутреннее имя)
+function checkRedirect(options) {
+    if (options.protocol !== 'https:') {
+        throw discoveryError(`Перенаправление на ${options.protocol}//${options.hostname} отклонено.`, 400);
+    }
+    parseDomain(options.hostname);
+}
+
+/**
+ * Параметры запросов axios. Запросы к серверам проверяемого домена (guarded) не уходят на внутренние адреса;
+ * адрес ISPDB задается в конфигурации и не проверяется.
+ */
+function requestOptions(guarded, extra) {
+    return {
+        timeout: discoveryConfig.timeout,
+        maxContentLength: discoveryConfig.maxResponseSize,
+        maxRedirects: 3,
+        responseType: 'text',
+        ...(guarded ? { lookup: publicLookup, beforeRedirect: checkRedirect } : {}),
+        ...extra
+    };
+}
+
+async function httpGet(url, guarded = true) {
+    const response = await axios.get(url, requestOptions(guarded, { headers: { Accept: 'application/xml, text/xml' } }));
+    return String(response.data);
+}
+
+/**
+ * Первая удачная попытка по порядку списка; все попытки выполняются параллельно.
+ * attempts дополняется результатом каждой попытки.
+ */
+async function firstFound(candidates, attempts) {
+    const outcomes = await Promise.allSettled(candidates.map(candidate => candidate.run()));
+    let found = null;
+    outcomes.forEach((outcome, index) => {
+        const { method, target } = candidates[index];
+        if (outcome.status === 'rejected') {
+            const reason = outcome.reason.response ? `HTTP ${outcome.reason.response.status}` : (outcome.reason.code || outcome.reason.message);
+            attempts.push({ method, target, result: 'error', error: reason });
+        } else if (!hasIncoming(outcome.value)) {
+            attempts.push({ method, target, result: 'empty' });
+        } else {
+            attempts.push({ method, target, result: 'found' });
+            found = found || { source: method, ...outcome.value };
+        }
+    });
+    return found;
+}
+
+function fromProvider(providerKey, source) {
+    const provider = getProvider(providerKey);
+    const server = settings => settings && { ...settings, username: '%EMAILADDRESS%' };
+    return {
+        source,
+        providerKey,
+        displayName: provider.name,
+        imap: server(provider.imap),
+        pop3: server(provider.pop3),
+        smtp: server(provider.smtp)
+    };
+}
+
+function autoconfigCandidates(domain, email, method = 'autoconfig') {
+    const query = `emailaddress=${encodeURIComponent(email)}`;
+    return [
+        { method, target: `https://autoconfig.${domain}/mail/config-v1.1.xml`, run: async () => parseAutoconfig(await httpGet(`https://autoconfig.${domain}/mail/config-v1.1.xml?${query}`)) },
+        { method, target: `https://${domain}/.well-known/autoconfig/mail/config-v1.1.xml`, run: async () => parseAutoconfig(await httpGet(`https://${domain}/.well-known/autoconfig/mail/config-v1.1.xml?${query}`)) },
+        { method: 'ispdb', target: `${discoveryConfig.ispdbURL}${domain}`, run: async () => parseAutoconfig(await httpGet(`${discoveryConfig.ispdbURL}${domain}`, false)) }
+    ];
+}
+
+async function queryAutodiscover(url, email) {
+    const request = '<?xml version="1.0" encoding="utf-8"?>'
+        + '<Autodiscover xmlns="http://schemas.microsoft.com/exchange/autodiscover/outlook/requestschema/2006">'
+        + `<Request><EMailAddress>${escapeXml(email)}</EMailAddress>`
+        + '<AcceptableResponseSchema>http://schemas.microsoft.com/exchange/autodiscover/outlook/responseschema/2006a</AcceptableResponseSchema>'
+        + '</Request></Autodiscover>';
+    const post = target => axios.post(target, request, requestOptions(true, { headers: { 'Content-Type': 'text/xml; charset=utf-8' } }));
+    let settings = parseAutodiscover(String((await post(url)).data));
+    // Сервер может один раз перенаправить на другой адрес Autodiscover (только HTTPS на публичный домен)
+    if (settings.redirect) {
+        const redirect = new URL(settings.redirect);
+        checkRedirect(redirect);
+        settings = parseAutodiscover(String((await post(redirect.href)).data));
+    }
+    return settings.redirect ? {} : settings;
+}
+
+function pickSrvRecord(records) {
+    const usable = records.filter(record => record.name && record.name !== '.');
+    usable.sort((a, b) => a.priority - b.priority || b.weight - a.weight);
+    return usable[0] || null;
+}
+
+/**
+ * Серверы из записей SRV. Цель "." означает, что служба в домене не предоставляется.
+ */
+async function querySrv(domain) {
+    const results = await Promise.allSettled(SRV_SERVICES.map(service => dns.resolveSrv(`${service.name}.${domain}`)));
+    const settings = {};
+    SRV_SERVICES.forEach((service, index) => {
+        const outcome = results[index];
+        const record = outcome.status === 'fulfilled' ? pickSrvRecord(outcome.value) : null;
+        if (record && !settings[service.protocol]) {
+            settings[service.protocol] = { host: record.name.replace(/\.$/, ''), port: record.port, security: service.security, username: '%EMAILADDRESS%' };
+        }
+    });
+    return settings;
+}
+
+// Домен верхнего уровня для MX-сервера: mx1.mail.example.co.uk -> example.co.uk
+function baseDomain(host) {
+    const labels = host.replace(/\.$/, '').split('.');
+    const count = labels.length > 2 && labels[labels.length - 2].length <= 3 && labels[labels.length - 1].length === 2 ? 3 : 2;
+    return labels.slice(-count).join('.');
+}
+
+/**
+ * Настройки по MX: известный провайдер (MX на google.com -> Gmail) или ISPDB для домена MX-сервера.
+ */
+async function inferFromMx(domain, email, attempts) {
+    let records;
+    try {
+        records = (await dns.resolveMx(domain)).sort((a, b) => a.priority - b.priority);
+    } catch (error) {
+        attempts.push({ method: 'mx', target: domain, result: 'error', error: error.code || error.message });
+        return null;
+    }
+    if (records.length === 0) {
+        attempts.push({ method: 'mx', target: domain, result: 'empty' });
+        return null;
+    }
+    for (const record of records) {
+        const providerKey = findProviderKeyByMx(record.exchange);
+        if (providerKey) {
+            attempts.push({ method: 'mx', target: record.exchange, result: 'found' });
+            return { ...fromProvider(providerKey, 'mx'), mx: record.exchange };
+        }
+    }
+    const mxDomain = baseDomain(records[0].exchange);
+    if (mxDomain === domain) {
+        attempts.push({ method: 'mx', target: records[0].exchange, result: 'empty' });
+        return null;
+    }
+    const found = await firstFound(autoconfigCandidates(mxDomain, email).slice(-1).map(candidate => ({ ...candidate, method: 'mx' })), attempts);
+    return found ? { ...found, mx: records[0].exchange } : null;
+}
+
+async function discover(domain, email) {
+    const attempts = [];
+    const stages = [
+        () => firstFound(autoconfigCandidates(domain, email), attempts),
+        () => firstFound([
+            `https://${domain}/autodiscover/autodiscover.xml`,
+            `https://autodiscover.${domain}/autodiscover/autodiscover.xml`
+        ].map(url => ({ method: 'autodiscover', target: url, run: () => queryAutodiscover(url, email) })), attempts),
+        () => firstFound([{ method: 'srv', target: domain, run: () => querySrv(domain) }], attempts),
+        () => inferFromMx(domain, email, attempts)
+    ];
+    for (const stage of stages) {
+        const result = await stage();
+        if (result) {
+            return { result, attempts };
+        }
+    }
+    return { result: null, attempts };
+}
+
+// Подстановка адреса в шаблон имени пользователя (%EMAILADDRESS%, %EMAILLOCALPART%, %EMAILDOMAIN%)
+function resolveUsername(template, email) {
+    const [localPart, domain] = email.split('@');
+    return (template || '%EMAILADDRESS%')
+        .replace(/%EMAILADDRESS%/g, email)
+        .replace(/%EMAILLOCALPART%/g, localPart)
+        .replace(/%EMAILDOMAIN%/g, domain);
+}
+
+function present(email, domain, entry, cached) {
+    const { result } = entry;
+    const response = {
+        email,
+        domain,
+        found: Boolean(result),
+        cached,
+        discoveredAt: entry.discoveredAt,
+        attempts: entry.attempts
+    };
+    if (!result) {
+        return response;
+    }
+    const provider = getProvider(result.providerKey);
+    for (const protocol of PROTOCOLS) {
+        const server = result[protocol];
+        response[protocol] = server ? { ...server, username: resolveUsername(server.username, email) } : null;
+    }
+    return {
+        ...response,
+        source: result.source,
+        providerKey: result.providerKey || null,
+        displayName: result.displayName || null,
+        ...(result.mx ? { mx: result.mx } : {}),
+        recommendedProtocol: result.imap ? 'imap' : 'pop3',
+        requiresAppPassword: Boolean(provider && provider.requiresAppPassword),
+        authURL: provider ? provider.authURL || null : null
+    };
+}
+
+/**
+ * Определяет серверы для адреса. Порядок: реестр провайдеров (emailProviders.js), autoconfig домена и ISPDB,
+ * Autodiscover, DNS SRV, MX. Результат сетевого поиска кэшируется по домену на cacheTtl (неудача - на failureTtl); refresh - искать заново.
+ * Серверы: { host, port, security (tls, starttls, plain), username }; attempts - что проверялось и с каким итогом.
+ */
+async function discoverServers(email, { refresh = false } = {}) {
+    const domain = parseDomain(email);
+    // Реестр проверяется до кэша: его можно изменить во время работы
+    const providerKey = findProviderKey(domain);
+    if (providerKey) {
+        const entry = {
+            result: fromProvider(providerKey, 'provider'),
+            attempts: [{ method: 'provider', target: providerKey, result: 'found' }],
+            discoveredAt: new Date().toISOString()
+        };
+        return present(email, domain, entry, false);
+    }
+
+    const domains = await loadCache();
+    const cachedEntry = domains.get(domain);
+    if (!refresh && cachedEntry && cachedEntry.expiresAt > Date.now()) {
+        return present(email, domain, cachedEntry, true);
+    }
+
+    if (!pending.has(domain)) {
+        pending.set(domain, (async () => {
+            const { result, attempts } = await discover(domain, email);
+            const now = Date.now();
+            const entry = {
+                result,
+                attempts,
+                discoveredAt: new Date(now).toISOString(),
+                expiresAt: now + (result ? discoveryConfig.cacheTtl : discoveryConfig.failureTtl)
+            };
+            domains.set(domain, entry);
+            await saveCache().catch((error) => {
+                logger.warn(`Не удалось сохранить кэш автоопределения: ${error.message}`);
+            });
+            logger.info(result
+                ? `Настройки для домена ${domain} определены (${result.source}).`
+                : `Настройки для домена ${domain} не найдены (попыток: ${attempts.length}).`);
+            return entry;
+        })().finally(() => pending.delete(domain)));
+    }
+    return present(email, domain, await pending.get(domain), false);
+}
+
+module.exports = {
+    discoverServers
+};
@@ -0,0 +1,283 @@
+// threading.js - Группировка писем в цепочки: алгоритм JWZ и ответ IMAP THREAD
+const { parseAddressList } = require('./messageBuilder');
+
+const REPLY_PREFIX = /^\s*((re|aw|sv|ответ|fwd?|wg|tr)(\[\d+\])?\s*:\s*)+/i;
+
+/**
+ * Тема без префиксов Re:/Fwd: и лишних пробелов (для сравнения цепочек).
+ */
+function baseSubject(subject) {
+    return String(subject || '').replace(REPLY_PREFIX, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function isReplySubject(subject) {
+    return REPLY_PREFIX.test(String(subject || ''));
+}
+
+/**
+ * Message-ID из In-Reply-To и References в порядке от корня цепочки к родителю.
+ */
+function collectReferences(message) {
+    const references = [].concat(message.references || [])
+        .flatMap(value => String(value).match(/<[^<>\s]+>/g) || []);
+    const inReplyTo = (String(message.inReplyTo || '').match(/<[^<>\s]+>/g) || [])[0];
+    if (inReplyTo && references[references.length - 1] !== inReplyTo) {
+        references.push(inReplyTo);
+    }
+    return references;
+}
+
+function createContainer(id) {
+    return { id, message: null, parent: null, children: [] };
+}
+
+function isAncestor(container, candidate) {
+    for (let node = container; node; node = node.parent) {
+        if (node === candidate) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function unlink(container) {
+    if (container.parent) {
+        container.parent.children = container.parent.children.filter(child => child !== container);
+        container.parent = null;
+    }
+}
+
+function link(parent, child) {
+    unlink(child);
+    child.parent = parent;
+    parent.children.push(child);
+}
+
+/**
+ * Удаляет пустые контейнеры: их дети поднимаются на уровень выше
+ * (в корне - только если ребенок один, чтобы не склеивать разные цепочки).
+ */
+function pruneEmpty(containers, atRoot) {
+    const result = [];
+    for (const container of containers) {
+        container.children = pruneEmpty(container.children, false);
+        container.children.forEach(child => { child.parent = container; });
+
+        if (container.message) {
+            result.push(container);
+        } else if (container.children.length === 1 || (!atRoot && container.children.length > 0)) {
+            container.children.forEach(child => { child.parent = container.parent; });
+            result.push(...container.children);
+        } else if (container.children.length > 0) {
+            result.push(container);
+        }
+    }
+    return result;
+}
+
+function containerSubject(container) {
+    if (container.message) {
+        return container.message.subject;
+    }
+    return container.children[0] && container.children[0].message ? container.children[0].message.subject : '';
+}
+
+/**
+ * Объединяет корневые цепочки с одинаковой темой (шаг 5 алгоритма JWZ).
+ */
+function groupBySubject(roots) {
+    const subjects = new Map();
+    for (const root of roots) {
+        const subject = baseSubject(containerSubject(root));
+        if (!subject) {
+            continue;
+        }
+        const current = subjects.get(subject);
+        // Предпочитаем пустой контейнер и письмо без "Re:" как корень
+        if (!current
+            || (!root.message && current.message)
+            || (current.message && root.message && isReplySubject(current.message.subject) && !isReplySubject(root.message.subject))) {
+            subjects.set(subject, root);
+        }
+    }
+
+    const candidates = new Set(roots);
+    const mergeUnderDummy = (subject, ...containers) => {
+        const dummy = createContainer(null);
+        containers.forEach(container => link(dummy, container));
+        subjects.set(subject, dummy);
+        candidates.add(dummy);
+    };
+
+    for (const root of roots) {
+        const subject = baseSubject(containerSubject(root));
+        const target = subject ? subjects.get(subject) : null;
+        if (!target || target === root || root.parent) {
+            continue;
+        }
+        if (!target.message && !root.message) {
+            [...root.children].forEach(child => link(target, child));
+        } else if (!target.message) {
+            link(target, root);
+        } else if (!root.message) {
+            mergeUnderDummy(subject, target, ...root.children);
+        } else if (isReplySubject(root.message.subject) && !isReplySubject(target.message.subject)) {
+            link(target, root);
+        } else {
+            // Оба письма одного уровня: объединяем под общим пустым контейнером
+            mergeUnderDummy(subject, target, root);
+        }
+    }
+    return [...candidates].filter(container => !container.parent && (container.message || container.children.length > 0));
+}
+
+function messageTime(message) {
+    const time = message && message.date ? Date.parse(message.date) : NaN;
+    return isNaN(time) ? 0 : time;
+}
+
+function earliestTime(container) {
+    const own = container.message ? messageTime(container.message) : Infinity;
+    return Math.min(own, ...container.children.map(earliestTime));
+}
+
+function flattenTree(container, depth, result) {
+    if (container.message) {
+        result.push({ message: container.message, depth });
+    }
+    const childDepth = container.message ? depth + 1 : depth;
+    [...container.children]
+        .sort((a, b) => earliestTime(a) - earliestTime(b))
+        .forEach(child => flattenTree(child, childDepth, result));
+    return result;
+}
+
+/**
+ * Сводка по цепочке: участники, количество непрочитанных, даты и письма в порядке дерева (с глубиной).
+ */
+function summarizeThread(entries, source) {
+    const messages = entries.map(({ message, depth }) => ({ ...message, depth }));
+    const participants = new Map();
+    for (const message of messages) {
+        const addresses = parseAddressList([message.from, message.to, message.cc].filter(Boolean));
+        for (const address of addresses.filter(item => item.address.includes('@'))) {
+            const key = address.address.toLowerCase();
+            if (!participants.has(key) || (!participants.get(key).name && address.name)) {
+                participants.set(key, address);
+            }
+        }
+    }
+
+    const byDate = [...messages].sort((a, b) => messageTime(a) - messageTime(b));
+    const first = byDate[0];
+    const last = byDate[byDate.length - 1];
+    return {
+        threadId: messages[0].messageId || `uid-${messages[0].uid !== undefined ? messages[0].uid : messages[0].id}`,
+        subject: first.subject,
+        source,
+        messageCount: messages.length,
+        unreadCount: messages.filter(message => message.unread).length,
+        participants: [...participants.values()],
+        firstDate: first.date || null,
+        lastDate: last.date || null,
+        lastUid: last.uid,
+        uids: messages.map(message => message.uid),
+        messages
+    };
+}
+
+function sortThreads(threads) {
+    return threads.sort((a, b) => (Date.parse(b.lastDate) || 0) - (Date.parse(a.lastDate) || 0));
+}
+
+/**
+ * Группирует письма в цепочки алгоритмом JWZ (https://www.jwz.org/doc/threading.html).
+ * Письма - элементы списка: uid, messageId, inReplyTo, references, subject, date, from, to, cc, unread.
+ */
+function threadMessages(messages) {
+    const containers = new Map();
+    const getContainer = (id) => {
+        if (!containers.has(id)) {
+            containers.set(id, createContainer(id));
+        }
+        return containers.get(id);
+    };
+
+    messages.forEach((message, index) => {
+        let id = message.messageId;
+        // Письмо без Message-ID или с повторяющимся Message-ID (копия в другой папке) получает свой ключ
+        if (!id || (containers.has(id) && containers.get(id).message)) {
+            id = `<local-${index}@threading>`;
+        }
+        const container = getContainer(id);
+        container.message = message;
+
+        const references = collectReferences(message);
+        let previous = null;
+        for (const reference of references) {
+            const current = getContainer(reference);
+            if (previous && !current.parent && !isAncestor(previous, current)) {
+                link(previous, current);
+            }
+            previous = current;
+        }
+        if (previous && previous !== container && !isAncestor(previous, container)) {
+            link(previous, container);
+        } else if (!previous) {
+            unlink(container);
+        }
+    });
+
+    const roots = [...containers.values()].filter(container => !container.parent);
+    const threads = groupBySubject(pruneEmpty(roots, true))
+        .map(root => flattenTree(root, 0, []))
+        .filter(entries => entries.length > 0)
+        .map(entries => summarizeThread(entries, 'local'));
+    return sortThreads(threads);
+}
+
+/**
+ * Цепочки по ответу команды UID THREAD (RFC 5256).
+ * Ответ вида [[2], [3, 6, [4, 23], [44, 7, 96]]]: число - письмо, следующее число - его ответ, массив - ветка.
+ * В цепочки попадают только письма из messages; остальные UID ответа пропускаются.
+ */
+function threadsFromServer(tree, messages) {
+    const byUid = new Map(messages.map(message => [message.uid, message]));
+    const seen = new Set();
+
+    const walk = (nodes, depth, entries) => {
+        let current = depth;
+        for (const node of nodes) {
+            if (Array.isArray(node)) {
+                walk(node, current, entries);
+            } else {
+                const message = byUid.get(Number(node));
+                if (message && !seen.has(message.uid)) {
+                    seen.add(message.uid);
+                    entries.push({ message, depth: current });
+                }
+                current++;
+            }
+        }
+        return entries;
+    };
+
+    const threads = (tree || [])
+        .map(node => walk(Array.isArray(node) ? node : [node], 0, []))
+        .filter(entries => entries.length > 0)
+        .map(entries => summarizeThread(entries, 'server'));
+
+    // Письма, которых нет в ответе сервера (например, пришли между командами), - отдельными цепочками
+    for (const message of messages) {
+        if (!seen.has(message.uid)) {
+            threads.push(summarizeThread([{ message, depth: 0 }], 'server'));
+        }
+    }
+    return sortThreads(threads);
+}
+
+module.exports = {
+    baseSubject,
+    threadMessages,
+    threadsFromServer
+};